@@ -0,0 +1,50 @@
+const addressGuard = require('../utils/addressGuard');
+
+describe('addressGuard', () => {
+  describe('isPrivateAddress', () => {
+    it.each([
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+      '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1',
+      '::7f00:1', '::127.0.0.1', '::a00:1', '64:ff9b::7f00:1', '64:ff9b::10.0.0.1', '64:ff9b:1::a00:1'
+    ])('%s is private', address => {
+      expect(addressGuard.isPrivateAddress(address)).toBe(true);
+    });
+
+    it.each(['8.8.8.8', '172.32.0.1', '2606:4700::1111', 'example.com'])('%s is not private', address => {
+      expect(addressGuard.isPrivateAddress(address)).toBe(false);
+    });
+  });
+
+  describe('getHostnameBlockReason', () => {
+    it('blocks localhost names and private IP literals', () => {
+      expect(addressGuard.getHostnameBlockReason('localhost')).toBe('Localhost URLs are not allowed');
+      expect(addressGuard.getHostnameBlockReason('app.localhost.')).toBe('Localhost URLs are not allowed');
+      expect(addressGuard.getHostnameBlockReason('[::1]')).toBe('Private IP addresses are not allowed');
+      expect(addressGuard.getHostnameBlockReason('192.168.0.10')).toBe('Private IP addresses are not allowed');
+    });
+
+    it('allows public hostnames', () => {
+      expect(addressGuard.getHostnameBlockReason('shop.example.com')).toBeNull();
+    });
+  });
+
+  describe('getUrlBlockReason', () => {
+    it('blocks non-HTTP protocols and private literals without resolving them', async () => {
+      await expect(addressGuard.getUrlBlockReason('file:///etc/passwd')).resolves.toBe('Only HTTP and HTTPS protocols are allowed');
+      await expect(addressGuard.getUrlBlockReason('http://2130706433/')).resolves.toBe('Private IP addresses are not allowed');
+      await expect(addressGuard.getUrlBlockReason('http://[::ffff:127.0.0.1]:8080/')).resolves
+        .toBe('Private IP addresses are not allowed');
+      await expect(addressGuard.getUrlBlockReason('http://[::7f00:1]/')).resolves.toBe('Private IP addresses are not allowed');
+      await expect(addressGuard.getUrlBlockReason('http://[64:ff9b::a9fe:a9fe]/')).resolves
+        .toBe('Private IP addresses are not allowed');
+      await expect(addressGuard.getUrlBlockReason('https://8.8.8.8/')).resolves.toBeNull();
+    });
+
+    it('blocks hostnames that resolve to a private address', async () => {
+      jest.spyOn(require('dns').promises, 'lookup').mockResolvedValue([{ address: '10.0.0.5', family: 4 }]);
+      await expect(addressGuard.getUrlBlockReason('https://intranet.example.com/')).resolves
+        .toBe('intranet.example.com resolves to a private address');
+      jest.restoreAllMocks();
+    });
+  });
+});
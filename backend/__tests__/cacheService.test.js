@@ -0,0 +1,73 @@
+const cacheService = require('../services/cacheService');
+const { MemoryLruStore } = require('../services/cache');
+
+describe('cacheService', () => {
+  beforeEach(() => cacheService.setStore(new MemoryLruStore({ maxEntries: 2 })));
+
+  describe('wrap', () => {
+    it('computes once and serves later calls from the cache', async () => {
+      const compute = jest.fn().mockResolvedValue({ score: 80 });
+      const first = await cacheService.wrap('analysis:a', compute);
+      const second = await cacheService.wrap('analysis:a', compute);
+
+      expect(compute).toHaveBeenCalledTimes(1);
+      expect(first.cache).toMatchObject({ hit: false, coalesced: false });
+      expect(second).toMatchObject({ value: { score: 80 }, cache: { hit: true, coalesced: false } });
+    });
+
+    it('shares one computation between concurrent callers', async () => {
+      let finish;
+      const compute = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+      const calls = [1, 2, 3].map(() => cacheService.wrap('analysis:b', compute));
+      await new Promise(resolve => setImmediate(resolve));
+      finish({ score: 70 });
+      const results = await Promise.all(calls);
+
+      expect(compute).toHaveBeenCalledTimes(1);
+      expect(results.map(result => result.value)).toEqual([{ score: 70 }, { score: 70 }, { score: 70 }]);
+      expect(results.map(result => result.cache.coalesced)).toEqual([false, true, true]);
+    });
+
+    it('shares a failure with concurrent callers without caching it', async () => {
+      const failing = jest.fn().mockRejectedValue(new Error('Fetch failed'));
+      const calls = [1, 2].map(() => cacheService.wrap('analysis:c', failing));
+      await expect(Promise.all(calls)).rejects.toThrow('Fetch failed');
+      expect(failing).toHaveBeenCalledTimes(1);
+
+      const retry = await cacheService.wrap('analysis:c', async () => ({ score: 60 }));
+      expect(retry).toMatchObject({ value: { score: 60 }, cache: { hit: false, coalesced: false } });
+    });
+
+    it('recomputes when forced or expired', async () => {
+      const compute = jest.fn().mockResolvedValue({});
+      await cacheService.wrap('analysis:d', compute, { ttl: 1 });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await cacheService.wrap('analysis:d', compute);
+      await cacheService.wrap('analysis:d', compute, { force: true });
+      expect(compute).toHaveBeenCalledTimes(3);
+    });
+
+    it('evicts the least recently used entry', async () => {
+      const compute = jest.fn(async () => ({}));
+      await cacheService.wrap('a', compute);
+      await cacheService.wrap('b', compute);
+      await cacheService.wrap('a', compute);
+      await cacheService.wrap('c', compute);
+
+      expect((await cacheService.wrap('a', compute)).cache.hit).toBe(true);
+      expect((await cacheService.wrap('b', compute)).cache.hit).toBe(false);
+    });
+  });
+
+  describe('buildKey', () => {
+    it('ignores fragments, host case, query order and option order', () => {
+      expect(cacheService.buildKey('analysis', 'https://Shop.Example.com/p?b=2&a=1#top', { checkLinks: true, profile: 'default' }))
+        .toBe(cacheService.buildKey('analysis', 'https://shop.example.com/p?a=1&b=2', { profile: 'default', checkLinks: true, force: undefined }));
+    });
+
+    it('separates results of different options', () => {
+      expect(cacheService.buildKey('analysis', 'https://shop.example.com/', { checkLinks: true }))
+        .not.toBe(cacheService.buildKey('analysis', 'https://shop.example.com/', { checkLinks: false }));
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const cheerio = require('cheerio');
+const canonicalService = require('../services/canonicalService');
+const seoAnalyzer = require('../services/seoAnalyzer');
+
+const pageUrl = 'https://shop.example.com/shoes';
+const ids = section => section.findings.map(finding => finding.id);
+const page = (head = '') => cheerio.load(`<html><head>${head}</head><body></body></html>`);
+
+describe('canonicalService', () => {
+  describe('isNoindex', () => {
+    it.each([
+      ['<meta name="robots" content="noindex, follow">', {}, true],
+      ['<meta name="googlebot" content="none">', {}, true],
+      ['<meta name="robots" content="max-image-preview:none, max-snippet:-1">', {}, false],
+      ['', { 'X-Robots-Tag': 'noindex' }, true],
+      ['', { 'x-robots-tag': 'bingbot: noindex' }, true],
+      ['', { 'x-robots-tag': 'otherbot: noindex' }, false],
+      ['', { 'x-robots-tag': ['max-video-preview:0', 'max-image-preview:none'] }, false]
+    ])('reads %s with headers %j as noindex=%s', (head, headers, noindex) => {
+      expect(canonicalService.isNoindex(page(head), headers)).toBe(noindex);
+    });
+  });
+
+  describe('checkTarget', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    const respond = result => jest.spyOn(canonicalService.fetcher, 'request').mockImplementation(async () => {
+      if (result instanceof Error) throw result;
+      return result;
+    });
+
+    it('reports the status, redirects and noindex of the target', async () => {
+      respond({
+        response: { status: 200, headers: { 'x-robots-tag': 'noindex' }, data: '<html></html>' },
+        redirects: [{ url: pageUrl, statusCode: 301, location: `${pageUrl}/` }],
+        finalUrl: `${pageUrl}/`
+      });
+      await expect(canonicalService.checkTarget(pageUrl)).resolves
+        .toEqual({ statusCode: 200, redirects: 1, finalUrl: `${pageUrl}/`, noindex: true, error: null });
+    });
+
+    it('reports a redirect to a refused address as an error', async () => {
+      respond({
+        response: { status: 302, headers: {}, data: '' },
+        redirects: [],
+        finalUrl: pageUrl,
+        blocked: { url: 'http://10.0.0.1/', reason: 'Private IP addresses are not allowed' }
+      });
+      const check = await canonicalService.checkTarget(pageUrl);
+      expect(check.statusCode).toBeNull();
+      expect(check.error).toMatch(/Private IP addresses are not allowed/);
+    });
+
+    it('keeps the status of error responses', async () => {
+      respond(Object.assign(new Error('Request failed'), { response: { status: 503 } }));
+      await expect(canonicalService.checkTarget(pageUrl)).resolves.toMatchObject({ statusCode: 503, error: null });
+    });
+  });
+});
+
+describe('seoAnalyzer.analyzeCanonical', () => {
+  it('checks a self-canonical page against its own response', () => {
+    const canonical = seoAnalyzer.analyzeCanonical(
+      page(`<link rel="canonical" href="${pageUrl}">`),
+      pageUrl,
+      { statusCode: 200, headers: { 'X-Robots-Tag': 'max-image-preview:none' } }
+    );
+    expect(canonical).toMatchObject({ target: pageUrl, selfCanonical: true });
+    expect(ids(canonical)).toEqual([]);
+  });
+
+  it('reports a self-canonical page that is noindex', () => {
+    const canonical = seoAnalyzer.analyzeCanonical(
+      page(`<link rel="canonical" href="${pageUrl}">`),
+      pageUrl,
+      { statusCode: 200, headers: { 'X-Robots-Tag': 'googlebot: noindex' } }
+    );
+    expect(ids(canonical)).toEqual(['canonical.target_noindex']);
+  });
+
+  it('treats the final URL after redirects as the page', () => {
+    const canonical = seoAnalyzer.analyzeCanonical(
+      page('<link rel="canonical" href="https://www.example.com/">'),
+      'http://example.com/',
+      { statusCode: 200, finalUrl: 'https://www.example.com/' }
+    );
+    expect(canonical.selfCanonical).toBe(true);
+  });
+
+  it('reports relative and conflicting canonicals', () => {
+    const canonical = seoAnalyzer.analyzeCanonical(
+      page('<link rel="canonical" href="/boots"><link rel="canonical" href="https://shop.example.com/heels">'
+        + '<meta property="og:url" content="https://shop.example.com/sandals">'),
+      pageUrl,
+      { statusCode: 200, headers: { link: '<https://shop.example.com/flats>; rel="canonical"' } }
+    );
+    expect(ids(canonical)).toEqual([
+      'canonical.relative',
+      'canonical.multiple',
+      'canonical.header_conflict',
+      'canonical.og_url_conflict'
+    ]);
+    expect(canonical.selfCanonical).toBe(false);
+  });
+
+  it('reads the canonical from the Link header when the markup has none', () => {
+    const canonical = seoAnalyzer.analyzeCanonical(page(), pageUrl, {
+      headers: { Link: '<https://other.example.com/shoes>; rel="canonical"' }
+    });
+    expect(canonical.target).toBe('https://other.example.com/shoes');
+    expect(ids(canonical)).toEqual(['canonical.off_host']);
+  });
+
+  it('reports canonicals that are not http(s) URLs', () => {
+    expect(ids(seoAnalyzer.analyzeCanonical(page('<link rel="canonical" href="mailto:shop@example.com">'), pageUrl)))
+      .toEqual(['canonical.malformed']);
+  });
+
+  it('grades a fetched canonical target', async () => {
+    const canonical = seoAnalyzer.analyzeCanonical(page('<link rel="canonical" href="https://shop.example.com/all">'), pageUrl);
+    jest.spyOn(canonicalService, 'checkTarget')
+      .mockResolvedValue({ statusCode: 200, redirects: 0, finalUrl: canonical.target, noindex: true, error: null });
+    await seoAnalyzer.verifyCanonical(canonical);
+    expect(ids(canonical)).toEqual(['canonical.target_noindex']);
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,42 @@
+const express = require('express');
+const request = require('supertest');
+const seoRoutes = require('../routes/seo');
+
+const app = express();
+app.use(express.json());
+app.use('/api/seo', seoRoutes);
+
+const analysis = {
+  metadata: { title: { content: 'Shoes' } },
+  links: { internal: [], external: [] },
+  structuredData: { types: [] }
+};
+
+describe('POST /api/seo/compare', () => {
+  it('compares two analyses', async () => {
+    const response = await request(app).post('/api/seo/compare').send({ a: analysis, b: analysis });
+    expect(response.status).toBe(200);
+    expect(response.body.comparison.values.title.changed).toBe(false);
+  });
+
+  it('compares analyses with fields left out', async () => {
+    const response = await request(app).post('/api/seo/compare')
+      .send({ a: { metadata: {}, links: {}, structuredData: {} }, b: analysis });
+    expect(response.status).toBe(200);
+  });
+
+  it('rejects malformed payloads with a 400', async () => {
+    const response = await request(app).post('/api/seo/compare').send({
+      a: { metadata: { title: 'Shoes' }, links: { internal: 'none' }, structuredData: { types: null } },
+      b: { metadata: {} }
+    });
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([
+      'a.metadata.title must be an object',
+      'a.links.internal must be an array',
+      'a.structuredData.types must be an array',
+      'b.links is missing',
+      'b.structuredData is missing'
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+const ruleRegistry = require('../services/ruleRegistry');
+const comparisonService = require('../services/comparisonService');
+
+const section = (...findings) => {
+  const result = { issues: [], findings: [] };
+  findings.forEach(([id, evidence]) => ruleRegistry.addFinding(result, id, evidence));
+  return result;
+};
+
+const brokenLinks = (...hrefs) => ['links.broken', { count: hrefs.length, links: hrefs.map(href => ({ href })) }];
+
+const summary = diff => ({
+  resolved: diff.resolved.map(issue => issue.id || issue.message),
+  introduced: diff.introduced.map(issue => issue.id || issue.message),
+  unchanged: diff.unchanged.map(issue => issue.id || issue.message)
+});
+
+describe('comparisonService.diffIssues', () => {
+  it('matches findings of the same rule about the same elements', () => {
+    const before = { links: section(brokenLinks('https://a.example/x')) };
+    const after = { links: section(brokenLinks('https://a.example/x')) };
+    expect(summary(comparisonService.diffIssues(before, after)))
+      .toEqual({ resolved: [], introduced: [], unchanged: ['links.broken'] });
+  });
+
+  it('ignores the order of elements', () => {
+    const before = { links: section(brokenLinks('https://a.example/x', 'https://a.example/y')) };
+    const after = { links: section(brokenLinks('https://a.example/y', 'https://a.example/x')) };
+    expect(comparisonService.diffIssues(before, after).unchanged).toHaveLength(1);
+  });
+
+  it('treats a finding about other elements as resolved and introduced', () => {
+    const before = { links: section(brokenLinks('https://a.example/x')) };
+    const after = { links: section(brokenLinks('https://a.example/y')) };
+    expect(summary(comparisonService.diffIssues(before, after)))
+      .toEqual({ resolved: ['links.broken'], introduced: ['links.broken'], unchanged: [] });
+  });
+
+  it('does not match a changed message as a new issue', () => {
+    const before = { redirects: section(['redirects.chain', { hops: 2, finalUrl: 'https://a.example/' }]) };
+    const after = { redirects: section(['redirects.chain', { hops: 3, finalUrl: 'https://a.example/' }]) };
+    expect(summary(comparisonService.diffIssues(before, after)))
+      .toEqual({ resolved: [], introduced: [], unchanged: ['redirects.chain'] });
+  });
+
+  it('counts changes per section', () => {
+    const before = { links: section(brokenLinks('https://a.example/x')), redirects: section() };
+    const after = { links: section(), redirects: section(['redirects.chain', { hops: 2, finalUrl: 'https://a.example/' }]) };
+    expect(comparisonService.diffIssues(before, after).bySection).toEqual({
+      links: { resolved: 1, introduced: 0, unchanged: 0 },
+      redirects: { resolved: 0, introduced: 1, unchanged: 0 }
+    });
+  });
+
+  it('falls back to message text for reports without rule IDs', () => {
+    const before = { links: { issues: ['Found 1 broken links', 'Old issue'] } };
+    const after = { links: section(brokenLinks('https://a.example/x')) };
+    expect(summary(comparisonService.diffIssues(before, after)))
+      .toEqual({ resolved: ['Old issue'], introduced: [], unchanged: ['links.broken'] });
+  });
+});
+
+describe('comparisonService.compare', () => {
+  const analysis = (title, links, types) => ({
+    score: 80,
+    metadata: { title: { content: title }, description: { content: 'Shoes' }, canonical: null, robots: null },
+    links: { internal: links.map(url => ({ url })), external: [] },
+    structuredData: { types }
+  });
+
+  it('diffs values, links and structured data types', () => {
+    const comparison = comparisonService.compare(
+      analysis('Shoes', ['https://a.example/x'], ['Product']),
+      analysis('Boots', ['https://a.example/y'], ['Product', 'BreadcrumbList'])
+    );
+    expect(comparison.values.title).toEqual({ before: 'Shoes', after: 'Boots', changed: true });
+    expect(comparison.links).toEqual({ added: ['https://a.example/y'], removed: ['https://a.example/x'] });
+    expect(comparison.structuredData).toEqual({ added: ['BreadcrumbList'], removed: [] });
+  });
+
+  it('treats missing fields as empty', () => {
+    const comparison = comparisonService.compare(
+      { metadata: {}, links: {}, structuredData: {} },
+      analysis('Boots', ['https://a.example/y'], ['Product'])
+    );
+    expect(comparison.values.title).toEqual({ before: null, after: 'Boots', changed: true });
+    expect(comparison.links.added).toEqual(['https://a.example/y']);
+    expect(comparison.structuredData.added).toEqual(['Product']);
+  });
+});
@@ -0,0 +1,43 @@
+const express = require('express');
+const request = require('supertest');
+const scrapeService = require('../services/scrapeService');
+const seoRoutes = require('../routes/seo');
+
+const app = express();
+app.use(express.json());
+app.use('/api/seo', seoRoutes);
+
+const html = '<html><head><meta name="description" content="Shoes"></head><body><h1>Shoes</h1><p>Shoes for sale.</p></body></html>';
+
+describe('POST /api/seo/crawl', () => {
+  beforeEach(() => {
+    jest.spyOn(scrapeService, 'scrapeUrl').mockImplementation(async url => ({
+      html,
+      metadata: { statusCode: 200, headers: {}, finalUrl: url, fetcher: 'direct' }
+    }));
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const crawl = options => request(app)
+    .post('/api/seo/crawl')
+    .send({ url: 'https://shop.example.com/', options: { maxPages: 1, respectRobots: false, ...options } });
+  const findingIds = response => response.body.pages[0].results.findings.map(finding => finding.id);
+
+  it('applies the profile to every crawled page', async () => {
+    const plain = await crawl();
+    expect(plain.status).toBe(200);
+    expect(findingIds(plain)).toContain('meta.title.missing');
+
+    const profiled = await crawl({ profile: { disabledRules: ['meta.title.missing'] } });
+    expect(profiled.status).toBe(200);
+    expect(profiled.body.pages[0].results.profile).toBe('custom');
+    expect(findingIds(profiled)).not.toContain('meta.title.missing');
+    expect(profiled.body.summary.commonIssues.map(issue => issue.id)).not.toContain('meta.title.missing');
+  });
+
+  it('rejects invalid profiles', async () => {
+    const response = await crawl({ profile: 'missing' });
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual(['Unknown profile: missing']);
+  });
+});
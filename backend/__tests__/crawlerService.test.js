@@ -0,0 +1,73 @@
+const crawlerService = require('../services/crawlerService');
+const scrapeService = require('../services/scrapeService');
+const { validateCrawlParams } = require('../utils/validators');
+
+const site = {
+  'https://www.example.com/': '<a href="/blog/first">First</a><a href="/blog/drafts/second">Second</a><a href="/shop?page=2">Shop</a>',
+  'https://www.example.com/blog/first': '<p>First post</p>',
+  'https://www.example.com/blog/drafts/second': '<p>Draft</p>',
+  'https://www.example.com/shop?page=2': '<p>Shop</p>'
+};
+
+describe('crawlerService', () => {
+  beforeEach(() => {
+    // The start URL redirects to https://www.example.com/
+    jest.spyOn(scrapeService, 'scrapeUrl').mockImplementation(async url => {
+      const finalUrl = url === 'http://example.com/' ? 'https://www.example.com/' : url;
+      return {
+        html: `<html><head><title>Page</title></head><body>${site[finalUrl]}</body></html>`,
+        metadata: { statusCode: 200, headers: {}, finalUrl, fetcher: 'direct' }
+      };
+    });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const crawledUrls = crawl => crawl.pages.map(page => page.url);
+
+  it('follows links on the origin the start URL redirects to', async () => {
+    const crawl = await crawlerService.crawl('http://example.com/', { respectRobots: false });
+    expect(crawledUrls(crawl)).toEqual([
+      'http://example.com/',
+      'https://www.example.com/blog/first',
+      'https://www.example.com/blog/drafts/second',
+      'https://www.example.com/shop?page=2'
+    ]);
+  });
+
+  it('filters URLs with path patterns', async () => {
+    const crawl = await crawlerService.crawl('http://example.com/', {
+      respectRobots: false,
+      include: ['/blog/'],
+      exclude: ['/*/drafts/']
+    });
+    expect(crawledUrls(crawl)).toEqual(['http://example.com/', 'https://www.example.com/blog/first']);
+    expect(crawl.skipped.map(entry => entry.url)).toEqual([
+      'https://www.example.com/blog/drafts/second',
+      'https://www.example.com/shop?page=2'
+    ]);
+  });
+
+  it('matches the query and end anchors', () => {
+    const matches = (url, include, exclude = []) => crawlerService.matchesFilters(url, include, exclude);
+    expect(matches('https://www.example.com/shop?page=2', ['/shop?page='])).toBe(true);
+    expect(matches('https://www.example.com/shop/item', ['/shop$'])).toBe(false);
+    expect(matches('https://www.example.com/shop', ['/shop$'])).toBe(true);
+  });
+});
+
+describe('validateCrawlParams', () => {
+  it('accepts path patterns', () => {
+    expect(validateCrawlParams({ include: ['/blog/*'], exclude: ['/*.pdf$'] }).isValid).toBe(true);
+  });
+
+  it.each([
+    ['a string', { include: '/blog/' }, 'include must be an array of strings'],
+    ['regular expressions', { include: ['(a+)+$'] }, 'include patterns must be paths starting with /'],
+    ['long patterns', { exclude: [`/${'a'.repeat(200)}`] }, 'exclude patterns must be paths starting with / of at most 200 characters'],
+    ['too many patterns', { exclude: Array(21).fill('/a') }, 'exclude cannot contain more than 20 patterns']
+  ])('rejects %s', (_, params, error) => {
+    const result = validateCrawlParams(params);
+    expect(result.isValid).toBe(false);
+    expect(result.errors.join('\n')).toContain(error);
+  });
+});
@@ -0,0 +1,109 @@
+const cheerio = require('cheerio');
+const hreflangService = require('../services/hreflangService');
+const seoAnalyzer = require('../services/seoAnalyzer');
+
+const pageUrl = 'https://shop.example.com/en/';
+const ids = section => section.findings.map(finding => finding.id);
+const alternates = links => links.map(([hreflang, href]) => `<link rel="alternate" hreflang="${hreflang}" href="${href}">`).join('');
+const page = (head, lang = 'en') => cheerio.load(`<html lang="${lang}"><head>${head}</head><body></body></html>`);
+
+describe('hreflangService', () => {
+  describe('parseCode', () => {
+    it.each([
+      ['en', { valid: true, language: 'en', region: null }],
+      ['en-gb', { valid: true, language: 'en', region: 'GB' }],
+      ['zh-hant-TW', { valid: true, language: 'zh', script: 'Hant', region: 'TW' }],
+      ['x-default', { valid: true, xDefault: true }]
+    ])('accepts %s', (code, expected) => {
+      expect(hreflangService.parseCode(code)).toMatchObject(expected);
+    });
+
+    it.each([
+      ['en-UK', 'UK is not an ISO 3166-1 alpha-2 country code'],
+      ['eng', 'eng is not an ISO 639-1 language code'],
+      ['en_US', 'expected a language code optionally followed by a region, e.g. en or en-GB'],
+      ['en-XA', 'XA is not an ISO 3166-1 alpha-2 country code']
+    ])('rejects %s', (code, reason) => {
+      expect(hreflangService.parseCode(code)).toMatchObject({ valid: false, reason });
+    });
+  });
+
+  describe('extractAnnotations', () => {
+    it('reads link elements and the Link header', () => {
+      const $ = page(`${alternates([['en', '/en/']])}<link rel="stylesheet" hreflang="de" href="/de.css">`);
+      const annotations = hreflangService.extractAnnotations($, {
+        link: '<https://shop.example.com/de/>; rel="alternate"; hreflang="de"'
+      }, pageUrl);
+      expect(annotations).toEqual([
+        { hreflang: 'en', href: '/en/', url: pageUrl, source: 'html', absolute: false },
+        { hreflang: 'de', href: 'https://shop.example.com/de/', url: 'https://shop.example.com/de/', source: 'header', absolute: true }
+      ]);
+    });
+  });
+});
+
+describe('seoAnalyzer.analyzeInternational', () => {
+  it('passes a complete annotation set', () => {
+    const international = seoAnalyzer.analyzeInternational(page(alternates([
+      ['en', pageUrl],
+      ['de', 'https://shop.example.com/de/'],
+      ['x-default', pageUrl]
+    ])), pageUrl);
+    expect(international).toMatchObject({ selfReference: 'en', xDefault: true });
+    expect(ids(international)).toEqual([]);
+  });
+
+  it('reports invalid, relative, duplicate and missing annotations', () => {
+    const international = seoAnalyzer.analyzeInternational(page(alternates([
+      ['en-UK', '/uk/'],
+      ['de', 'https://shop.example.com/de/'],
+      ['de', 'https://shop.example.com/at/']
+    ])), pageUrl);
+    expect(ids(international)).toEqual([
+      'hreflang.invalid_code',
+      'hreflang.relative_url',
+      'hreflang.duplicate_code',
+      'hreflang.missing_self_reference',
+      'hreflang.missing_x_default'
+    ]);
+  });
+
+  it('reports an html lang that disagrees with the self reference', () => {
+    const international = seoAnalyzer.analyzeInternational(page(alternates([
+      ['en', pageUrl],
+      ['x-default', pageUrl]
+    ]), 'fr'), pageUrl);
+    expect(ids(international)).toEqual(['hreflang.lang_mismatch']);
+  });
+});
+
+describe('seoAnalyzer.verifyHreflang', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('reports alternates without a return link or that cannot be fetched', async () => {
+    const responses = {
+      'https://shop.example.com/de/': { status: 200, headers: {}, data: alternates([['en', pageUrl]]) },
+      'https://shop.example.com/fr/': { status: 200, headers: {}, data: '<html></html>' },
+      'https://shop.example.com/es/': { status: 404, headers: {}, data: '' }
+    };
+    jest.spyOn(hreflangService.fetcher, 'request').mockImplementation(async url => ({
+      response: responses[url],
+      redirects: [],
+      finalUrl: url
+    }));
+
+    const international = seoAnalyzer.analyzeInternational(page(alternates([
+      ['en', pageUrl],
+      ['de', 'https://shop.example.com/de/'],
+      ['fr', 'https://shop.example.com/fr/'],
+      ['es', 'https://shop.example.com/es/'],
+      ['x-default', pageUrl]
+    ])), pageUrl);
+    await seoAnalyzer.verifyHreflang(international, pageUrl);
+
+    expect(hreflangService.fetcher.request).toHaveBeenCalledTimes(3);
+    expect(ids(international)).toEqual(['hreflang.no_return_link', 'hreflang.alternate_unreachable']);
+    expect(international.findings.map(finding => finding.evidence.href))
+      .toEqual(['https://shop.example.com/fr/', 'https://shop.example.com/es/']);
+  });
+});
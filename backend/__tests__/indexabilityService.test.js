@@ -0,0 +1,120 @@
+const cheerio = require('cheerio');
+const indexabilityService = require('../services/indexabilityService');
+const seoAnalyzer = require('../services/seoAnalyzer');
+
+const pageUrl = 'https://shop.example.com/shoes';
+const page = (head = '', body = '') => cheerio.load(`<html><head>${head}</head><body>${body}</body></html>`);
+const ids = section => section.findings.map(finding => finding.id);
+
+describe('indexabilityService', () => {
+  describe('parseDirectives', () => {
+    it('reads flags and values, keeping the most restrictive', () => {
+      expect(indexabilityService.parseDirectives('none, max-snippet:50, max-snippet:-1, max-image-preview:large, max-image-preview:none, bogus'))
+        .toEqual({
+          noindex: true,
+          nofollow: true,
+          nosnippet: false,
+          noarchive: false,
+          noimageindex: false,
+          maxSnippet: 50,
+          maxImagePreview: 'none',
+          maxVideoPreview: null,
+          unavailableAfter: null,
+          unknown: ['bogus']
+        });
+    });
+
+    it('keeps dates with a comma in unavailable_after', () => {
+      expect(indexabilityService.parseDirectives('unavailable_after: Friday, 25-Jun-2010 15:00:00 GMT, noarchive'))
+        .toMatchObject({ unavailableAfter: 'Friday, 25-Jun-2010 15:00:00 GMT', noarchive: true });
+    });
+  });
+
+  describe('collectDirectives', () => {
+    it('applies meta tags and X-Robots-Tag values to the bots they name', () => {
+      const bots = indexabilityService.collectDirectives(
+        page('<meta name="robots" content="nofollow"><meta name="GOOGLEBOT" content="noindex">'),
+        { 'x-robots-tag': 'noarchive, bingbot: nosnippet, max-snippet: 20' }
+      );
+      expect(bots.googlebot).toMatchObject({ noindex: true, nofollow: true, noarchive: true, nosnippet: false });
+      expect(bots.bingbot).toMatchObject({ noindex: false, nofollow: true, nosnippet: true, maxSnippet: 20 });
+      expect(bots.bingbot.sources.map(source => source.source)).toEqual(['meta robots', 'X-Robots-Tag', 'X-Robots-Tag bingbot']);
+    });
+
+    it('ignores directives for other bots', () => {
+      const bots = indexabilityService.collectDirectives(page('<meta name="otherbot" content="noindex">'), {
+        'x-robots-tag': 'otherbot: noindex'
+      });
+      expect(bots.googlebot.noindex).toBe(false);
+      expect(bots.bingbot.noindex).toBe(false);
+    });
+  });
+
+  describe('findNosnippet', () => {
+    it('counts marked elements and lists unsupported ones', () => {
+      expect(indexabilityService.findNosnippet(page('', '<div data-nosnippet>a</div><p data-nosnippet>b</p>')))
+        .toEqual({ count: 2, unsupported: ['p'] });
+    });
+  });
+});
+
+describe('seoAnalyzer.analyzeIndexability', () => {
+  it('finds an indexable page', () => {
+    const indexability = seoAnalyzer.analyzeIndexability(page(), pageUrl, {}, { statusCode: 200 });
+    expect(indexability).toMatchObject({ verdict: 'indexable', indexable: true });
+    expect(ids(indexability)).toEqual([]);
+  });
+
+  it('ranks the verdicts and keeps every reason', () => {
+    const indexability = seoAnalyzer.analyzeIndexability(
+      page('<meta name="robots" content="noindex">'),
+      pageUrl,
+      {
+        robots: { verdicts: { googlebot: { allowed: false }, bingbot: { allowed: true } } },
+        canonical: { target: 'https://shop.example.com/all', selfCanonical: false }
+      },
+      { statusCode: 200 }
+    );
+    expect(indexability.verdict).toBe('blocked');
+    expect(indexability.reasons).toEqual([
+      'robots.txt disallows crawling for googlebot',
+      'noindex for googlebot (meta robots)',
+      'noindex for bingbot (meta robots)',
+      'Canonical URL points to https://shop.example.com/all'
+    ]);
+    expect(ids(indexability)).toEqual(['indexability.noindex', 'indexability.blocked_noindex']);
+  });
+
+  it('reports non-200 responses first', () => {
+    const indexability = seoAnalyzer.analyzeIndexability(page(), pageUrl, {}, { statusCode: 404 });
+    expect(indexability.verdict).toBe('non-200');
+    expect(ids(indexability)).toEqual(['indexability.non_200']);
+  });
+
+  it('reports passed or invalid unavailable_after dates', () => {
+    const passed = seoAnalyzer.analyzeIndexability(page(), pageUrl, {}, {
+      statusCode: 200,
+      headers: { 'X-Robots-Tag': 'googlebot: unavailable_after: 2010-06-25' }
+    });
+    expect(passed.verdict).toBe('noindex');
+    expect(ids(passed)).toEqual(['indexability.unavailable_after_passed']);
+
+    const invalid = seoAnalyzer.analyzeIndexability(page('<meta name="robots" content="unavailable_after: soon">'), pageUrl, {}, { statusCode: 200 });
+    expect(invalid.verdict).toBe('indexable');
+    expect(ids(invalid)).toEqual(['indexability.unavailable_after_invalid']);
+  });
+
+  it('reports suppressed snippets, unknown directives and unsupported data-nosnippet', () => {
+    const indexability = seoAnalyzer.analyzeIndexability(
+      page('<meta name="robots" content="max-snippet:0, noodp">', '<p data-nosnippet>Price</p>'),
+      pageUrl,
+      {},
+      { statusCode: 200 }
+    );
+    expect(ids(indexability)).toEqual([
+      'indexability.snippet_suppressed',
+      'indexability.unknown_directive',
+      'indexability.data_nosnippet_unsupported'
+    ]);
+  });
+});
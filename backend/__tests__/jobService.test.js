@@ -0,0 +1,129 @@
+const jobService = require('../services/jobService');
+const analysisService = require('../services/analysisService');
+const reportService = require('../services/reportService');
+const scrapeService = require('../services/scrapeService');
+const seoAnalyzer = require('../services/seoAnalyzer');
+
+// Resolves with the job once it reaches the given state
+const waitForState = (id, state) => new Promise(resolve => {
+  const unsubscribe = jobService.subscribe(id, event => {
+    if (event.type === 'state' && event.state === state) {
+      unsubscribe();
+      resolve(jobService.get(id));
+    }
+  });
+});
+
+const html = '<html><head><title>Shoes</title></head><body><p>Shoes</p></body></html>';
+
+describe('jobService', () => {
+  beforeAll(() => {
+    jobService.retryDelay = 0;
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('runs a job and records its progress events', async () => {
+    jobService.registerHandler('test-success', async (payload, { reportProgress }) => {
+      await reportProgress({ percent: 50, step: 'half' });
+      return { doubled: payload.value * 2 };
+    });
+
+    const created = await jobService.create('test-success', { value: 21 });
+    const job = await waitForState(created.id, 'succeeded');
+
+    expect(job).toMatchObject({ state: 'succeeded', result: { doubled: 42 }, attempts: 1, progress: { percent: 100 } });
+    expect(job.events.map(event => event.type === 'state' ? event.state : event.step))
+      .toEqual(['running', 'half', 'succeeded']);
+    expect(job.events.map(event => event.seq)).toEqual([1, 2, 3]);
+  });
+
+  it('retries a failing job until it runs out of attempts', async () => {
+    const handler = jest.fn().mockRejectedValue(new Error('Upstream timeout'));
+    jobService.registerHandler('test-failure', handler);
+
+    const created = await jobService.create('test-failure', {}, { maxAttempts: 2 });
+    const job = await waitForState(created.id, 'failed');
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(job).toMatchObject({ state: 'failed', attempts: 2, error: 'Upstream timeout' });
+    expect(job.expiresAt).not.toBeNull();
+  });
+
+  it('aborts the signal of a cancelled running job', async () => {
+    let signal;
+    let started;
+    const running = new Promise(resolve => { started = resolve; });
+    jobService.registerHandler('test-cancel', (payload, hooks) => new Promise((resolve, reject) => {
+      signal = hooks.signal;
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+      started();
+    }));
+
+    const created = await jobService.create('test-cancel', {});
+    await running;
+    const cancelled = await jobService.cancel(created.id);
+
+    expect(signal.aborted).toBe(true);
+    expect(cancelled.state).toBe('cancelled');
+    await new Promise(resolve => setImmediate(resolve));
+    expect((await jobService.get(created.id)).state).toBe('cancelled');
+  });
+
+  it('cancels a queued job before it starts', async () => {
+    const handler = jest.fn().mockResolvedValue({});
+    jobService.registerHandler('test-queued', handler);
+    const blockers = [];
+    jobService.registerHandler('test-blocker', () => new Promise(resolve => blockers.push(resolve)));
+
+    const running = await Promise.all(Array.from({ length: jobService.concurrency }, () => jobService.create('test-blocker', {})));
+    const queued = await jobService.create('test-queued', {});
+    expect((await jobService.cancel(queued.id)).state).toBe('cancelled');
+
+    blockers.forEach(resolve => resolve({}));
+    await Promise.all(running.map(job => waitForState(job.id, 'succeeded')));
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('passes the job signal through the analysis into the fetch', async () => {
+    const scrape = jest.spyOn(scrapeService, 'scrapeUrl').mockResolvedValue({
+      html,
+      metadata: { statusCode: 200, headers: {}, finalUrl: 'https://shop.example.com/', fetcher: 'direct' }
+    });
+
+    jest.spyOn(reportService, 'saveAnalysis').mockResolvedValue({ id: 'report-1' });
+
+    const created = await jobService.create('analysis', {
+      url: 'https://shop.example.com/',
+      options: { force: true, includeRobots: false }
+    });
+    const job = await waitForState(created.id, 'succeeded');
+
+    expect(scrape.mock.calls[0][1].signal).toBeInstanceOf(AbortSignal);
+    expect(job.result).toMatchObject({ reportId: 'report-1', results: { score: expect.any(Number) } });
+    expect(job.events.some(event => event.type === 'section')).toBe(true);
+  });
+});
+
+describe('abort signal', () => {
+  it('stops the analysis between sections', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(seoAnalyzer.analyze(html, 'https://shop.example.com/', { signal: controller.signal }, { statusCode: 200 }))
+      .rejects.toThrow('Analysis was cancelled');
+  });
+
+  it('stops a batch from starting more URLs', async () => {
+    const controller = new AbortController();
+    const run = jest.spyOn(analysisService, 'run').mockImplementation(async () => {
+      controller.abort();
+      return { results: { score: 50 }, metadata: {}, reportId: null, cache: {} };
+    });
+
+    await analysisService.runBatch(['https://a.example/', 'https://b.example/', 'https://c.example/'], {}, 1, {
+      signal: controller.signal
+    });
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(run.mock.calls[0][1].signal).toBe(controller.signal);
+    run.mockRestore();
+  });
+});
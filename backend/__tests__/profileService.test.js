@@ -0,0 +1,59 @@
+const profileService = require('../services/profileService');
+
+const section = () => ({
+  issues: ['Too few paragraphs', 'Thin content'],
+  findings: [
+    { id: 'content.few_paragraphs', message: 'Too few paragraphs', severity: 'medium' },
+    { id: 'content.thin', message: 'Thin content', severity: 'high' }
+  ]
+});
+
+describe('profileService', () => {
+  describe('resolve', () => {
+    it('returns the default profile when none is selected', () => {
+      expect(profileService.resolve().name).toBe('default');
+    });
+
+    it('merges inline definitions over the profile they extend', () => {
+      const profile = profileService.resolve({
+        extends: 'landing-page',
+        thresholds: { title: { max: 70 } },
+        disabledRules: ['meta.title.missing']
+      });
+      expect(profile.name).toBe('custom');
+      expect(profile.thresholds.title).toEqual({ min: 30, max: 70 });
+      expect(profile.thresholds.paragraphs).toEqual({ min: 1 });
+      expect(profile.disabledRules).toEqual(['content.few_paragraphs', 'meta.title.missing']);
+      expect(profile.severities).toEqual({ 'content.thin': 'low' });
+    });
+
+    it('throws on invalid profiles', () => {
+      expect(() => profileService.resolve('missing')).toThrow('Unknown profile: missing');
+    });
+  });
+
+  describe('validate', () => {
+    it.each([
+      [{ thresholds: { title: { min: 'short' } } }, 'profile.thresholds.title.min must be a non-negative integer'],
+      [{ thresholds: { headings: { min: 1 } } }, 'profile.thresholds.headings is not a known threshold'],
+      [{ thresholds: { title: { min: 80 } } }, 'profile.thresholds.title.min must not be greater than max (80 > 60 with default)'],
+      [{ disabledRules: ['no.such.rule'] }, 'profile.disabledRules contains an unknown rule: no.such.rule'],
+      [{ severities: { 'content.thin': 'urgent' } }, 'profile.severities.content.thin must be one of']
+    ])('rejects %j', (profile, error) => {
+      expect(profileService.validate(profile).join('\n')).toContain(error);
+    });
+
+    it('accepts registered names and valid definitions', () => {
+      expect(profileService.validate('japanese')).toEqual([]);
+      expect(profileService.validate({ thresholds: { content: { unit: 'characters', min: 500 } } })).toEqual([]);
+    });
+  });
+
+  describe('apply', () => {
+    it('drops disabled findings with their issues and overrides severities', () => {
+      const applied = profileService.apply({ content: section() }, profileService.resolve('landing-page'));
+      expect(applied.content.issues).toEqual(['Thin content']);
+      expect(applied.content.findings).toEqual([{ id: 'content.thin', message: 'Thin content', severity: 'low' }]);
+    });
+  });
+});
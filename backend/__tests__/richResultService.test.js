@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const structuredDataService = require('../services/structuredDataService');
+const richResultService = require('../services/richResultService');
+
+const evaluate = html => {
+  const $ = cheerio.load(html);
+  const { entities } = structuredDataService.extract($, 'https://shop.example.com/');
+  structuredDataService.validate(entities);
+  return richResultService.evaluate(entities, richResultService.getVisibleText($));
+};
+
+const jsonLd = (data, body = '') => `<html><head><script type="application/ld+json">${JSON.stringify(data)}</script></head>`
+  + `<body>${body}</body></html>`;
+
+describe('richResultService.evaluate', () => {
+  it('reports each feature found on the fixture page', () => {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'product.html'), 'utf8');
+    const results = evaluate(html);
+    expect(results.map(result => [result.feature, result.status])).toEqual([
+      ['Product', 'eligible'],
+      ['Organization logo', 'ineligible'],
+      ['Breadcrumb', 'eligible'],
+      ['Review snippet', 'warnings']
+    ]);
+    expect(results[3].items[0]).toMatchObject({ path: 'Product.aggregateRating', recommended: ['bestRating'] });
+  });
+
+  it('marks a product without a price as ineligible', () => {
+    const [product] = evaluate(jsonLd(
+      { '@type': 'Product', name: 'Mug', offers: { '@type': 'Offer', priceCurrency: 'EUR' } },
+      '<h1>Mug</h1>'
+    ));
+    expect(product.status).toBe('ineligible');
+    expect(product.items[0].missing).toEqual(['offers.price or offers.lowPrice']);
+  });
+
+  it('accepts any one of alternative requirements', () => {
+    const [product] = evaluate(jsonLd(
+      { '@type': 'Product', name: 'Mug', review: { '@type': 'Review', author: { '@type': 'Person', name: 'Ann' } } },
+      '<h1>Mug</h1>'
+    ));
+    expect(product.items[0].missing).toEqual([]);
+  });
+
+  it('flags JSON-LD text that is not visible on the page', () => {
+    const [product] = evaluate(jsonLd(
+      { '@type': 'Product', name: 'Ceramic Mug', offers: { '@type': 'Offer', price: 9, priceCurrency: 'EUR' } },
+      '<h1>Glass</h1><script>var name = "Ceramic Mug";</script>'
+    ));
+    expect(product.status).toBe('warnings');
+    expect(product.items[0].mismatches).toEqual([{ property: 'name', value: 'Ceramic Mug' }]);
+  });
+
+  it('follows @id references between nodes', () => {
+    const results = evaluate(jsonLd({
+      '@graph': [
+        { '@type': 'Product', name: 'Mug', offers: { '@id': '#offer' } },
+        { '@type': 'Offer', '@id': '#offer', price: 9, priceCurrency: 'EUR' }
+      ]
+    }, '<h1>Mug</h1>'));
+    expect(results.find(result => result.feature === 'Product').items[0].missing).toEqual([]);
+  });
+
+  it('returns nothing for entities without rich result features', () => {
+    expect(evaluate(jsonLd({ '@type': 'Person', name: 'Ann' }))).toEqual([]);
+  });
+});
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const robotsService = require('../services/robotsService');
+
+const robotsTxt = fs.readFileSync(path.join(__dirname, 'fixtures', 'robots.txt'), 'utf8');
+
+describe('robotsService', () => {
+  const parsed = robotsService.parse(robotsTxt);
+
+  describe('parse', () => {
+    it('groups consecutive user-agent lines and collects sitemaps', () => {
+      expect(parsed.groups.map(group => group.userAgents)).toEqual([['*'], ['googlebot', 'googlebot-image'], ['']]);
+      expect(parsed.groups[1]).toMatchObject({ rules: [{ type: 'Disallow', path: '/no-google/' }], crawlDelay: 5 });
+      expect(parsed.sitemaps).toEqual(['https://shop.example.com/sitemap.xml']);
+    });
+  });
+
+  describe('selectGroup', () => {
+    it('picks the most specific matching user-agent', () => {
+      expect(robotsService.selectGroup(parsed.groups, 'googlebot')).toMatchObject({ userAgent: 'googlebot', crawlDelay: 5 });
+      expect(robotsService.selectGroup(parsed.groups, 'bingbot')).toMatchObject({ userAgent: '*', crawlDelay: null });
+    });
+
+    it('ignores empty user-agent lines', () => {
+      const group = robotsService.selectGroup(parsed.groups, 'bingbot');
+      expect(group.rules).not.toContainEqual({ type: 'Disallow', path: '/' });
+      expect(robotsService.selectGroup(robotsService.parse('User-agent:\nDisallow: /\n').groups, 'googlebot')).toBeNull();
+    });
+  });
+
+  describe('isAllowed', () => {
+    const group = robotsService.selectGroup(parsed.groups, '*');
+
+    it.each([
+      ['https://shop.example.com/', true],
+      ['https://shop.example.com/private/orders', false],
+      ['https://shop.example.com/private/press-kit', true],
+      ['https://shop.example.com/docs/manual.pdf', false],
+      ['https://shop.example.com/docs/manual.pdf?download=1', true]
+    ])('%s allowed: %s', (url, allowed) => {
+      expect(robotsService.isAllowed(group, url).allowed).toBe(allowed);
+    });
+
+    it('reports the deciding rule', () => {
+      expect(robotsService.isAllowed(group, 'https://shop.example.com/private/press-kit').rule)
+        .toEqual({ type: 'Allow', path: '/private/press-kit' });
+    });
+
+    it('allows everything without a matching group', () => {
+      expect(robotsService.isAllowed(null, 'https://shop.example.com/private/')).toMatchObject({ allowed: true, rule: null });
+    });
+  });
+
+  describe('matchesPath', () => {
+    it.each([
+      ['/private/', '/private/orders', true],
+      ['/private/', '/privacy', false],
+      ['/*.pdf$', '/a/b.pdf', true],
+      ['/*.pdf$', '/a/b.pdf.html', false],
+      ['/shop*/sale', '/shop-eu/sale', true],
+      ['/$', '/', true],
+      ['/$', '/index.html', false]
+    ])('%s matches %s: %s', (pattern, urlPath, matches) => {
+      expect(robotsService.matchesPath(pattern, urlPath)).toBe(matches);
+    });
+  });
+
+  describe('analyze', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    const respond = (status, data = '') => jest.spyOn(robotsService.fetcher, 'request')
+      .mockResolvedValue({ response: { status, data }, redirects: [], finalUrl: 'https://shop.example.com/robots.txt' });
+
+    it('treats a server error as a full disallow', async () => {
+      respond(503);
+      const robots = await robotsService.analyze('https://shop.example.com/page');
+      expect(robots.findings.map(finding => finding.id)).toEqual(['robots.server_error']);
+      expect(robots.verdicts.googlebot.allowed).toBe(false);
+    });
+
+    it('allows everything when robots.txt is missing', async () => {
+      respond(404);
+      const robots = await robotsService.analyze('https://shop.example.com/page');
+      expect(robots.findings.map(finding => finding.id)).toEqual(['robots.missing']);
+      expect(robots.verdicts['*'].allowed).toBe(true);
+    });
+
+    it('evaluates every crawler against the file', async () => {
+      respond(200, robotsTxt);
+      const robots = await robotsService.analyze('https://shop.example.com/no-google/page');
+      expect(robots.verdicts.googlebot.allowed).toBe(false);
+      expect(robots.verdicts.bingbot.allowed).toBe(true);
+      expect(robots.crawlDelay).toEqual({ googlebot: 5 });
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const ruleRegistry = require('../services/ruleRegistry');
+const seoAnalyzer = require('../services/seoAnalyzer');
+
+const section = (...findings) => {
+  const result = { issues: [], findings: [] };
+  findings.forEach(([id, evidence]) => ruleRegistry.addFinding(result, id, evidence));
+  return result;
+};
+
+describe('seoAnalyzer scoring', () => {
+  it('starts every category at 100', () => {
+    const subscores = seoAnalyzer.calculateSubscores({ metadata: section() });
+    expect(Object.values(subscores).every(subscore => subscore.score === 100)).toBe(true);
+    expect(Object.values(subscores).reduce((sum, subscore) => sum + subscore.weight, 0)).toBe(100);
+    expect(seoAnalyzer.calculateOverallScore({ metadata: section() })).toBe(100);
+  });
+
+  it('subtracts the severity penalty of each failed rule from its category', () => {
+    const results = {
+      metadata: section(['meta.title.missing']),
+      security: section(['security.csp.missing', { header: 'content-security-policy' }])
+    };
+    const subscores = seoAnalyzer.calculateSubscores(results);
+
+    expect(subscores.metadata).toEqual({ score: 75, weight: 20, rules: ['meta.title.missing'] });
+    expect(subscores.security).toEqual({ score: 75, weight: 10, rules: ['security.csp.missing'] });
+    // (75 * 20 + 75 * 10 + 100 * 70) / 100
+    expect(seoAnalyzer.calculateOverallScore(results)).toBe(93);
+  });
+
+  it('counts a rule once however many elements fail it', () => {
+    const images = section(
+      ['images.missing_alt', { images: [{ src: 'a.jpg' }] }],
+      ['images.missing_alt', { images: [{ src: 'b.jpg' }] }]
+    );
+    const subscores = seoAnalyzer.calculateSubscores({ images });
+    // Missing alt text is scored as accessibility, not with the other image rules
+    expect(subscores.accessibility).toMatchObject({ score: 92, rules: ['images.missing_alt'] });
+    expect(subscores.performance.score).toBe(100);
+  });
+
+  it('uses severities overridden by a profile and stops at 0', () => {
+    const technical = section(
+      ['technical.viewport.missing'],
+      ['technical.charset.missing'],
+      ['technical.lang.missing'],
+      ['technical.doctype.missing']
+    );
+    technical.findings = technical.findings.map(finding => ({ ...finding, severity: 'critical' }));
+    expect(seoAnalyzer.calculateSubscores({ technical }).technical.score).toBe(0);
+  });
+
+  it('does not score legacy issues without a rule', () => {
+    const subscores = seoAnalyzer.calculateSubscores({ metadata: { issues: ['Title is too short'] } });
+    expect(subscores.metadata).toMatchObject({ score: 100, rules: [] });
+  });
+});
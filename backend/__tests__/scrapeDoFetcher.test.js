@@ -0,0 +1,52 @@
+const ScrapeDoFetcher = require('../services/fetchers/scrapeDoFetcher');
+
+describe('ScrapeDoFetcher', () => {
+  const fetcher = new ScrapeDoFetcher();
+  const responses = {
+    'http://example.com/': { status: 301, headers: { location: 'https://example.com/' }, data: '' },
+    'https://example.com/': { status: 302, headers: { 'scrape.do-target-redirected-location': '/home' }, data: '' },
+    'https://example.com/home': { status: 200, headers: { 'content-type': 'text/html', 'x-frame-options': 'DENY' }, data: '<html></html>' },
+    'https://example.com/loop': { status: 301, headers: { location: '/loop' }, data: '' }
+  };
+  let requested;
+
+  beforeEach(() => {
+    requested = [];
+    jest.spyOn(fetcher.client, 'get').mockImplementation(async apiUrl => {
+      const params = new URL(apiUrl).searchParams;
+      requested.push(params);
+      return responses[params.get('url')];
+    });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('follows the redirect chain through the proxy and keeps the target headers', async () => {
+    const { html, metadata } = await fetcher.fetch('http://example.com/');
+    expect(html).toBe('<html></html>');
+    expect(metadata).toMatchObject({
+      statusCode: 200,
+      finalUrl: 'https://example.com/home',
+      headers: { 'x-frame-options': 'DENY' }
+    });
+    expect(metadata.redirects.map(hop => [hop.url, hop.statusCode, hop.location])).toEqual([
+      ['http://example.com/', 301, 'https://example.com/'],
+      ['https://example.com/', 302, 'https://example.com/home']
+    ]);
+    requested.forEach(params => {
+      expect(params.get('transparentResponse')).toBe('true');
+      expect(params.get('disableRedirection')).toBe('true');
+    });
+  });
+
+  it('stops at redirect loops', async () => {
+    const { metadata } = await fetcher.fetch('https://example.com/loop');
+    expect(metadata.statusCode).toBe(301);
+    expect(metadata.redirects).toHaveLength(1);
+    expect(requested).toHaveLength(1);
+  });
+
+  it('asks scrape.do to render when requested', async () => {
+    await fetcher.fetch('https://example.com/home', { renderJs: true });
+    expect(requested[0].get('render')).toBe('true');
+  });
+});
@@ -0,0 +1,62 @@
+const seoAnalyzer = require('../services/seoAnalyzer');
+
+const secureHeaders = {
+  'Strict-Transport-Security': 'max-age=63072000; includeSubDomains; preload',
+  'Content-Security-Policy': "default-src 'self'; frame-ancestors 'none'",
+  'X-Content-Type-Options': 'nosniff',
+  'Referrer-Policy': 'strict-origin-when-cross-origin',
+  'Permissions-Policy': 'camera=()'
+};
+const ids = security => security.findings.map(finding => finding.id);
+
+describe('seoAnalyzer.analyzeSecurity', () => {
+  it('passes a fully configured HTTPS response', async () => {
+    const security = await seoAnalyzer.analyzeSecurity('https://shop.example.com/', secureHeaders);
+    expect(ids(security)).toEqual([]);
+    expect(security.headers['strict-transport-security']).toMatchObject({ status: 'pass', maxAge: 63072000, preload: true });
+    expect(security.headers['x-frame-options'].message).toBe('Framing is restricted by CSP frame-ancestors');
+  });
+
+  it('reports every missing header', async () => {
+    const security = await seoAnalyzer.analyzeSecurity('https://shop.example.com/', { 'content-type': 'text/html' });
+    expect(ids(security)).toEqual([
+      'security.hsts.missing',
+      'security.csp.missing',
+      'security.content_type_options.missing',
+      'security.frame_options.missing',
+      'security.referrer_policy.missing',
+      'security.permissions_policy.missing'
+    ]);
+  });
+
+  it('grades weak values', async () => {
+    const security = await seoAnalyzer.analyzeSecurity('https://shop.example.com/', {
+      'strict-transport-security': 'max-age=86400',
+      'content-security-policy': "script-src 'self' 'unsafe-inline'",
+      'x-content-type-options': 'sniff',
+      'x-frame-options': 'ALLOW-FROM https://partner.example.com',
+      'referrer-policy': 'no-referrer, unsafe-url',
+      'feature-policy': "camera 'none'"
+    });
+    expect(ids(security)).toEqual([
+      'security.hsts.short_max_age',
+      'security.csp.unsafe_scripts',
+      'security.content_type_options.invalid',
+      'security.frame_options.allow_from',
+      'security.referrer_policy.leaky',
+      'security.permissions_policy.feature_policy'
+    ]);
+    expect(security.headers['referrer-policy'].status).toBe('warn');
+  });
+
+  it('grades HSTS as unusable over plain HTTP', async () => {
+    const security = await seoAnalyzer.analyzeSecurity('http://shop.example.com/', secureHeaders);
+    expect(ids(security)).toEqual(['security.https.missing', 'security.hsts.http_only']);
+  });
+
+  it('skips header grading when the fetcher reported no headers', async () => {
+    const security = await seoAnalyzer.analyzeSecurity('https://shop.example.com/', {});
+    expect(security.headers).toEqual({});
+    expect(ids(security)).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+const zlib = require('zlib');
+const sitemapService = require('../services/sitemapService');
+
+const urlset = locs => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${locs.map(loc => `<url><loc>${loc}</loc></url>`).join('')}</urlset>`;
+
+describe('sitemapService', () => {
+  describe('parse', () => {
+    it('reads url entries with their lastmod', () => {
+      const parsed = sitemapService.parse(`<?xml version="1.0"?>
+        <!-- <sitemapindex> in a comment is ignored -->
+        <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+          <url><loc> https://shop.example.com/?a=1&amp;b=2 </loc><lastmod>2024-05-01</lastmod></url>
+          <url>
+            <image:image><image:loc>https://shop.example.com/shoe.jpg</image:loc></image:image>
+            <loc><![CDATA[https://shop.example.com/shoes?size=42&color=red]]></loc>
+          </url>
+          <url><lastmod>2024-05-01</lastmod></url>
+        </urlset>`);
+      expect(parsed).toEqual({
+        type: 'urlset',
+        count: 2,
+        entries: [
+          { loc: 'https://shop.example.com/?a=1&b=2', lastmod: '2024-05-01' },
+          { loc: 'https://shop.example.com/shoes?size=42&color=red', lastmod: null }
+        ]
+      });
+    });
+
+    it('reads sitemap index children', () => {
+      expect(sitemapService.parse('<sitemapindex><sitemap><loc>https://shop.example.com/s1.xml</loc></sitemap></sitemapindex>'))
+        .toEqual({ type: 'index', count: 1, entries: [{ loc: 'https://shop.example.com/s1.xml', lastmod: null }] });
+    });
+
+    it('decodes numeric character references', () => {
+      expect(sitemapService.parse(urlset(['https://shop.example.com/caf&#233;&#x2F;'])).entries[0].loc)
+        .toBe('https://shop.example.com/café/');
+    });
+
+    it('returns no type for other documents', () => {
+      expect(sitemapService.parse('<html><body><url><loc>x</loc></url></body></html>'))
+        .toEqual({ type: null, entries: [], count: 0 });
+    });
+  });
+
+  describe('fetchAndParse', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    const serve = body => jest.spyOn(sitemapService.fetcher, 'request')
+      .mockResolvedValue({ response: { status: 200, data: body }, redirects: [], finalUrl: 'https://shop.example.com/sitemap.xml' });
+
+    it('reads gzipped sitemaps', async () => {
+      serve(zlib.gzipSync(urlset(['https://shop.example.com/'])));
+      const report = await sitemapService.fetchAndParse('https://shop.example.com/sitemap.xml.gz');
+      expect(report.summary).toMatchObject({ compressed: true, type: 'urlset', urlCount: 1, findings: [] });
+    });
+
+    it('counts every entry but keeps only the first 50,000', async () => {
+      const locs = Array.from({ length: 50001 }, (_, index) => `https://shop.example.com/p/${index}`);
+      serve(Buffer.from(urlset(locs)));
+      const report = await sitemapService.fetchAndParse('https://shop.example.com/sitemap.xml');
+      expect(report.entries).toHaveLength(50000);
+      expect(report.summary.urlCount).toBe(50001);
+      expect(report.summary.findings.map(finding => finding.id)).toEqual(['sitemap.too_many_urls']);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const structuredDataService = require('../services/structuredDataService');
+
+const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'product.html'), 'utf8');
+const pageUrl = 'https://shop.example.com/shoes/trail-runner-2';
+
+const extract = () => {
+  const { entities, errors } = structuredDataService.extract(cheerio.load(html), pageUrl);
+  structuredDataService.validate(entities);
+  return { entities, errors };
+};
+
+const find = (entities, entityPath, source) => {
+  let match = null;
+  structuredDataService.walk(entities, entity => {
+    if (!match && entity.path === entityPath && (!source || entity.source === source)) match = entity;
+  });
+  return match;
+};
+
+const valuesOf = (entity, name) => (entity.properties.find(property => property.name === name) || { values: [] }).values;
+
+describe('structuredDataService', () => {
+  describe('extract', () => {
+    it('reads JSON-LD, microdata and RDFa into top-level entities', () => {
+      const { entities } = extract();
+      expect(entities.map(entity => [entity.source, entity.type])).toEqual([
+        ['json-ld', 'Product'],
+        ['json-ld', 'Offer'],
+        ['microdata', 'Organization'],
+        ['rdfa', 'BreadcrumbList']
+      ]);
+    });
+
+    it('reports JSON-LD blocks that do not parse', () => {
+      const { errors } = extract();
+      expect(errors).toHaveLength(1);
+      expect(errors[0].block).toBe(2);
+    });
+
+    it('nests entities under the property that holds them', () => {
+      const { entities } = extract();
+      const offer = find(entities, 'Product.offers');
+      expect(offer.type).toBe('Offer');
+      expect(valuesOf(offer, 'price')).toEqual(['89.99']);
+      expect(find(entities, 'BreadcrumbList.itemListElement').type).toBe('ListItem');
+    });
+
+    it('resolves microdata and RDFa links against the page URL', () => {
+      const { entities } = extract();
+      expect(valuesOf(find(entities, 'Organization', 'microdata'), 'url')).toEqual(['https://shop.example.com/about']);
+      expect(valuesOf(find(entities, 'BreadcrumbList.itemListElement'), 'item')).toEqual(['https://shop.example.com/shoes']);
+    });
+
+    it('strips the schema.org vocabulary from type names', () => {
+      const $ = cheerio.load('<div itemscope itemtype="http://schema.org/Person"><span itemprop="name">Ada</span></div>');
+      expect(structuredDataService.extract($, pageUrl).entities[0].types).toEqual(['Person']);
+    });
+  });
+
+  describe('validate', () => {
+    it('accepts complete entities', () => {
+      const { entities } = extract();
+      expect(find(entities, 'Product.aggregateRating').errors.filter(error => error.problem !== 'missing_recommended'))
+        .toEqual([]);
+      expect(find(entities, 'BreadcrumbList.itemListElement').errors).toEqual([]);
+    });
+
+    it('reports missing required properties and invalid values', () => {
+      const offer = find(extract().entities, 'Offer', 'json-ld');
+      expect(offer.errors).toContainEqual({ property: 'priceCurrency', problem: 'missing_required' });
+      expect(offer.errors).toContainEqual({
+        property: 'price',
+        problem: 'invalid_value',
+        expected: 'Number',
+        value: 'cheap'
+      });
+    });
+
+    it('reports missing recommended properties', () => {
+      const organization = find(extract().entities, 'Organization', 'microdata');
+      expect(organization.errors).toEqual([{ property: 'logo', problem: 'missing_recommended' }]);
+    });
+
+    it('leaves unknown types unvalidated', () => {
+      const $ = cheerio.load('<script type="application/ld+json">{"@type": "Spaceship", "name": "X"}</script>');
+      const { entities } = structuredDataService.extract($, pageUrl);
+      structuredDataService.validate(entities);
+      expect(entities[0]).toMatchObject({ type: 'Spaceship', validated: false, errors: [] });
+    });
+  });
+
+  describe('isSubtype', () => {
+    it('follows the type hierarchy', () => {
+      expect(structuredDataService.isSubtype('BreadcrumbList', 'ItemList')).toBe(true);
+      expect(structuredDataService.isSubtype('AggregateRating', 'Rating')).toBe(true);
+      expect(structuredDataService.isSubtype('Offer', 'Product')).toBe(false);
+    });
+  });
+});
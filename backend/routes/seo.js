@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { urlValidationRules, checkValidationResult, validateAnalysisParams } = require('../utils/validators');
-const scrapeService = require('../services/scrapeService');
-const seoAnalyzer = require('../services/seoAnalyzer');
+const { urlValidationRules, checkValidationResult, validateAnalysisParams, validateCrawlParams, validateReportQuery, validateComparePayload, validateBatchParams, validateJobPayload } = require('../utils/validators');
+const sitemapService = require('../services/sitemapService');
+const crawlerService = require('../services/crawlerService');
+const analysisService = require('../services/analysisService');
+const reportService = require('../services/reportService');
+const comparisonService = require('../services/comparisonService');
+const jobService = require('../services/jobService');
+const ruleRegistry = require('../services/ruleRegistry');
+const profileService = require('../services/profileService');
 const logger = require('../utils/logger');
 
 /**
@@ -32,25 +38,19 @@ router.post('/analyze',
       // Log analysis request
       logger.info('Starting SEO analysis', { url, options });
 
-      // Scrape the URL
-      const { html, metadata } = await scrapeService.scrapeUrl(url, {
-        timeout: options.timeout || 20000,
-        waitForSelector: 'body',
-        renderJs: true
-      });
-
-      // Perform SEO analysis
-      const analysisResults = await seoAnalyzer.analyze(html, url, options);
+      const { results: analysisResults, metadata, reportId, cache } = await analysisService.run(url, options);
 
       // Add response metadata
       const response = {
         success: true,
+        reportId,
         timestamp: new Date().toISOString(),
         url,
         metadata: {
           ...metadata,
           analysisTime: Date.now() - new Date(analysisResults.timestamp).getTime()
         },
+        cache,
         results: analysisResults
       };
 
@@ -77,6 +77,9 @@ router.post('/analyze',
       if (error.message.includes('Invalid URL')) {
         statusCode = 400;
         errorMessage = 'Invalid URL provided';
+      } else if (error.message.includes('Unknown fetcher')) {
+        statusCode = 400;
+        errorMessage = 'Unknown fetcher requested';
       } else if (error.message.includes('timeout')) {
         statusCode = 504;
         errorMessage = 'Analysis timed out';
@@ -93,6 +96,450 @@ router.post('/analyze',
   }
 );
 
+/**
+ * @route POST /api/seo/batch
+ * @description Analyze a list of URLs and summarize the batch
+ * @access Public
+ */
+router.post('/batch', async (req, res) => {
+  const { urls } = req.body;
+  const options = req.body.options || {};
+
+  try {
+    const paramsValidation = validateBatchParams(urls, options);
+    if (!paramsValidation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid batch parameters',
+        details: paramsValidation.errors
+      });
+    }
+
+    logger.info('Starting batch analysis', { count: urls.length, options });
+
+    const { concurrency, ...analysisOptions } = options;
+    const batch = await analysisService.runBatch(urls, analysisOptions, concurrency ? parseInt(concurrency) : undefined);
+
+    logger.info('Batch analysis completed', batch.summary);
+
+    return res.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...batch
+    });
+
+  } catch (error) {
+    logger.error('Batch analysis failed', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route POST /api/seo/jobs
+ * @description Queue an analysis, batch or crawl job and return its ID immediately
+ * @access Public
+ */
+router.post('/jobs', async (req, res) => {
+  const type = req.body.type || 'analysis';
+  const options = req.body.options || {};
+
+  try {
+    const validation = validateJobPayload(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid job parameters',
+        details: validation.errors
+      });
+    }
+
+    const payload = type === 'batch'
+      ? { urls: req.body.urls, options }
+      : { url: validation.sanitizedUrl, options };
+    const job = await jobService.create(type, payload);
+
+    return res.status(202).json(job);
+  } catch (error) {
+    logger.apiError('/jobs', error, { type });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route GET /api/seo/jobs/:id
+ * @description Get the state, progress and result of a job
+ * @access Public
+ */
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobService.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Job not found'
+      });
+    }
+
+    return res.status(200).json(job);
+  } catch (error) {
+    logger.apiError('/jobs/:id', error, { id: req.params.id });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route GET /api/seo/jobs/:id/events
+ * @description Stream job progress as Server-Sent Events until the job finishes
+ * @access Public
+ */
+router.get('/jobs/:id/events', async (req, res) => {
+  const isFinalEvent = event => event.type === 'state' && jobService.isFinished(event);
+  const pending = [];
+  let replaying = true;
+  let lastSeq = 0;
+
+  const send = event => {
+    if (event.seq <= lastSeq) return;
+    lastSeq = event.seq;
+    res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    // The compression middleware buffers output unless flushed
+    if (res.flush) res.flush();
+  };
+
+  // Subscribe before reading the job so no event falls between the two
+  const unsubscribe = jobService.subscribe(req.params.id, event => {
+    if (replaying) {
+      pending.push(event);
+      return;
+    }
+    send(event);
+    if (isFinalEvent(event)) {
+      unsubscribe();
+      res.end();
+    }
+  });
+
+  try {
+    const job = await jobService.get(req.params.id);
+    if (!job) {
+      unsubscribe();
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Job not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const replayed = [...(job.events || []), ...pending];
+    replayed.forEach(send);
+    replaying = false;
+
+    if (jobService.isFinished(job) || replayed.some(isFinalEvent)) {
+      unsubscribe();
+      return res.end();
+    }
+    req.on('close', unsubscribe);
+
+  } catch (error) {
+    unsubscribe();
+    logger.apiError('/jobs/:id/events', error, { id: req.params.id });
+    if (res.headersSent) return res.end();
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/seo/jobs/:id
+ * @description Cancel a queued or running job
+ * @access Public
+ */
+router.delete('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobService.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Job not found'
+      });
+    }
+
+    return res.status(200).json(job);
+  } catch (error) {
+    logger.apiError('/jobs/:id', error, { id: req.params.id });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route POST /api/seo/sitemap
+ * @description Discover and validate the XML sitemaps of a site
+ * @access Public
+ */
+router.post('/sitemap',
+  urlValidationRules(),
+  checkValidationResult,
+  async (req, res) => {
+    const { url } = req.body;
+    const options = req.body.options || {};
+
+    try {
+      const paramsValidation = validateAnalysisParams(options);
+      if (!paramsValidation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid analysis parameters',
+          details: paramsValidation.errors
+        });
+      }
+
+      logger.info('Starting sitemap analysis', { url });
+
+      const sitemap = await sitemapService.analyze(url, {
+        timeout: options.timeout
+      });
+
+      return res.status(200).json({
+        success: true,
+        timestamp: new Date().toISOString(),
+        url,
+        sitemap
+      });
+
+    } catch (error) {
+      logger.error('Sitemap analysis failed', {
+        url,
+        error: error.message,
+        stack: error.stack
+      });
+
+      return res.status(500).json({
+        error: 'Internal server error',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/seo/crawl
+ * @description Crawl a site from the given URL and analyze every page
+ * @access Public
+ */
+router.post('/crawl',
+  urlValidationRules(),
+  checkValidationResult,
+  async (req, res) => {
+    const { url } = req.body;
+    const options = req.body.options || {};
+
+    try {
+      const paramsValidation = validateCrawlParams(options);
+      if (!paramsValidation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid crawl parameters',
+          details: paramsValidation.errors
+        });
+      }
+
+      logger.info('Starting site crawl', { url, options });
+
+      // Analysis options such as profile, checkLinks and includeImages apply to every crawled page
+      const crawl = await crawlerService.crawl(url, {
+        ...options,
+        maxDepth: options.maxDepth !== undefined ? parseInt(options.maxDepth) : undefined,
+        maxPages: options.maxPages !== undefined ? parseInt(options.maxPages) : undefined
+      });
+
+      return res.status(200).json({
+        success: true,
+        ...crawl
+      });
+
+    } catch (error) {
+      logger.error('Site crawl failed', {
+        url,
+        error: error.message,
+        stack: error.stack
+      });
+
+      return res.status(500).json({
+        error: 'Internal server error',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/seo/reports
+ * @description List stored analyses, filtered by URL/domain and date range
+ * @access Public
+ */
+router.get('/reports', async (req, res) => {
+  const paramsValidation = validateReportQuery(req.query);
+  if (!paramsValidation.isValid) {
+    return res.status(400).json({
+      error: 'Invalid report query',
+      details: paramsValidation.errors
+    });
+  }
+
+  try {
+    const reports = await reportService.listReports({
+      url: req.query.url,
+      domain: req.query.domain ? req.query.domain.toLowerCase() : undefined,
+      from: req.query.from,
+      to: req.query.to,
+      page: req.query.page ? parseInt(req.query.page) : undefined,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    });
+
+    return res.status(200).json(reports);
+  } catch (error) {
+    logger.apiError('/reports', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route GET /api/seo/reports/:id
+ * @description Get a stored analysis
+ * @access Public
+ */
+router.get('/reports/:id', async (req, res) => {
+  try {
+    const report = await reportService.getReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Report not found'
+      });
+    }
+
+    return res.status(200).json(report);
+  } catch (error) {
+    logger.apiError('/reports/:id', error, { id: req.params.id });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/seo/reports/:id
+ * @description Delete a stored analysis
+ * @access Public
+ */
+router.delete('/reports/:id', async (req, res) => {
+  try {
+    const deleted = await reportService.deleteReport(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Report not found'
+      });
+    }
+
+    return res.status(204).send();
+  } catch (error) {
+    logger.apiError('/reports/:id', error, { id: req.params.id });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route GET /api/seo/compare
+ * @description Compare two stored analyses (a = before, b = after)
+ * @access Public
+ */
+router.get('/compare', async (req, res) => {
+  const { a, b } = req.query;
+  if (!a || !b) {
+    return res.status(400).json({
+      error: 'Invalid comparison query',
+      details: ['a and b report IDs are required']
+    });
+  }
+
+  try {
+    const [before, after] = await Promise.all([reportService.getReport(a), reportService.getReport(b)]);
+    if (!before || !after) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Report not found: ${!before ? a : b}`
+      });
+    }
+
+    return res.status(200).json({
+      a: before.id,
+      b: after.id,
+      comparison: comparisonService.compare(before.results, after.results)
+    });
+  } catch (error) {
+    logger.apiError('/compare', error, { a, b });
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @route POST /api/seo/compare
+ * @description Compare two analysis result payloads (a = before, b = after)
+ * @access Public
+ */
+router.post('/compare', (req, res) => {
+  const payloadValidation = validateComparePayload(req.body);
+  if (!payloadValidation.isValid) {
+    return res.status(400).json({
+      error: 'Invalid comparison payload',
+      details: payloadValidation.errors
+    });
+  }
+
+  try {
+    return res.status(200).json({
+      comparison: comparisonService.compare(req.body.a, req.body.b)
+    });
+  } catch (error) {
+    logger.apiError('/compare', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 /**
  * @route GET /api/seo/service-status
  * @description Get scraping service status
@@ -176,4 +623,28 @@ router.get('/recommendations', (req, res) => {
   res.status(200).json(recommendations);
 });
 
+/**
+ * @route GET /api/seo/rules
+ * @description List the registered audit rules, optionally for one category
+ * @access Public
+ */
+router.get('/rules', (req, res) => {
+  const rules = ruleRegistry.list(req.query.category);
+  res.status(200).json({
+    total: rules.length,
+    rules
+  });
+});
+
+/**
+ * @route GET /api/seo/profiles
+ * @description List the audit profiles that can be selected through options.profile
+ * @access Public
+ */
+router.get('/profiles', (req, res) => {
+  res.status(200).json({
+    profiles: profileService.list()
+  });
+});
+
 module.exports = router;
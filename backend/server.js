@@ -8,6 +8,7 @@ require('dotenv').config();
 
 const logger = require('./utils/logger');
 const seoRoutes = require('./routes/seo');
+const jobService = require('./services/jobService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -100,6 +101,10 @@ process.on('SIGINT', () => {
 app.listen(PORT, () => {
   logger.info(`SEO Tech Check Backend server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  jobService.start().catch(error => {
+    logger.error('Failed to start job queue', { error: error.message });
+  });
 });
 
 module.exports = app;
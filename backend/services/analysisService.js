@@ -0,0 +1,175 @@
+const logger = require('../utils/logger');
+const { validateURL } = require('../utils/validators');
+const scrapeService = require('./scrapeService');
+const seoAnalyzer = require('./seoAnalyzer');
+const cacheService = require('./cacheService');
+const reportService = require('./reportService');
+const profileService = require('./profileService');
+
+class AnalysisService {
+  /**
+   * Run the full pipeline for one URL: scrape, analyze and store the report
+   * Scrape and analysis results are cached by normalized URL plus the options that affect them.
+   * @param {string} url - URL to analyze
+   * @param {Object} options - Analysis options (as accepted by validateAnalysisParams), plus an optional
+   *   `signal` (AbortSignal) that cancels the fetches and stops the analysis between sections
+   * @param {Function} [onProgress] - Called with progress events (fetch, section, rendering, analysis)
+   * @returns {Promise<Object>} Analysis results, fetch metadata, cache info and stored report ID
+   */
+  async run(url, options = {}, onProgress = null) {
+    const { force, timeout, signal, ...analysisOptions } = options;
+    const report = event => {
+      if (onProgress) onProgress(event);
+    };
+
+    // Scrape the URL
+    report({ type: 'fetch', status: 'started' });
+    const { value: scraped, cache: scrapeCache } = await cacheService.wrap(
+      cacheService.buildKey('scrape', url, { fetcher: options.fetcher }),
+      () => scrapeService.scrapeUrl(url, {
+        timeout: timeout || 20000,
+        waitForSelector: 'body',
+        fetcher: options.fetcher,
+        signal
+      }),
+      { force }
+    );
+    const { html, metadata } = scraped;
+    report({
+      type: 'fetch',
+      status: 'finished',
+      statusCode: metadata.statusCode,
+      fetcher: metadata.fetcher,
+      cached: scrapeCache.hit
+    });
+
+    // Perform SEO analysis
+    const { value: results, cache: analysisCache } = await cacheService.wrap(
+      cacheService.buildKey('analysis', url, analysisOptions),
+      async () => {
+        const analysisResults = await seoAnalyzer.analyze(html, url, options, metadata, report);
+
+        // Compare the raw server HTML with the JavaScript-rendered DOM
+        if (options.compareRendering) {
+          seoAnalyzer.checkAborted(signal);
+          report({ type: 'rendering', status: 'started' });
+          const rendered = await scrapeService.renderUrl(url, {
+            timeout: timeout || 20000,
+            waitForSelector: 'body',
+            signal
+          });
+          analysisResults.rendering = profileService.apply(
+            seoAnalyzer.compareRendering(html, rendered.html, url, rendered.metadata.fetcher),
+            profileService.resolve(options.profile)
+          );
+          analysisResults.findings = seoAnalyzer.collectFindings(analysisResults);
+          analysisResults.subscores = seoAnalyzer.calculateSubscores(analysisResults);
+          analysisResults.score = seoAnalyzer.calculateOverallScore(analysisResults);
+          analysisResults.recommendations = seoAnalyzer.generateRecommendations(analysisResults);
+          report({ type: 'rendering', status: 'finished', issues: analysisResults.rendering.issues.length });
+        }
+
+        return analysisResults;
+      },
+      { force }
+    );
+    report({
+      type: 'analysis',
+      status: 'finished',
+      score: results.score,
+      cached: analysisCache.hit || analysisCache.coalesced
+    });
+
+    // Store fresh analyses in the report history; cached results were stored already
+    let reportId = null;
+    if (!analysisCache.hit && !analysisCache.coalesced) {
+      try {
+        reportId = (await reportService.saveAnalysis(url, results, metadata)).id;
+      } catch (error) {
+        logger.error('Failed to store analysis report', { url, error: error.message });
+      }
+    }
+
+    return {
+      results,
+      metadata,
+      reportId,
+      cache: {
+        scrape: scrapeCache,
+        analysis: analysisCache
+      }
+    };
+  }
+
+  /**
+   * Analyze a list of URLs with bounded concurrency; one failure does not fail the batch
+   * @param {string[]} urls - URLs to analyze
+   * @param {Object} options - Analysis options shared by every URL
+   * @param {number} [concurrency=3] - URLs analyzed in parallel
+   * @param {Object} [hooks] - Optional `signal` (stops starting new URLs and cancels running ones) and
+   *   `onProgress(completed, total)`
+   * @returns {Promise<Object>} Per-URL results and a batch summary
+   */
+  async runBatch(urls, options = {}, concurrency = 3, hooks = {}) {
+    const startTime = Date.now();
+    const items = new Array(urls.length);
+    let next = 0;
+    let completed = 0;
+
+    const worker = async () => {
+      while (next < urls.length && !(hooks.signal && hooks.signal.aborted)) {
+        const index = next++;
+        items[index] = await this.runBatchItem(urls[index], { ...options, signal: hooks.signal });
+        completed++;
+        if (hooks.onProgress) hooks.onProgress(completed, urls.length);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+
+    const succeeded = items.filter(item => item.success);
+    const totalScore = succeeded.reduce((sum, item) => sum + item.score, 0);
+    const lowest = succeeded.reduce((min, item) => (!min || item.score < min.score ? item : min), null);
+
+    return {
+      results: items,
+      summary: {
+        total: items.length,
+        succeeded: succeeded.length,
+        failed: items.length - succeeded.length,
+        averageScore: succeeded.length > 0 ? Math.round(totalScore / succeeded.length) : null,
+        lowestScore: lowest ? { url: lowest.url, score: lowest.score } : null,
+        duration: Date.now() - startTime
+      }
+    };
+  }
+
+  /**
+   * Helper: Validate and analyze one batch entry, capturing failures
+   */
+  async runBatchItem(rawUrl, options) {
+    const validation = validateURL(rawUrl);
+    if (!validation.isValid) {
+      return { url: rawUrl, success: false, error: validation.errors.join(', ') };
+    }
+
+    const url = validation.sanitizedUrl;
+    try {
+      const { results, metadata, reportId, cache } = await this.run(url, options);
+      return {
+        url,
+        success: true,
+        score: results.score,
+        reportId,
+        statusCode: metadata.statusCode,
+        cache,
+        results
+      };
+    } catch (error) {
+      logger.warn('Batch item failed', { url, error: error.message });
+      return { url, success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new AnalysisService();
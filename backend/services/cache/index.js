@@ -0,0 +1,5 @@
+const MemoryLruStore = require('./memoryLruStore');
+
+module.exports = {
+  MemoryLruStore
+};
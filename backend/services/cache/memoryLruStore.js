@@ -0,0 +1,41 @@
+/**
+ * In-memory least-recently-used cache store
+ * Stores implement async get/set/delete/clear so persistent backends can be swapped in.
+ */
+class MemoryLruStore {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 100;
+    // Map iteration order is insertion order; re-inserting on read keeps recent keys last
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = MemoryLruStore;
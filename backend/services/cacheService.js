@@ -0,0 +1,120 @@
+const logger = require('../utils/logger');
+const { MemoryLruStore } = require('./cache');
+
+class CacheService {
+  constructor() {
+    this.ttl = parseInt(process.env.CACHE_TTL_MS) || 5 * 60 * 1000;
+    this.store = new MemoryLruStore({
+      maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 100
+    });
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Replace the backing store
+   * @param {Object} store - Object with async get/set/delete/clear methods
+   */
+  setStore(store) {
+    if (!store || ['get', 'set', 'delete', 'clear'].some(method => typeof store[method] !== 'function')) {
+      throw new Error('Cache store must implement get, set, delete and clear');
+    }
+    this.store = store;
+  }
+
+  /**
+   * Build a cache key from a namespace, a URL and the options that affect the result
+   * @param {string} namespace - Key namespace (e.g. 'scrape', 'analysis')
+   * @param {string} url - URL being processed
+   * @param {Object} options - Result-affecting options
+   * @returns {string} Cache key
+   */
+  buildKey(namespace, url, options = {}) {
+    return `${namespace}:${this.normalizeUrl(url)}:${this.stableStringify(options)}`;
+  }
+
+  /**
+   * Return a cached value or compute it, sharing one computation between concurrent callers
+   * @param {string} key - Cache key
+   * @param {Function} compute - Async function producing the value
+   * @param {Object} options - Cache options
+   * @param {boolean} [options.force=false] - Skip the cached value and recompute
+   * @param {number} [options.ttl] - Time to live in milliseconds
+   * @returns {Promise<Object>} `{ value, cache }` where cache describes hit, age and coalescing
+   */
+  async wrap(key, compute, options = {}) {
+    const ttl = options.ttl || this.ttl;
+
+    if (!options.force) {
+      const entry = await this.store.get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        return {
+          value: entry.value,
+          cache: { hit: true, coalesced: false, age: Date.now() - entry.storedAt, ttl }
+        };
+      }
+    }
+
+    if (this.inFlight.has(key)) {
+      const value = await this.inFlight.get(key);
+      return { value, cache: { hit: false, coalesced: true, age: 0, ttl } };
+    }
+
+    const pending = (async () => {
+      const value = await compute();
+      const now = Date.now();
+      await this.store.set(key, { value, storedAt: now, expiresAt: now + ttl });
+      return value;
+    })();
+
+    this.inFlight.set(key, pending);
+    try {
+      const value = await pending;
+      return { value, cache: { hit: false, coalesced: false, age: 0, ttl } };
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Drop every cached entry
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.store.clear();
+    logger.info('Cache cleared');
+  }
+
+  /**
+   * Helper: Normalize a URL so equivalent forms share a cache key
+   */
+  normalizeUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      urlObj.hash = '';
+      urlObj.hostname = urlObj.hostname.toLowerCase();
+      urlObj.searchParams.sort();
+      return urlObj.href;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Helper: JSON.stringify with sorted object keys
+   */
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+}
+
+module.exports = new CacheService();
@@ -0,0 +1,64 @@
+const cheerio = require('cheerio');
+const { DirectFetcher } = require('./fetchers');
+const { createBlockedError } = require('../utils/addressGuard');
+const indexabilityService = require('./indexabilityService');
+
+class CanonicalService {
+  constructor() {
+    this.fetcher = new DirectFetcher();
+  }
+
+  /**
+   * Fetch the URL a page canonicalizes to and report whether it can be indexed
+   * @param {string} url - Absolute canonical URL
+   * @param {Object} options - Check options
+   * @param {number} [options.timeout=10000] - Request timeout (ms)
+   * @returns {Promise<Object>} statusCode, redirects (hop count), finalUrl, noindex and error
+   */
+  async checkTarget(url, options = {}) {
+    try {
+      const { response, redirects, finalUrl, blocked } = await this.fetcher.request(url, {
+        timeout: options.timeout || 10000,
+        maxRedirects: 5,
+        signal: options.signal
+      });
+      if (blocked) {
+        throw createBlockedError(blocked.url, blocked.reason);
+      }
+      const html = typeof response.data === 'string' ? response.data : '';
+
+      return {
+        statusCode: response.status,
+        redirects: redirects.length,
+        finalUrl,
+        noindex: response.status < 300 && this.isNoindex(cheerio.load(html), response.headers || {}),
+        error: null
+      };
+    } catch (error) {
+      return {
+        statusCode: error.response ? error.response.status : null,
+        redirects: 0,
+        finalUrl: url,
+        noindex: false,
+        error: error.response ? null : error.message
+      };
+    }
+  }
+
+  /**
+   * Whether a page opts out of indexing for a search engine bot through meta robots or X-Robots-Tag
+   * @param {Object} $ - Cheerio root of the page
+   * @param {Object} headers - Response headers
+   * @returns {boolean}
+   */
+  isNoindex($, headers) {
+    const normalized = {};
+    Object.entries(headers).forEach(([name, value]) => {
+      normalized[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+    });
+    const bots = indexabilityService.collectDirectives($, normalized);
+    return Object.values(bots).some(directives => directives.noindex);
+  }
+}
+
+module.exports = new CanonicalService();
@@ -0,0 +1,127 @@
+const seoAnalyzer = require('./seoAnalyzer');
+const ruleRegistry = require('./ruleRegistry');
+
+class ComparisonService {
+  /**
+   * Diff two analyses of the same page, section by section
+   * @param {Object} before - Older output of seoAnalyzer.analyze
+   * @param {Object} after - Newer output of seoAnalyzer.analyze
+   * @returns {Object} Score delta, issue changes, value changes and added/removed items
+   */
+  compare(before, after) {
+    return {
+      before: { url: before.url, timestamp: before.timestamp, score: before.score },
+      after: { url: after.url, timestamp: after.timestamp, score: after.score },
+      score: {
+        before: before.score,
+        after: after.score,
+        delta: (after.score || 0) - (before.score || 0)
+      },
+      issues: this.diffIssues(before, after),
+      values: this.diffValues(before, after),
+      links: this.diffLists(this.getLinkUrls(before), this.getLinkUrls(after)),
+      structuredData: this.diffLists(this.getStructuredDataTypes(before), this.getStructuredDataTypes(after))
+    };
+  }
+
+  /**
+   * Classify issues as resolved, introduced or unchanged, overall and per section
+   * Findings match on rule and the elements they name, so a reworded message or a changed count is
+   * not a new issue. Reports stored before findings had rule IDs are matched on message text.
+   */
+  diffIssues(before, after) {
+    const beforeIssues = seoAnalyzer.collectFindings(before);
+    const afterIssues = seoAnalyzer.collectFindings(after);
+    const legacy = [...beforeIssues, ...afterIssues].some(issue => !issue.id);
+    const key = issue => (legacy
+      ? `${issue.section}\u0000${issue.message}`
+      : [issue.section, issue.id, ...ruleRegistry.getElements(issue).sort()].join('\u0000'));
+    const beforeKeys = new Set(beforeIssues.map(key));
+    const afterKeys = new Set(afterIssues.map(key));
+
+    const diff = {
+      resolved: beforeIssues.filter(issue => !afterKeys.has(key(issue))),
+      introduced: afterIssues.filter(issue => !beforeKeys.has(key(issue))),
+      unchanged: afterIssues.filter(issue => beforeKeys.has(key(issue))),
+      bySection: {}
+    };
+
+    ['resolved', 'introduced', 'unchanged'].forEach(status => {
+      diff[status].forEach(issue => {
+        const section = issue.section.split('.')[0];
+        if (!diff.bySection[section]) {
+          diff.bySection[section] = { resolved: 0, introduced: 0, unchanged: 0 };
+        }
+        diff.bySection[section][status]++;
+      });
+    });
+
+    return diff;
+  }
+
+  /**
+   * Compare indexing-critical metadata values; a value missing from either analysis counts as null
+   */
+  diffValues(before, after) {
+    const metadata = results => this.asObject(results.metadata);
+    const pick = {
+      title: results => this.asObject(metadata(results).title).content || null,
+      description: results => this.asObject(metadata(results).description).content || null,
+      canonical: results => metadata(results).canonical || null,
+      robots: results => metadata(results).robots || null
+    };
+
+    const values = {};
+    Object.entries(pick).forEach(([field, getValue]) => {
+      const beforeValue = getValue(before);
+      const afterValue = getValue(after);
+      values[field] = { before: beforeValue, after: afterValue, changed: beforeValue !== afterValue };
+    });
+    return values;
+  }
+
+  /**
+   * Helper: Added and removed items between two lists
+   */
+  diffLists(before, after) {
+    const beforeSet = new Set(before);
+    const afterSet = new Set(after);
+    return {
+      added: Array.from(afterSet).filter(item => !beforeSet.has(item)),
+      removed: Array.from(beforeSet).filter(item => !afterSet.has(item))
+    };
+  }
+
+  /**
+   * Helper: Internal and external link targets of an analysis
+   */
+  getLinkUrls(results) {
+    const links = this.asObject(results.links);
+    return [...this.asArray(links.internal), ...this.asArray(links.external)]
+      .map(link => this.asObject(link).url)
+      .filter(url => typeof url === 'string');
+  }
+
+  /**
+   * Helper: Structured data types of an analysis
+   */
+  getStructuredDataTypes(results) {
+    return this.asArray(this.asObject(results.structuredData).types).map(type => String(type));
+  }
+
+  /**
+   * Helper: The value when it is an object, otherwise an empty object
+   */
+  asObject(value) {
+    return value && typeof value === 'object' ? value : {};
+  }
+
+  /**
+   * Helper: The value when it is an array, otherwise an empty array
+   */
+  asArray(value) {
+    return Array.isArray(value) ? value : [];
+  }
+}
+
+module.exports = new ComparisonService();
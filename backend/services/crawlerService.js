@@ -0,0 +1,207 @@
+const logger = require('../utils/logger');
+const scrapeService = require('./scrapeService');
+const seoAnalyzer = require('./seoAnalyzer');
+const robotsService = require('./robotsService');
+
+class CrawlerService {
+  /**
+   * Crawl a site breadth-first from a start URL and analyze every page
+   * @param {string} startUrl - URL to start from
+   * @param {Object} options - Crawl options
+   * @param {number} [options.maxDepth=2] - Maximum link depth from the start URL
+   * @param {number} [options.maxPages=20] - Maximum number of pages to analyze
+   * @param {string[]} [options.include] - Path patterns; when set, a URL must match one
+   * @param {string[]} [options.exclude] - Path patterns; matching URLs are skipped
+   *   Patterns match the URL path and query the way robots.txt rules do: `*` matches any characters,
+   *   a trailing `$` anchors the end and otherwise a pattern matches every path starting with it
+   * @param {boolean} [options.respectRobots=true] - Skip URLs disallowed by robots.txt
+   * @param {string} [options.userAgent='*'] - robots.txt user-agent to evaluate
+   * @param {boolean} [options.includeImages=false] - Inspect the images of every page
+   * @param {boolean} [options.includeCanonical=false] - Fetch the canonical target of every page
+   * @param {AbortSignal} [options.signal] - Stops the crawl before the next page
+   * @param {Function} [options.onPage] - Called with the number of pages crawled so far
+   * @returns {Promise<Object>} Per-page results and a site-level summary
+   */
+  async crawl(startUrl, options = {}) {
+    const maxDepth = options.maxDepth !== undefined ? options.maxDepth : 2;
+    const maxPages = options.maxPages || 20;
+    const include = options.include || [];
+    const exclude = options.exclude || [];
+    const respectRobots = options.respectRobots !== false;
+    const startTime = Date.now();
+
+    const robotsGroup = respectRobots
+      ? await this.loadRobotsGroup(startUrl, options.userAgent || '*')
+      : null;
+
+    // Set from the first page's final URL so a redirect to https or www does not end the crawl
+    let origin = null;
+    const queue = [{ url: this.normalizeUrl(startUrl), depth: 0 }];
+    const seen = new Set([queue[0].url]);
+    const pages = [];
+    const skipped = [];
+
+    while (queue.length > 0 && pages.length < maxPages && !(options.signal && options.signal.aborted)) {
+      const { url, depth } = queue.shift();
+
+      if (robotsGroup && !robotsService.isAllowed(robotsGroup, url).allowed) {
+        skipped.push({ url, reason: 'Blocked by robots.txt' });
+        continue;
+      }
+
+      const page = await this.analyzePage(url, depth, options);
+      pages.push(page);
+      if (options.onPage) options.onPage(pages.length);
+      if (!origin) origin = new URL(page.finalUrl || url).origin;
+
+      if (!page.results || depth >= maxDepth) continue;
+
+      page.results.links.internal.forEach(link => {
+        const next = this.normalizeUrl(link.url);
+        if (seen.has(next) || new URL(next).origin !== origin) return;
+        seen.add(next);
+
+        if (!this.matchesFilters(next, include, exclude)) {
+          skipped.push({ url: next, reason: 'Excluded by crawl filters' });
+          return;
+        }
+        queue.push({ url: next, depth: depth + 1 });
+      });
+    }
+
+    logger.info('Site crawl completed', {
+      startUrl,
+      pages: pages.length,
+      skipped: skipped.length,
+      duration: Date.now() - startTime
+    });
+
+    return {
+      startUrl,
+      timestamp: new Date().toISOString(),
+      duration: Date.now() - startTime,
+      pages: pages.map(page => ({
+        url: page.url,
+        depth: page.depth,
+        statusCode: page.statusCode,
+        score: page.results ? page.results.score : null,
+        error: page.error,
+        results: page.results
+      })),
+      skipped,
+      summary: this.summarize(pages)
+    };
+  }
+
+  /**
+   * Fetch and analyze a single page, capturing failures instead of throwing
+   * @param {string} url - Page URL
+   * @param {number} depth - Link depth from the start URL
+   * @param {Object} options - Crawl options
+   * @returns {Promise<Object>} Page record
+   */
+  async analyzePage(url, depth, options) {
+    try {
+      const { html, metadata } = await scrapeService.scrapeUrl(url, {
+        timeout: options.timeout || 20000,
+        fetcher: options.fetcher,
+        maxRetries: 1
+      });
+      // robots.txt is applied by the crawl itself and sitemaps are site-wide, so neither runs per page.
+      // Checks that request more URLs would multiply the crawl's traffic, so they are off unless asked for.
+      const results = await seoAnalyzer.analyze(html, url, {
+        ...options,
+        includeImages: options.includeImages === true,
+        includeCanonical: options.includeCanonical === true,
+        includeRobots: false,
+        includeSitemap: false
+      }, metadata);
+
+      return { url, depth, statusCode: metadata.statusCode, finalUrl: metadata.finalUrl || url, results, error: null };
+    } catch (error) {
+      logger.warn('Crawl page failed', { url, error: error.message });
+      return { url, depth, statusCode: null, finalUrl: url, results: null, error: error.message };
+    }
+  }
+
+  /**
+   * Build the site-level summary
+   * @param {Array} pages - Crawled page records
+   * @returns {Object} Score ranking, common issues and status distribution
+   */
+  summarize(pages) {
+    const analyzed = pages.filter(page => page.results);
+    const statusCodes = {};
+    const issueCounts = new Map();
+
+    pages.forEach(page => {
+      const key = page.statusCode ? String(page.statusCode) : 'error';
+      statusCodes[key] = (statusCodes[key] || 0) + 1;
+    });
+
+    analyzed.forEach(page => {
+      // Count each rule once per page so one noisy page does not dominate
+      const pageFindings = new Map();
+      seoAnalyzer.collectFindings(page.results).forEach(finding => {
+        pageFindings.set(finding.id || finding.message, finding);
+      });
+      pageFindings.forEach((finding, key) => {
+        const entry = issueCounts.get(key) || { id: finding.id, issue: finding.title || finding.message, pages: 0 };
+        entry.pages++;
+        issueCounts.set(key, entry);
+      });
+    });
+
+    const totalScore = analyzed.reduce((sum, page) => sum + page.results.score, 0);
+
+    return {
+      pagesCrawled: pages.length,
+      pagesAnalyzed: analyzed.length,
+      averageScore: analyzed.length > 0 ? Math.round(totalScore / analyzed.length) : null,
+      pagesByScore: analyzed
+        .map(page => ({ url: page.url, score: page.results.score }))
+        .sort((a, b) => a.score - b.score),
+      commonIssues: Array.from(issueCounts.values())
+        .sort((a, b) => b.pages - a.pages)
+        .slice(0, 20),
+      statusCodes
+    };
+  }
+
+  /**
+   * Helper: Load the robots.txt group that applies to the crawler
+   */
+  async loadRobotsGroup(url, userAgent) {
+    try {
+      const robotsUrl = new URL('/robots.txt', url).href;
+      const { statusCode, content } = await robotsService.fetchRobots(robotsUrl);
+      if (statusCode >= 400) return null;
+      const parsed = robotsService.parse(content);
+      return robotsService.selectGroup(parsed.groups, userAgent.toLowerCase());
+    } catch (error) {
+      logger.warn('Failed to load robots.txt for crawl', { url, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Helper: Apply include/exclude patterns
+   */
+  matchesFilters(url, include, exclude) {
+    const { pathname, search } = new URL(url);
+    const path = pathname + search;
+    if (include.length > 0 && !include.some(pattern => robotsService.matchesPath(pattern, path))) return false;
+    return !exclude.some(pattern => robotsService.matchesPath(pattern, path));
+  }
+
+  /**
+   * Helper: Drop fragments so the same page is not queued twice
+   */
+  normalizeUrl(url) {
+    const urlObj = new URL(url);
+    urlObj.hash = '';
+    return urlObj.href;
+  }
+}
+
+module.exports = new CrawlerService();
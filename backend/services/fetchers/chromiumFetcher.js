@@ -0,0 +1,160 @@
+const fs = require('fs');
+const addressGuard = require('../../utils/addressGuard');
+
+const CHROMIUM_CANDIDATES = [
+  '/usr/bin/chromium',
+  '/usr/bin/chromium-browser',
+  '/usr/bin/google-chrome',
+  '/usr/bin/google-chrome-stable',
+  '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+  '/Applications/Chromium.app/Contents/MacOS/Chromium'
+];
+
+/**
+ * Renders pages in a local headless Chromium and returns the rendered DOM
+ */
+class ChromiumFetcher {
+  constructor() {
+    this.name = 'chromium';
+    this.executablePath = undefined;
+  }
+
+  /**
+   * Locate a Chromium executable (CHROMIUM_PATH first, then common install paths)
+   * @returns {string|null} Executable path or null when none is installed
+   */
+  getExecutablePath() {
+    if (this.executablePath === undefined) {
+      const candidates = [process.env.CHROMIUM_PATH, ...CHROMIUM_CANDIDATES].filter(Boolean);
+      this.executablePath = candidates.find(candidate => fs.existsSync(candidate)) || null;
+    }
+    return this.executablePath;
+  }
+
+  /**
+   * Check whether both puppeteer-core and a Chromium binary are available
+   * @returns {boolean} Whether pages can be rendered locally
+   */
+  isAvailable() {
+    if (!this.getExecutablePath()) return false;
+    try {
+      require.resolve('puppeteer-core');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Render a URL and return the serialized DOM
+   * The URL and every request the page makes (redirects and subresources included) are checked by the
+   * address guard; refused requests are aborted.
+   * @param {string} url - URL to render
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} Rendered HTML and response metadata
+   */
+  async fetch(url, options = {}) {
+    if (!this.isAvailable()) {
+      throw new Error('Chromium is not available on this server');
+    }
+
+    const blockReason = await addressGuard.getUrlBlockReason(url);
+    if (blockReason) {
+      throw addressGuard.createBlockedError(url, blockReason);
+    }
+
+    const puppeteer = require('puppeteer-core');
+    const startTime = Date.now();
+    const browser = await puppeteer.launch({
+      executablePath: this.getExecutablePath(),
+      headless: 'new',
+      args: ['--disable-dev-shm-usage']
+    });
+
+    // Closing the browser makes a pending navigation reject
+    const abort = () => browser.close();
+    if (options.signal) options.signal.addEventListener('abort', abort, { once: true });
+
+    try {
+      const page = await browser.newPage();
+      await this.guardRequests(page);
+      if (options.userAgent) {
+        await page.setUserAgent(options.userAgent);
+      }
+
+      const response = await page.goto(url, {
+        waitUntil: 'networkidle2',
+        timeout: options.timeout || 30000
+      });
+      if (!response) {
+        throw new Error('Invalid response format from headless browser');
+      }
+
+      if (options.waitForSelector) {
+        await page.waitForSelector(options.waitForSelector, { timeout: options.timeout || 30000 });
+      }
+
+      const html = await page.content();
+      const redirects = response.request().redirectChain().map(request => {
+        const redirectResponse = request.response();
+        return {
+          url: request.url(),
+          statusCode: redirectResponse ? redirectResponse.status() : null,
+          location: redirectResponse ? new URL(redirectResponse.headers().location || '', request.url()).href : null,
+          time: null
+        };
+      });
+
+      return {
+        html,
+        metadata: {
+          statusCode: response.status(),
+          headers: response.headers(),
+          timing: {
+            total: Date.now() - startTime
+          },
+          url: url,
+          finalUrl: page.url(),
+          redirects,
+          fetcher: this.name
+        }
+      };
+    } finally {
+      if (options.signal) options.signal.removeEventListener('abort', abort);
+      await browser.close();
+    }
+  }
+
+  /**
+   * Helper: Abort every request of a page whose address the guard refuses; inline data needs no check
+   */
+  async guardRequests(page) {
+    // The verdict only depends on protocol and host, so each origin is checked once
+    const checks = new Map();
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      const requestUrl = request.url();
+      if (/^(data|blob):/i.test(requestUrl)) {
+        request.continue();
+        return;
+      }
+
+      let origin;
+      try {
+        const parsed = new URL(requestUrl);
+        origin = `${parsed.protocol}//${parsed.host}`;
+      } catch (error) {
+        request.abort('blockedbyclient');
+        return;
+      }
+      if (!checks.has(origin)) {
+        checks.set(origin, addressGuard.getUrlBlockReason(requestUrl));
+      }
+      checks.get(origin)
+        .then(reason => (reason ? request.abort('blockedbyclient') : request.continue()))
+        .catch(() => request.abort('blockedbyclient'));
+    });
+  }
+}
+
+module.exports = ChromiumFetcher;
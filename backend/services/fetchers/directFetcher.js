@@ -0,0 +1,133 @@
+const axios = require('axios');
+const addressGuard = require('../../utils/addressGuard');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; SEOTechCheck/1.0; +https://checkseo.dev)';
+const MAX_REDIRECTS = 10;
+// Larger bodies are refused; callers that expect big files (sitemaps) pass their own limit
+const MAX_CONTENT_LENGTH = 10 * 1024 * 1024;
+
+/**
+ * Fetches pages directly over HTTP without a third-party proxy
+ */
+class DirectFetcher {
+  constructor() {
+    this.name = 'direct';
+    this.userAgent = process.env.DIRECT_FETCHER_USER_AGENT || DEFAULT_USER_AGENT;
+    this.client = axios.create({
+      timeout: 30000,
+      // Redirects are followed manually so every hop can be recorded
+      maxRedirects: 0,
+      responseType: 'text',
+      // Keep 4xx responses so their status can be audited; 5xx still throws and is retried
+      validateStatus: status => status < 500,
+      // Connections to private addresses are refused even when DNS changes after the hop check
+      lookup: addressGuard.lookup,
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9'
+      }
+    });
+  }
+
+  /**
+   * Fetch a URL directly
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} HTML content and response metadata
+   */
+  async fetch(url, options = {}) {
+    const startTime = Date.now();
+    const { response, redirects, finalUrl } = await this.request(url, options);
+
+    if (typeof response.data !== 'string') {
+      throw new Error('Invalid response format from target server');
+    }
+
+    return {
+      html: response.data,
+      metadata: {
+        statusCode: response.status,
+        headers: { ...response.headers },
+        timing: {
+          total: Date.now() - startTime
+        },
+        url: url,
+        finalUrl,
+        redirects,
+        fetcher: this.name
+      }
+    };
+  }
+
+  /**
+   * Perform a request (GET by default), following redirects hop by hop
+   * Every URL is checked by the address guard before it is requested. A redirect to a refused
+   * address ends the chain: the hop is recorded with `blocked` and the redirect response returned.
+   * @param {string} url - URL to request
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Final response, recorded redirect hops, final URL and the refused hop, if any
+   */
+  async request(url, options = {}) {
+    const maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : MAX_REDIRECTS;
+    const redirects = [];
+    const visited = new Set();
+    let currentUrl = url;
+
+    const blockReason = await addressGuard.getUrlBlockReason(url);
+    if (blockReason) {
+      throw addressGuard.createBlockedError(url, blockReason);
+    }
+
+    while (true) {
+      visited.add(currentUrl);
+      const hopStart = Date.now();
+      const response = await this.client.request({
+        method: options.method || 'GET',
+        url: currentUrl,
+        timeout: options.timeout || 30000,
+        responseType: options.responseType || 'text',
+        maxContentLength: options.maxContentLength || MAX_CONTENT_LENGTH,
+        signal: options.signal,
+        // Callers that audit server errors themselves accept every status
+        ...(options.validateStatus && { validateStatus: options.validateStatus }),
+        headers: {
+          ...options.headers,
+          'User-Agent': options.userAgent || this.userAgent
+        }
+      });
+
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return { response, redirects, finalUrl: currentUrl };
+      }
+
+      // Release streamed bodies of intermediate hops
+      if (response.data && typeof response.data.destroy === 'function') {
+        response.data.destroy();
+      }
+
+      const nextUrl = new URL(location, currentUrl).href;
+      const hopBlockReason = await addressGuard.getUrlBlockReason(nextUrl);
+      redirects.push({
+        url: currentUrl,
+        statusCode: response.status,
+        location: nextUrl,
+        time: Date.now() - hopStart,
+        ...(hopBlockReason && { blocked: hopBlockReason })
+      });
+
+      if (hopBlockReason) {
+        return { response, redirects, finalUrl: currentUrl, blocked: { url: nextUrl, reason: hopBlockReason } };
+      }
+
+      // Stop on loops and overly long chains; the analyzer reports both
+      if (visited.has(nextUrl) || redirects.length >= maxRedirects) {
+        return { response, redirects, finalUrl: currentUrl };
+      }
+
+      currentUrl = nextUrl;
+    }
+  }
+}
+
+module.exports = DirectFetcher;
@@ -0,0 +1,9 @@
+const ChromiumFetcher = require('./chromiumFetcher');
+const DirectFetcher = require('./directFetcher');
+const ScrapeDoFetcher = require('./scrapeDoFetcher');
+
+module.exports = {
+  ChromiumFetcher,
+  DirectFetcher,
+  ScrapeDoFetcher
+};
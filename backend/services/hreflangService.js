@@ -0,0 +1,169 @@
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+const { DirectFetcher } = require('./fetchers');
+const { parseLinkHeader } = require('../utils/linkHeader');
+const { createBlockedError } = require('../utils/addressGuard');
+
+// Region codes that look valid but are not ISO 3166-1 alpha-2 countries (UK is a common mistake for GB)
+const RESERVED_REGIONS = ['UK', 'EU', 'UN', 'EZ', 'AA', 'ZZ'];
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region', fallback: 'none' });
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+class HreflangService {
+  constructor() {
+    this.fetcher = new DirectFetcher();
+  }
+
+  /**
+   * Extract hreflang annotations from markup and the Link response header
+   * @param {Object} $ - Cheerio root of the page
+   * @param {Object} headers - Response headers (lower-case names)
+   * @param {string} baseUrl - URL of the page, used to resolve relative hrefs
+   * @returns {Object[]} Annotations with hreflang, href, resolved url, source and absolute flag
+   */
+  extractAnnotations($, headers, baseUrl) {
+    const annotations = [];
+
+    $('link[hreflang]').each((_, elem) => {
+      const rel = ($(elem).attr('rel') || '').toLowerCase().split(/\s+/);
+      if (!rel.includes('alternate')) return;
+      annotations.push(this.createAnnotation($(elem).attr('hreflang'), $(elem).attr('href'), 'html', baseUrl));
+    });
+
+    parseLinkHeader(headers.link)
+      .filter(link => link.rel.includes('alternate') && link.params.hreflang)
+      .forEach(link => {
+        annotations.push(this.createAnnotation(link.params.hreflang, link.href, 'header', baseUrl));
+      });
+
+    return annotations;
+  }
+
+  /**
+   * Validate an hreflang value: ISO 639-1 language, optional ISO 15924 script and ISO 3166-1 alpha-2 region, or x-default
+   * @param {string} value - hreflang value
+   * @returns {Object} valid flag, language, script, region and the reason when invalid
+   */
+  parseCode(value) {
+    const code = (value || '').trim();
+    if (code.toLowerCase() === 'x-default') {
+      return { valid: true, language: null, script: null, region: null, xDefault: true, reason: null };
+    }
+
+    const invalid = reason => ({ valid: false, language: null, script: null, region: null, xDefault: false, reason });
+    const match = code.match(/^([a-z]{2,3})(?:-([a-z]{4}))?(?:-([a-z0-9]+))?$/i);
+    if (!match) {
+      return invalid('expected a language code optionally followed by a region, e.g. en or en-GB');
+    }
+
+    const [, language, script, region] = match;
+    if (language.length !== 2 || !languageNames.of(language.toLowerCase())) {
+      return invalid(`${language} is not an ISO 639-1 language code`);
+    }
+    if (region && (!/^[a-z]{2}$/i.test(region) || RESERVED_REGIONS.includes(region.toUpperCase())
+      || !regionNames.of(region.toUpperCase()) || /^(Q[M-Z]|X[A-Z])$/i.test(region))) {
+      return invalid(`${region} is not an ISO 3166-1 alpha-2 country code`);
+    }
+
+    return {
+      valid: true,
+      language: language.toLowerCase(),
+      script: script ? script.charAt(0).toUpperCase() + script.slice(1).toLowerCase() : null,
+      region: region ? region.toUpperCase() : null,
+      xDefault: false,
+      reason: null
+    };
+  }
+
+  /**
+   * Fetch alternate pages and check that each one links back to the page
+   * @param {string} pageUrl - URL of the analyzed page
+   * @param {Object[]} annotations - Annotations of the page
+   * @param {Object} options - Check options
+   * @param {number} [options.concurrency=3] - Alternates fetched in parallel
+   * @param {number} [options.maxAlternates=20] - Maximum number of alternates fetched
+   * @param {number} [options.timeout=10000] - Per-request timeout (ms)
+   * @returns {Promise<Map<string, Object>>} Result per alternate URL: statusCode, returnLink and error
+   */
+  async verifyReturnLinks(pageUrl, annotations, options = {}) {
+    const concurrency = options.concurrency || 3;
+    const maxAlternates = options.maxAlternates || 20;
+    const results = new Map();
+
+    const urls = Array.from(new Set(annotations
+      .filter(annotation => annotation.url && annotation.url !== pageUrl)
+      .map(annotation => annotation.url)))
+      .slice(0, maxAlternates);
+
+    const queue = [...urls];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const url = queue.shift();
+        results.set(url, await this.checkAlternate(url, pageUrl, options));
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+    logger.info('hreflang return links checked', { pageUrl, checked: results.size });
+    return results;
+  }
+
+  /**
+   * Helper: Fetch one alternate and look for an annotation pointing back at the page
+   */
+  async checkAlternate(url, pageUrl, options) {
+    try {
+      const { response, finalUrl, blocked } = await this.fetcher.request(url, {
+        timeout: options.timeout || 10000,
+        signal: options.signal
+      });
+      if (blocked) {
+        throw createBlockedError(blocked.url, blocked.reason);
+      }
+      if (response.status >= 400) {
+        return { statusCode: response.status, returnLink: false, error: null };
+      }
+
+      const html = typeof response.data === 'string' ? response.data : '';
+      const headers = {};
+      Object.entries(response.headers || {}).forEach(([name, value]) => {
+        headers[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : value;
+      });
+      const returnLink = this.extractAnnotations(cheerio.load(html), headers, finalUrl)
+        .some(annotation => annotation.url === pageUrl);
+
+      return { statusCode: response.status, returnLink, error: null };
+    } catch (error) {
+      return {
+        statusCode: error.response ? error.response.status : null,
+        returnLink: false,
+        error: error.response ? null : error.message
+      };
+    }
+  }
+
+  /**
+   * Helper: Build an annotation, resolving its href against the page URL
+   */
+  createAnnotation(hreflang, href, source, baseUrl) {
+    let url = null;
+    let absolute = false;
+    try {
+      absolute = ['http:', 'https:'].includes(new URL(href).protocol);
+    } catch (error) {
+      absolute = false;
+    }
+    try {
+      const resolved = new URL(href, baseUrl);
+      resolved.hash = '';
+      url = resolved.href;
+    } catch (error) {
+      url = null;
+    }
+
+    return { hreflang: (hreflang || '').trim(), href: href || null, url, source, absolute };
+  }
+}
+
+module.exports = new HreflangService();
@@ -0,0 +1,214 @@
+const logger = require('../utils/logger');
+const { DirectFetcher } = require('./fetchers');
+const { createBlockedError } = require('../utils/addressGuard');
+
+// Enough bytes to find the dimensions of every supported format
+const PROBE_BYTES = 64 * 1024;
+
+class ImageService {
+  constructor() {
+    this.fetcher = new DirectFetcher();
+  }
+
+  /**
+   * Inspect several images with bounded concurrency
+   * @param {string[]} urls - Absolute image URLs
+   * @param {Object} options - Inspection options
+   * @param {number} [options.concurrency=4] - Parallel requests
+   * @param {number} [options.maxImages=20] - Maximum number of images to inspect
+   * @returns {Promise<Map<string, Object>>} Inspection result per URL
+   */
+  async inspectAll(urls, options = {}) {
+    const concurrency = options.concurrency || 4;
+    const queue = Array.from(new Set(urls)).slice(0, options.maxImages || 20);
+    const results = new Map();
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const url = queue.shift();
+        results.set(url, await this.inspect(url, options));
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Fetch the first bytes of an image to read its size, type and intrinsic dimensions
+   * @param {string} url - Absolute image URL
+   * @param {Object} options - Inspection options
+   * @returns {Promise<Object>} File size, content type, format and dimensions
+   */
+  async inspect(url, options = {}) {
+    const result = {
+      url,
+      statusCode: null,
+      size: null,
+      contentType: null,
+      format: null,
+      width: null,
+      height: null,
+      error: null
+    };
+
+    try {
+      const { response, blocked } = await this.fetcher.request(url, {
+        responseType: 'stream',
+        timeout: options.timeout || 10000,
+        maxRedirects: 5,
+        signal: options.signal,
+        headers: {
+          Range: `bytes=0-${PROBE_BYTES - 1}`
+        }
+      });
+
+      if (blocked) {
+        if (response.data && typeof response.data.destroy === 'function') {
+          response.data.destroy();
+        }
+        throw createBlockedError(blocked.url, blocked.reason);
+      }
+
+      result.statusCode = response.status;
+      result.contentType = (response.headers['content-type'] || '').split(';')[0].trim() || null;
+      const buffer = await this.readHead(response.data, PROBE_BYTES);
+
+      if (response.status >= 400) {
+        result.error = `HTTP ${response.status}`;
+        return result;
+      }
+
+      result.size = this.getTotalSize(response, buffer);
+      Object.assign(result, this.getDimensions(buffer));
+    } catch (error) {
+      if (error.response && error.response.data && typeof error.response.data.destroy === 'function') {
+        error.response.data.destroy();
+      }
+      logger.warn('Failed to inspect image', { url, error: error.message });
+      result.error = error.response ? `HTTP ${error.response.status}` : error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Read at most `limit` bytes from a response stream, then close it
+   * @param {Stream} stream - Response body stream
+   * @param {number} limit - Maximum bytes to read
+   * @returns {Promise<Buffer>} Bytes read
+   */
+  readHead(stream, limit) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let length = 0;
+
+      const finish = () => {
+        stream.destroy();
+        resolve(Buffer.concat(chunks, length).subarray(0, limit));
+      };
+
+      stream.on('data', chunk => {
+        chunks.push(chunk);
+        length += chunk.length;
+        if (length >= limit) finish();
+      });
+      stream.on('end', finish);
+      stream.on('error', reject);
+    });
+  }
+
+  /**
+   * Helper: Total file size from Content-Range, Content-Length or the body itself
+   */
+  getTotalSize(response, buffer) {
+    const contentRange = response.headers['content-range'];
+    if (contentRange) {
+      const total = parseInt(contentRange.split('/')[1], 10);
+      if (!isNaN(total)) return total;
+    }
+    const contentLength = parseInt(response.headers['content-length'], 10);
+    if (response.status === 200 && !isNaN(contentLength)) return contentLength;
+    return buffer.length < PROBE_BYTES ? buffer.length : null;
+  }
+
+  /**
+   * Detect the format and intrinsic dimensions from leading image bytes
+   * @param {Buffer} buffer - Leading bytes of the image
+   * @returns {Object} Format, width and height (null when unknown)
+   */
+  getDimensions(buffer) {
+    const unknown = { format: null, width: null, height: null };
+    if (!buffer || buffer.length < 12) return unknown;
+
+    // PNG
+    if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.length >= 24) {
+      return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    // GIF
+    if (buffer.toString('ascii', 0, 3) === 'GIF') {
+      return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+
+    // JPEG: walk segments until a start-of-frame marker
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+          offset++;
+          continue;
+        }
+        const marker = buffer[offset + 1];
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { format: 'jpeg', height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+      return { ...unknown, format: 'jpeg' };
+    }
+
+    // WebP (lossy, lossless and extended)
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' && buffer.length >= 30) {
+      const chunk = buffer.toString('ascii', 12, 16);
+      if (chunk === 'VP8 ') {
+        return { format: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+      }
+      if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      if (chunk === 'VP8X') {
+        return { format: 'webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+      }
+      return { ...unknown, format: 'webp' };
+    }
+
+    // AVIF: ftyp brand followed by an ispe (image spatial extents) box
+    if (buffer.toString('ascii', 4, 8) === 'ftyp' && /avi[fs]/.test(buffer.toString('ascii', 8, 32))) {
+      const ispe = buffer.indexOf('ispe');
+      if (ispe !== -1 && ispe + 16 <= buffer.length) {
+        return { format: 'avif', width: buffer.readUInt32BE(ispe + 8), height: buffer.readUInt32BE(ispe + 12) };
+      }
+      return { ...unknown, format: 'avif' };
+    }
+
+    // SVG: read width/height or the viewBox
+    const text = buffer.toString('utf8', 0, Math.min(buffer.length, 4096));
+    const svgTag = text.match(/<svg\b[^>]*>/i);
+    if (svgTag) {
+      const attr = name => {
+        const match = svgTag[0].match(new RegExp(`\\s${name}=["']([^"']+)["']`, 'i'));
+        return match ? match[1] : null;
+      };
+      const viewBox = (attr('viewBox') || '').split(/[\s,]+/).map(parseFloat);
+      const width = parseFloat(attr('width')) || (viewBox.length === 4 ? viewBox[2] : null);
+      const height = parseFloat(attr('height')) || (viewBox.length === 4 ? viewBox[3] : null);
+      return { format: 'svg', width: width || null, height: height || null };
+    }
+
+    return unknown;
+  }
+}
+
+module.exports = new ImageService();
@@ -0,0 +1,191 @@
+const BOTS = ['googlebot', 'bingbot'];
+// Directives that take a value after a colon; any other "name:" prefix names a user agent
+const VALUE_DIRECTIVES = ['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'];
+const IMAGE_PREVIEW_SIZES = ['none', 'standard', 'large'];
+// data-nosnippet is only honoured on these elements
+const NOSNIPPET_ELEMENTS = ['span', 'div', 'section'];
+
+class IndexabilityService {
+  /**
+   * Parse a robots directive list as used in meta robots content and X-Robots-Tag
+   * @param {string} value - Comma-separated directives, e.g. "noindex, max-snippet:50"
+   * @returns {Object} Directives: noindex, nofollow, nosnippet, noarchive, noimageindex, maxSnippet,
+   *   maxImagePreview, maxVideoPreview, unavailableAfter (raw value) and unknown tokens
+   */
+  parseDirectives(value) {
+    const directives = this.emptyDirectives();
+    this.splitTokens(value).forEach(token => this.applyToken(directives, token));
+    return directives;
+  }
+
+  /**
+   * Collect the directives that apply to each bot from meta tags and the X-Robots-Tag header
+   * @param {Object} $ - Cheerio root of the page
+   * @param {Object} headers - Response headers (lower-case names)
+   * @returns {Object} Directives by bot, each with the sources they were read from
+   */
+  collectDirectives($, headers) {
+    const headerTokens = this.parseHeader(headers['x-robots-tag']);
+    const bots = {};
+
+    BOTS.forEach(bot => {
+      const directives = this.emptyDirectives();
+      const sources = [];
+
+      ['robots', bot].forEach(name => {
+        $(`meta[name="${name}" i]`).each((_, elem) => {
+          const content = $(elem).attr('content') || '';
+          this.splitTokens(content).forEach(token => this.applyToken(directives, token));
+          sources.push({ source: `meta ${name}`, value: content });
+        });
+      });
+
+      ['*', bot].forEach(agent => {
+        if (!headerTokens[agent]) return;
+        headerTokens[agent].forEach(token => this.applyToken(directives, token));
+        sources.push({
+          source: agent === '*' ? 'X-Robots-Tag' : `X-Robots-Tag ${bot}`,
+          value: headerTokens[agent].join(', ')
+        });
+      });
+
+      bots[bot] = { ...directives, sources };
+    });
+
+    return bots;
+  }
+
+  /**
+   * Find elements marked with data-nosnippet
+   * @param {Object} $ - Cheerio root of the page
+   * @returns {Object} count and the tag names that do not support the attribute
+   */
+  findNosnippet($) {
+    const tags = $('[data-nosnippet]').map((_, elem) => elem.tagName.toLowerCase()).get();
+    return {
+      count: tags.length,
+      unsupported: Array.from(new Set(tags.filter(tag => !NOSNIPPET_ELEMENTS.includes(tag))))
+    };
+  }
+
+  /**
+   * Parse an unavailable_after value (ISO 8601, RFC 822 or RFC 850 dates)
+   * @param {string} value - Raw directive value
+   * @returns {Date|null} The date, or null when it cannot be parsed
+   */
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Helper: Split X-Robots-Tag values into directive tokens by user agent ('*' for unprefixed)
+   */
+  parseHeader(value) {
+    const byAgent = {};
+    let agent = '*';
+
+    this.splitTokens(value).forEach(token => {
+      const prefix = token.match(/^([a-z][\w-]*)\s*:\s*(.*)$/i);
+      if (prefix && !VALUE_DIRECTIVES.includes(prefix[1].toLowerCase())) {
+        agent = prefix[1].toLowerCase();
+        token = prefix[2];
+        if (!token) return;
+      }
+      if (!byAgent[agent]) byAgent[agent] = [];
+      byAgent[agent].push(token);
+    });
+
+    return byAgent;
+  }
+
+  /**
+   * Helper: Split a directive list on commas, re-joining dates that contain one (RFC 850)
+   */
+  splitTokens(value) {
+    const tokens = [];
+    (value || '').split(',').map(token => token.trim()).filter(Boolean).forEach(token => {
+      const previous = tokens[tokens.length - 1];
+      if (previous && /^unavailable_after\s*:\s*[a-z]+$/i.test(previous) && /^\d/.test(token)) {
+        tokens[tokens.length - 1] = `${previous}, ${token}`;
+      } else {
+        tokens.push(token);
+      }
+    });
+    return tokens;
+  }
+
+  /**
+   * Helper: Apply one directive token; the most restrictive value wins
+   */
+  applyToken(directives, token) {
+    const [rawName, ...rest] = token.split(':');
+    const name = rawName.trim().toLowerCase();
+    const value = rest.join(':').trim();
+
+    switch (name) {
+      case 'all':
+      case 'index':
+      case 'follow':
+        break;
+      case 'none':
+        directives.noindex = true;
+        directives.nofollow = true;
+        break;
+      case 'noindex':
+      case 'nofollow':
+      case 'nosnippet':
+      case 'noarchive':
+      case 'noimageindex':
+        directives[name] = true;
+        break;
+      case 'max-snippet':
+      case 'max-video-preview': {
+        const key = name === 'max-snippet' ? 'maxSnippet' : 'maxVideoPreview';
+        const limit = parseInt(value, 10);
+        if (isNaN(limit)) {
+          directives.unknown.push(token);
+        } else if (directives[key] === null || (limit !== -1 && (directives[key] === -1 || limit < directives[key]))) {
+          directives[key] = limit;
+        }
+        break;
+      }
+      case 'max-image-preview': {
+        const size = value.toLowerCase();
+        if (!IMAGE_PREVIEW_SIZES.includes(size)) {
+          directives.unknown.push(token);
+        } else if (directives.maxImagePreview === null
+          || IMAGE_PREVIEW_SIZES.indexOf(size) < IMAGE_PREVIEW_SIZES.indexOf(directives.maxImagePreview)) {
+          directives.maxImagePreview = size;
+        }
+        break;
+      }
+      case 'unavailable_after':
+        directives.unavailableAfter = value || null;
+        break;
+      default:
+        directives.unknown.push(token);
+    }
+  }
+
+  /**
+   * Helper: Directives before anything is applied (everything allowed)
+   */
+  emptyDirectives() {
+    return {
+      noindex: false,
+      nofollow: false,
+      nosnippet: false,
+      noarchive: false,
+      noimageindex: false,
+      maxSnippet: null,
+      maxImagePreview: null,
+      maxVideoPreview: null,
+      unavailableAfter: null,
+      unknown: []
+    };
+  }
+}
+
+module.exports = new IndexabilityService();
@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+const { MemoryJobStore, FileJobStore } = require('./jobs');
+const analysisService = require('./analysisService');
+const crawlerService = require('./crawlerService');
+
+const FINISHED_STATES = ['succeeded', 'failed', 'cancelled'];
+// Progress events kept on the job so late subscribers can catch up
+const MAX_JOB_EVENTS = 200;
+
+class JobService {
+  constructor() {
+    this.store = process.env.JOBS_DIR
+      ? new FileJobStore({ directory: process.env.JOBS_DIR })
+      : new MemoryJobStore();
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 2;
+    this.retryDelay = parseInt(process.env.JOB_RETRY_DELAY_MS) || 5000;
+    this.ttl = parseInt(process.env.JOB_TTL_MS) || 60 * 60 * 1000;
+
+    this.handlers = new Map();
+    this.queue = [];
+    this.running = new Map();
+    // Serializes store writes so a late progress update cannot overwrite a final state
+    this.writeQueue = Promise.resolve();
+    this.sweepTimer = null;
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+
+    this.registerHandler('analysis', async (payload, { signal, reportProgress }) => {
+      let sectionsDone = 0;
+      // The analyzer announces how many sections it will report before the first one
+      let sectionCount = null;
+      return analysisService.run(payload.url, { ...payload.options, signal }, event => {
+        if (event.type === 'analysis' && event.status === 'started') sectionCount = event.steps;
+        if (event.type === 'section') sectionsDone++;
+        reportProgress({
+          percent: Math.min(95, event.type === 'fetch' && event.status === 'started'
+            ? 5
+            : 20 + Math.round((sectionCount ? sectionsDone / sectionCount : 0) * 75)),
+          step: event.type === 'section' ? event.section : event.type
+        }, event);
+      });
+    });
+
+    this.registerHandler('batch', async (payload, { signal, reportProgress }) => {
+      const { concurrency, ...options } = payload.options || {};
+      return analysisService.runBatch(payload.urls, options, concurrency ? parseInt(concurrency) : undefined, {
+        signal,
+        onProgress: (completed, total) => reportProgress({
+          percent: Math.round((completed / total) * 100),
+          step: `Analyzed ${completed} of ${total} URLs`
+        })
+      });
+    });
+
+    this.registerHandler('crawl', async (payload, { signal, reportProgress }) => {
+      const options = payload.options || {};
+      const maxPages = options.maxPages || 20;
+      return crawlerService.crawl(payload.url, {
+        ...options,
+        signal,
+        onPage: pagesCrawled => reportProgress({
+          percent: Math.round((pagesCrawled / maxPages) * 100),
+          step: `Crawled ${pagesCrawled} pages`
+        })
+      });
+    });
+  }
+
+  /**
+   * Register a job type
+   * @param {string} type - Job type name
+   * @param {Function} handler - Async `(payload, { signal, reportProgress }) => result`;
+   *   `reportProgress(progress, event)` updates the job progress and publishes the event (a progress event by default)
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Replace the backing store
+   * @param {Object} store - Object with async get/save/delete/list methods
+   */
+  setStore(store) {
+    if (!store || ['get', 'save', 'delete', 'list'].some(method => typeof store[method] !== 'function')) {
+      throw new Error('Job store must implement get, save, delete and list');
+    }
+    this.store = store;
+  }
+
+  /**
+   * Requeue unfinished jobs from the store and start expiring finished ones
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const jobs = await this.store.list();
+    const unfinished = jobs
+      .filter(job => !FINISHED_STATES.includes(job.state))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of unfinished) {
+      // A job that was running when the process stopped is started over
+      await this.save({ ...job, state: 'queued', progress: { percent: 0, step: null } });
+      this.queue.push(job.id);
+    }
+
+    if (unfinished.length > 0) {
+      logger.info('Recovered unfinished jobs', { count: unfinished.length });
+    }
+
+    if (!this.sweepTimer) {
+      this.sweepTimer = setInterval(() => {
+        this.sweep().catch(error => logger.error('Job sweep failed', { error: error.message }));
+      }, Math.min(this.ttl, 10 * 60 * 1000));
+      this.sweepTimer.unref();
+    }
+
+    this.drain();
+  }
+
+  /**
+   * Create a job and queue it
+   * @param {string} type - Registered job type
+   * @param {Object} payload - Job input passed to the handler
+   * @param {Object} options - Job options
+   * @param {number} [options.maxAttempts] - Attempts before the job fails
+   * @returns {Promise<Object>} Created job
+   */
+  async create(type, payload, options = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      state: 'queued',
+      payload,
+      progress: { percent: 0, step: null },
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.maxAttempts,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      events: [],
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null
+    };
+
+    await this.save(job);
+    this.queue.push(job.id);
+    logger.info('Job queued', { id: job.id, type });
+
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Job or null when not found or expired
+   */
+  async get(id) {
+    const job = await this.store.get(id);
+    if (!job) return null;
+
+    if (this.isExpired(job)) {
+      await this.store.delete(id);
+      return null;
+    }
+    return job;
+  }
+
+  /**
+   * Cancel a queued or running job; finished jobs are returned unchanged
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Job or null when not found
+   */
+  async cancel(id) {
+    const job = await this.get(id);
+    if (!job || this.isFinished(job)) return job;
+
+    this.queue = this.queue.filter(queuedId => queuedId !== id);
+    if (this.running.has(id)) {
+      this.running.get(id).abort();
+    }
+
+    const cancelled = await this.save(this.withEvent(this.finish(job, 'cancelled'), { type: 'state', state: 'cancelled' }), true);
+    logger.info('Job cancelled', { id });
+    return cancelled;
+  }
+
+  /**
+   * Listen to the events of one job
+   * @param {string} id - Job ID
+   * @param {Function} listener - Called with each event (`seq`, `type`, `at` and event fields)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(id, listener) {
+    this.events.on(id, listener);
+    return () => this.events.off(id, listener);
+  }
+
+  /**
+   * Whether a job reached a final state
+   * @param {Object} job - Job
+   * @returns {boolean}
+   */
+  isFinished(job) {
+    return FINISHED_STATES.includes(job.state);
+  }
+
+  /**
+   * Delete expired jobs from the store
+   * @returns {Promise<number>} Number of jobs deleted
+   */
+  async sweep() {
+    const expired = (await this.store.list()).filter(job => this.isExpired(job));
+    await Promise.all(expired.map(job => this.store.delete(job.id)));
+    return expired.length;
+  }
+
+  /**
+   * Helper: Start queued jobs while there is capacity
+   */
+  drain() {
+    while (this.running.size < this.concurrency && this.queue.length > 0) {
+      const id = this.queue.shift();
+      const controller = new AbortController();
+      this.running.set(id, controller);
+
+      this.execute(id, controller.signal)
+        .catch(error => logger.error('Job execution failed', { id, error: error.message }))
+        .finally(() => {
+          this.running.delete(id);
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Helper: Run one attempt of a job and record the outcome
+   */
+  async execute(id, signal) {
+    let job = await this.store.get(id);
+    if (!job || job.state !== 'queued' || signal.aborted) return;
+
+    const handler = this.handlers.get(job.type);
+    job = this.withEvent({
+      ...job,
+      state: 'running',
+      attempts: job.attempts + 1,
+      startedAt: new Date().toISOString()
+    }, { type: 'state', state: 'running', attempt: job.attempts + 1 });
+    await this.save(job, true);
+
+    const reportProgress = async (progress, event) => {
+      if (signal.aborted) return;
+      try {
+        // Update synchronously; handlers may report several steps without awaiting each one
+        job = this.withEvent({ ...job, progress: { ...job.progress, ...progress } }, event || { type: 'progress', ...progress });
+        await this.save(job, true);
+      } catch (error) {
+        logger.warn('Failed to store job progress', { id, error: error.message });
+      }
+    };
+
+    try {
+      const result = await handler(job.payload, { signal, reportProgress });
+      if (signal.aborted) return;
+
+      await this.save(this.withEvent(
+        this.finish({ ...job, result, progress: { percent: 100, step: null } }, 'succeeded'),
+        { type: 'state', state: 'succeeded' }
+      ), true);
+      logger.info('Job succeeded', { id, type: job.type, attempts: job.attempts });
+    } catch (error) {
+      if (signal.aborted) return;
+
+      if (job.attempts < job.maxAttempts) {
+        await this.save(this.withEvent(
+          { ...job, state: 'queued', error: error.message },
+          { type: 'state', state: 'queued', error: error.message }
+        ), true);
+        logger.warn('Job attempt failed, retrying', { id, attempts: job.attempts, error: error.message });
+
+        const timer = setTimeout(() => {
+          this.queue.push(id);
+          this.drain();
+        }, this.retryDelay * job.attempts);
+        timer.unref();
+        return;
+      }
+
+      await this.save(this.withEvent(
+        this.finish({ ...job, error: error.message }, 'failed'),
+        { type: 'state', state: 'failed', error: error.message }
+      ), true);
+      logger.error('Job failed', { id, type: job.type, attempts: job.attempts, error: error.message });
+    }
+  }
+
+  /**
+   * Helper: Move a job to a final state and schedule its expiry
+   */
+  finish(job, state) {
+    const now = Date.now();
+    return {
+      ...job,
+      state,
+      finishedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttl).toISOString()
+    };
+  }
+
+  /**
+   * Helper: Append an event to a job's event log
+   */
+  withEvent(job, event) {
+    const events = job.events || [];
+    const entry = {
+      ...event,
+      seq: events.length > 0 ? events[events.length - 1].seq + 1 : 1,
+      at: new Date().toISOString()
+    };
+    return { ...job, events: [...events, entry].slice(-MAX_JOB_EVENTS) };
+  }
+
+  /**
+   * Helper: Persist a job through the serialized write queue, then optionally publish its latest event
+   */
+  save(job, publish = false) {
+    const write = this.writeQueue.then(() => this.store.save(job)).then(() => {
+      if (publish) this.events.emit(job.id, job.events[job.events.length - 1]);
+      return job;
+    });
+    // A failed write must not block the ones queued after it
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  isExpired(job) {
+    return Boolean(job.expiresAt) && new Date(job.expiresAt).getTime() <= Date.now();
+  }
+}
+
+module.exports = new JobService();
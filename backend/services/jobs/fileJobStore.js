@@ -0,0 +1,74 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * File-based job store
+ * Each job is stored as `<id>.json` so queued jobs survive a restart.
+ */
+class FileJobStore {
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.ready = null;
+  }
+
+  async get(id) {
+    if (!this.isValidId(id)) return null;
+    await this.ensureDirectory();
+    try {
+      return JSON.parse(await fs.readFile(this.jobFile(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(job) {
+    await this.ensureDirectory();
+    // Write then rename so a crash never leaves a half-written job behind
+    const tempFile = `${this.jobFile(job.id)}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(job));
+    await fs.rename(tempFile, this.jobFile(job.id));
+    return job;
+  }
+
+  async delete(id) {
+    if (!this.isValidId(id)) return false;
+    try {
+      await fs.unlink(this.jobFile(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list() {
+    await this.ensureDirectory();
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    const jobs = await Promise.all(files.map(file => this.get(path.basename(file, '.json'))));
+    return jobs.filter(Boolean);
+  }
+
+  /**
+   * Helper: Create the directory once
+   */
+  ensureDirectory() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.directory, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Helper: Guard against path traversal through the id
+   */
+  isValidId(id) {
+    return typeof id === 'string' && /^[a-f0-9-]{36}$/.test(id);
+  }
+
+  jobFile(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+module.exports = FileJobStore;
@@ -0,0 +1,7 @@
+const MemoryJobStore = require('./memoryJobStore');
+const FileJobStore = require('./fileJobStore');
+
+module.exports = {
+  MemoryJobStore,
+  FileJobStore
+};
@@ -0,0 +1,29 @@
+/**
+ * In-memory job store
+ * Stores implement async get/save/delete/list so persistent backends can be swapped in.
+ */
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async save(job) {
+    this.jobs.set(job.id, { ...job });
+    return job;
+  }
+
+  async delete(id) {
+    return this.jobs.delete(id);
+  }
+
+  async list() {
+    return Array.from(this.jobs.values(), job => ({ ...job }));
+  }
+}
+
+module.exports = MemoryJobStore;
@@ -0,0 +1,135 @@
+const logger = require('../utils/logger');
+const { DirectFetcher } = require('./fetchers');
+const { createBlockedError } = require('../utils/addressGuard');
+
+class LinkCheckerService {
+  constructor() {
+    this.fetcher = new DirectFetcher();
+  }
+
+  /**
+   * Verify that link targets resolve
+   * Requests run with bounded global concurrency and one request at a time per host.
+   * @param {string[]} urls - Absolute URLs to check
+   * @param {Object} options - Check options
+   * @param {number} [options.concurrency=5] - Hosts checked in parallel
+   * @param {number} [options.hostDelay=250] - Pause between requests to the same host (ms)
+   * @param {number} [options.timeout=10000] - Per-request timeout (ms)
+   * @param {number} [options.maxLinks=100] - Maximum number of unique URLs to check
+   * @returns {Promise<Map<string, Object>>} Check result per URL
+   */
+  async checkUrls(urls, options = {}) {
+    const concurrency = options.concurrency || 5;
+    const hostDelay = options.hostDelay !== undefined ? options.hostDelay : 250;
+    const maxLinks = options.maxLinks || 100;
+    const results = new Map();
+
+    const unique = Array.from(new Set(urls)).slice(0, maxLinks);
+    const byHost = new Map();
+    unique.forEach(url => {
+      const host = new URL(url).host;
+      if (!byHost.has(host)) byHost.set(host, []);
+      byHost.get(host).push(url);
+    });
+
+    const hostQueues = Array.from(byHost.values());
+    const worker = async () => {
+      while (hostQueues.length > 0) {
+        const queue = hostQueues.shift();
+        for (let i = 0; i < queue.length; i++) {
+          if (i > 0 && hostDelay > 0) await this.delay(hostDelay);
+          results.set(queue[i], await this.checkUrl(queue[i], options));
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, hostQueues.length) }, worker));
+
+    logger.info('Link verification completed', {
+      checked: results.size,
+      skipped: Math.max(0, new Set(urls).size - unique.length)
+    });
+
+    return results;
+  }
+
+  /**
+   * Check a single URL with HEAD, falling back to GET when HEAD is refused
+   * @param {string} url - URL to check
+   * @param {Object} options - Check options
+   * @returns {Promise<Object>} Status code, redirect target, latency and broken flag
+   */
+  async checkUrl(url, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      let result = await this.request(url, 'HEAD', options);
+      if ([403, 405, 501].includes(result.statusCode)) {
+        result = await this.request(url, 'GET', options);
+      }
+
+      return {
+        statusCode: result.statusCode,
+        redirectTarget: result.redirectTarget,
+        latency: Date.now() - startTime,
+        broken: result.statusCode >= 400,
+        error: null
+      };
+    } catch (error) {
+      const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message);
+      return {
+        statusCode: null,
+        redirectTarget: null,
+        latency: Date.now() - startTime,
+        broken: true,
+        error: timedOut ? 'Timeout' : error.message
+      };
+    }
+  }
+
+  /**
+   * Helper: Issue one request and reduce it to status and redirect target
+   */
+  async request(url, method, options) {
+    try {
+      const { response, redirects, finalUrl, blocked } = await this.fetcher.request(url, {
+        method,
+        responseType: 'stream',
+        timeout: options.timeout || 10000,
+        maxRedirects: 5,
+        signal: options.signal
+      });
+      if (response.data && typeof response.data.destroy === 'function') {
+        response.data.destroy();
+      }
+      // A redirect to a refused address counts as broken
+      if (blocked) {
+        throw createBlockedError(blocked.url, blocked.reason);
+      }
+      return {
+        statusCode: response.status,
+        redirectTarget: redirects.length > 0 ? finalUrl : null
+      };
+    } catch (error) {
+      // The fetcher rejects 5xx responses; they are still a valid check result
+      if (error.response) {
+        if (error.response.data && typeof error.response.data.destroy === 'function') {
+          error.response.data.destroy();
+        }
+        return { statusCode: error.response.status, redirectTarget: null };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delay execution
+   * @param {number} ms - Milliseconds to delay
+   * @returns {Promise<void>}
+   */
+  async delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new LinkCheckerService();
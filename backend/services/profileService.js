@@ -0,0 +1,272 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const ruleRegistry = require('./ruleRegistry');
+const builtInProfiles = require('./profiles');
+
+const DEFAULT_PROFILE = 'default';
+// Limits a profile can override, with the bounds each one accepts
+const THRESHOLD_BOUNDS = {
+  title: ['min', 'max'],
+  description: ['min', 'max'],
+  content: ['min'],
+  paragraphs: ['min'],
+  stylesheets: ['max']
+};
+const CONTENT_UNITS = ['words', 'characters'];
+
+class ProfileService {
+  constructor() {
+    this.profiles = new Map();
+    builtInProfiles.forEach(profile => this.register(profile));
+
+    if (process.env.AUDIT_PROFILES_FILE) {
+      this.loadFile(process.env.AUDIT_PROFILES_FILE);
+    }
+  }
+
+  /**
+   * Register a named profile
+   * @param {Object} profile - Profile definition
+   * @param {string} profile.name - Name used to select the profile through `options.profile`
+   * @param {string} [profile.extends='default'] - Registered profile the definition builds on
+   * @param {string} [profile.description] - What the profile is for
+   * @param {Object} [profile.thresholds] - Limit overrides, e.g. `{ title: { min: 15, max: 32 } }`
+   * @param {string[]} [profile.disabledRules] - Rule IDs that are not reported
+   * @param {Object} [profile.severities] - Severity overrides by rule ID
+   */
+  register(profile) {
+    const errors = this.validate(profile);
+    if (errors.length === 0 && (typeof profile.name !== 'string' || profile.name.trim() === '')) {
+      errors.push('profile.name must be a non-empty string');
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid profile: ${errors.join(', ')}`);
+    }
+    if (this.profiles.has(profile.name)) {
+      throw new Error(`Duplicate profile: ${profile.name}`);
+    }
+
+    const base = profile.name === DEFAULT_PROFILE ? null : this.profiles.get(profile.extends || DEFAULT_PROFILE);
+    this.profiles.set(profile.name, this.merge(base, profile));
+  }
+
+  /**
+   * Get a registered profile
+   * @param {string} name - Profile name
+   * @returns {Object|null} Resolved profile or null when not registered
+   */
+  get(name) {
+    return this.profiles.get(name) || null;
+  }
+
+  /**
+   * List registered profiles
+   * @returns {Object[]} Resolved profiles
+   */
+  list() {
+    return Array.from(this.profiles.values());
+  }
+
+  /**
+   * Check a profile selection: a registered profile name or an inline definition
+   * @param {string|Object} profile - Value of `options.profile`
+   * @returns {string[]} Validation errors; empty when the profile is valid
+   */
+  validate(profile) {
+    if (typeof profile === 'string') {
+      return this.profiles.has(profile) ? [] : [`Unknown profile: ${profile}`];
+    }
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      return ['profile must be a profile name or a profile object'];
+    }
+
+    const errors = [];
+
+    if (profile.name !== undefined && typeof profile.name !== 'string') {
+      errors.push('profile.name must be a string');
+    }
+    if (profile.description !== undefined && typeof profile.description !== 'string') {
+      errors.push('profile.description must be a string');
+    }
+    if (profile.extends !== undefined && !this.profiles.has(profile.extends)) {
+      errors.push(`profile.extends refers to an unknown profile: ${profile.extends}`);
+    }
+
+    if (profile.thresholds !== undefined) {
+      if (!profile.thresholds || typeof profile.thresholds !== 'object' || Array.isArray(profile.thresholds)) {
+        errors.push('profile.thresholds must be an object');
+      } else {
+        Object.entries(profile.thresholds).forEach(([name, limits]) => {
+          errors.push(...this.validateThreshold(name, limits));
+        });
+      }
+    }
+
+    // A bound left out of an override comes from the base profile, so check the combined limits too
+    if (errors.length === 0 && profile.thresholds) {
+      const baseName = profile.extends || DEFAULT_PROFILE;
+      const { thresholds } = this.merge(this.profiles.get(baseName), profile);
+      Object.keys(profile.thresholds)
+        .filter(name => thresholds[name].min > thresholds[name].max)
+        .forEach(name => {
+          const { min, max } = thresholds[name];
+          errors.push(`profile.thresholds.${name}.min must not be greater than max (${min} > ${max} with ${baseName})`);
+        });
+    }
+
+    if (profile.disabledRules !== undefined) {
+      if (!Array.isArray(profile.disabledRules)) {
+        errors.push('profile.disabledRules must be an array of rule IDs');
+      } else {
+        profile.disabledRules
+          .filter(id => !ruleRegistry.has(id))
+          .forEach(id => errors.push(`profile.disabledRules contains an unknown rule: ${id}`));
+      }
+    }
+
+    if (profile.severities !== undefined) {
+      if (!profile.severities || typeof profile.severities !== 'object' || Array.isArray(profile.severities)) {
+        errors.push('profile.severities must be an object of rule IDs to severities');
+      } else {
+        Object.entries(profile.severities).forEach(([id, severity]) => {
+          if (!ruleRegistry.has(id)) {
+            errors.push(`profile.severities contains an unknown rule: ${id}`);
+          } else if (!ruleRegistry.isSeverity(severity)) {
+            errors.push(`profile.severities.${id} must be one of ${ruleRegistry.severities.join(', ')}`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Resolve a profile selection to a complete profile
+   * @param {string|Object} [profile] - Profile name or inline definition; the default profile when omitted
+   * @returns {Object} Profile with name, thresholds, disabledRules and severities
+   */
+  resolve(profile) {
+    if (profile === undefined || profile === null) {
+      return this.profiles.get(DEFAULT_PROFILE);
+    }
+
+    const errors = this.validate(profile);
+    if (errors.length > 0) {
+      throw new Error(`Invalid profile: ${errors.join(', ')}`);
+    }
+    if (typeof profile === 'string') {
+      return this.profiles.get(profile);
+    }
+    return this.merge(this.profiles.get(profile.extends || DEFAULT_PROFILE), { name: 'custom', ...profile });
+  }
+
+  /**
+   * Drop disabled findings from a result section and apply severity overrides
+   * Works on the section and its direct child sections, matching how findings are collected.
+   * @param {Object} section - Result section
+   * @param {Object} profile - Resolved profile
+   * @returns {Object} The same section
+   */
+  apply(section, profile) {
+    if (!section || typeof section !== 'object') return section;
+
+    [section, ...Object.values(section)].forEach(data => {
+      if (!data || typeof data !== 'object' || !Array.isArray(data.findings)) return;
+
+      const kept = [];
+      data.findings.forEach(finding => {
+        if (profile.disabledRules.includes(finding.id)) {
+          // Issues and findings are recorded together, so drop the matching message as well
+          const index = data.issues.indexOf(finding.message);
+          if (index !== -1) data.issues.splice(index, 1);
+          return;
+        }
+        const severity = profile.severities[finding.id];
+        kept.push(severity ? { ...finding, severity } : finding);
+      });
+      data.findings = kept;
+    });
+    return section;
+  }
+
+  /**
+   * Helper: Combine a base profile with a definition that overrides it
+   */
+  merge(base, profile) {
+    const thresholds = {};
+    Object.keys(THRESHOLD_BOUNDS).forEach(name => {
+      thresholds[name] = {
+        ...(base ? base.thresholds[name] : {}),
+        ...(profile.thresholds ? profile.thresholds[name] : {})
+      };
+    });
+
+    return {
+      name: profile.name,
+      description: profile.description || (base ? base.description : ''),
+      extends: base ? base.name : null,
+      thresholds,
+      disabledRules: Array.from(new Set([...(base ? base.disabledRules : []), ...(profile.disabledRules || [])])),
+      severities: { ...(base ? base.severities : {}), ...(profile.severities || {}) }
+    };
+  }
+
+  /**
+   * Helper: Check the limits of one threshold
+   */
+  validateThreshold(name, limits) {
+    if (!THRESHOLD_BOUNDS[name]) {
+      return [`profile.thresholds.${name} is not a known threshold`];
+    }
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      return [`profile.thresholds.${name} must be an object`];
+    }
+
+    const errors = [];
+    Object.entries(limits).forEach(([bound, value]) => {
+      if (name === 'content' && bound === 'unit') {
+        if (!CONTENT_UNITS.includes(value)) {
+          errors.push(`profile.thresholds.content.unit must be one of ${CONTENT_UNITS.join(', ')}`);
+        }
+      } else if (!THRESHOLD_BOUNDS[name].includes(bound)) {
+        errors.push(`profile.thresholds.${name}.${bound} is not supported`);
+      } else if (!Number.isInteger(value) || value < 0) {
+        errors.push(`profile.thresholds.${name}.${bound} must be a non-negative integer`);
+      }
+    });
+
+    if (Number.isInteger(limits.min) && Number.isInteger(limits.max) && limits.min > limits.max) {
+      errors.push(`profile.thresholds.${name}.min must not be greater than max`);
+    }
+    return errors;
+  }
+
+  /**
+   * Helper: Register the profiles of a JSON file (an array of profile definitions)
+   */
+  loadFile(filePath) {
+    let profiles;
+    try {
+      profiles = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      logger.error('Failed to read audit profiles', { filePath, error: error.message });
+      return;
+    }
+
+    if (!Array.isArray(profiles)) {
+      logger.error('Audit profiles file must contain an array of profiles', { filePath });
+      return;
+    }
+
+    profiles.forEach(profile => {
+      try {
+        this.register(profile);
+      } catch (error) {
+        logger.error('Skipping invalid audit profile', { filePath, name: profile && profile.name, error: error.message });
+      }
+    });
+  }
+}
+
+module.exports = new ProfileService();
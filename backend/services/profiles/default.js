@@ -0,0 +1,13 @@
+module.exports = {
+  name: 'default',
+  description: 'General-purpose limits for Latin-script content pages',
+  thresholds: {
+    title: { min: 30, max: 60 },
+    description: { min: 120, max: 160 },
+    content: { unit: 'words', min: 300 },
+    paragraphs: { min: 3 },
+    stylesheets: { max: 5 }
+  },
+  disabledRules: [],
+  severities: {}
+};
@@ -0,0 +1,6 @@
+// Built-in profiles; a profile may only extend one listed before it
+module.exports = [
+  require('./default'),
+  require('./landingPage'),
+  require('./japanese')
+];
@@ -0,0 +1,14 @@
+// Japanese text has no spaces between words, so content length is counted in characters
+// and title/description limits follow the width of full-width characters in search results
+module.exports = {
+  name: 'japanese',
+  extends: 'default',
+  description: 'Character-based limits for Japanese sites',
+  thresholds: {
+    title: { min: 15, max: 32 },
+    description: { min: 50, max: 120 },
+    content: { unit: 'characters', min: 600 }
+  },
+  disabledRules: [],
+  severities: {}
+};
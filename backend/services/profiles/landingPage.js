@@ -0,0 +1,13 @@
+module.exports = {
+  name: 'landing-page',
+  extends: 'default',
+  description: 'Campaign and landing pages that are short by design',
+  thresholds: {
+    content: { min: 100 },
+    paragraphs: { min: 1 }
+  },
+  disabledRules: ['content.few_paragraphs'],
+  severities: {
+    'content.thin': 'low'
+  }
+};
@@ -0,0 +1,75 @@
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { FileReportRepository } = require('./reports');
+
+class ReportService {
+  constructor() {
+    this.repository = new FileReportRepository({
+      directory: process.env.REPORTS_DIR || path.join(__dirname, '..', 'data', 'reports')
+    });
+  }
+
+  /**
+   * Replace the storage backend
+   * @param {Object} repository - Object with async create, findById, find and delete methods
+   */
+  setRepository(repository) {
+    if (!repository || ['create', 'findById', 'find', 'delete'].some(method => typeof repository[method] !== 'function')) {
+      throw new Error('Report repository must implement create, findById, find and delete');
+    }
+    this.repository = repository;
+  }
+
+  /**
+   * Store an analysis
+   * @param {string} url - Analyzed URL
+   * @param {Object} results - Output of seoAnalyzer.analyze
+   * @param {Object} metadata - Fetch metadata returned by scrapeService
+   * @returns {Promise<Object>} Stored report
+   */
+  async saveAnalysis(url, results, metadata = {}) {
+    const report = {
+      id: crypto.randomUUID(),
+      url,
+      domain: new URL(url).hostname.toLowerCase(),
+      timestamp: results.timestamp || new Date().toISOString(),
+      score: results.score,
+      results,
+      metadata
+    };
+
+    await this.repository.create(report);
+    logger.info('Analysis report stored', { id: report.id, url });
+    return report;
+  }
+
+  /**
+   * List stored reports (summaries only)
+   * @param {Object} filters - url, domain, from, to, page, limit
+   * @returns {Promise<Object>} Paginated report summaries
+   */
+  async listReports(filters = {}) {
+    return this.repository.find(filters);
+  }
+
+  /**
+   * Get a full stored report
+   * @param {string} id - Report ID
+   * @returns {Promise<Object|null>} Report or null when not found
+   */
+  async getReport(id) {
+    return this.repository.findById(id);
+  }
+
+  /**
+   * Delete a stored report
+   * @param {string} id - Report ID
+   * @returns {Promise<boolean>} Whether a report was deleted
+   */
+  async deleteReport(id) {
+    return this.repository.delete(id);
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,127 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * File-based report repository
+ * Each report is stored as `<id>.json`; `index.json` keeps the fields used for filtering.
+ * Repositories implement async create, findById, find and delete.
+ */
+class FileReportRepository {
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.indexFile = path.join(this.directory, 'index.json');
+    this.index = null;
+    // Serializes index writes so concurrent requests cannot drop entries
+    this.writeQueue = Promise.resolve();
+  }
+
+  async create(report) {
+    await this.loadIndex();
+    await fs.writeFile(this.reportFile(report.id), JSON.stringify(report));
+    await this.updateIndex(index => {
+      index.push(this.summarize(report));
+    });
+    return report;
+  }
+
+  async findById(id) {
+    if (!this.isValidId(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.reportFile(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async find(filters = {}) {
+    const index = await this.loadIndex();
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+
+    const matching = index
+      .filter(entry => !filters.url || entry.url === filters.url)
+      .filter(entry => !filters.domain || entry.domain === filters.domain || entry.domain.endsWith(`.${filters.domain}`))
+      .filter(entry => from === null || new Date(entry.timestamp).getTime() >= from)
+      .filter(entry => to === null || new Date(entry.timestamp).getTime() <= to)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+    return {
+      items: matching.slice((page - 1) * limit, page * limit),
+      total: matching.length,
+      page,
+      limit
+    };
+  }
+
+  async delete(id) {
+    if (!this.isValidId(id)) return false;
+    const index = await this.loadIndex();
+    if (!index.some(entry => entry.id === id)) return false;
+
+    await this.updateIndex(entries => {
+      const position = entries.findIndex(entry => entry.id === id);
+      if (position !== -1) entries.splice(position, 1);
+    });
+    await fs.rm(this.reportFile(id), { force: true });
+    return true;
+  }
+
+  /**
+   * Helper: Load the index from disk once
+   */
+  async loadIndex() {
+    if (this.index) return this.index;
+    await fs.mkdir(this.directory, { recursive: true });
+    try {
+      this.index = JSON.parse(await fs.readFile(this.indexFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.index = [];
+    }
+    return this.index;
+  }
+
+  /**
+   * Helper: Apply a change to the index and persist it
+   */
+  updateIndex(change) {
+    const write = this.writeQueue.then(async () => {
+      change(this.index);
+      const tempFile = `${this.indexFile}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(this.index));
+      await fs.rename(tempFile, this.indexFile);
+    });
+    // A failed write must not block the ones queued after it
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Helper: Fields kept in the index for listing and filtering
+   */
+  summarize(report) {
+    return {
+      id: report.id,
+      url: report.url,
+      domain: report.domain,
+      timestamp: report.timestamp,
+      score: report.score
+    };
+  }
+
+  /**
+   * Helper: Guard against path traversal through the id
+   */
+  isValidId(id) {
+    return typeof id === 'string' && /^[a-f0-9-]{36}$/.test(id);
+  }
+
+  reportFile(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+module.exports = FileReportRepository;
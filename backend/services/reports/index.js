@@ -0,0 +1,5 @@
+const FileReportRepository = require('./fileReportRepository');
+
+module.exports = {
+  FileReportRepository
+};
@@ -0,0 +1,233 @@
+const cheerio = require('cheerio');
+const structuredDataService = require('./structuredDataService');
+
+// Google rich result features and what each needs. Paths are dotted (offers.price) and are only checked
+// when their parent property is present; an array lists alternatives. `visible` lists text properties
+// that must also appear on the page. `nested` features are checked on entities at any depth.
+const RICH_RESULTS = [
+  {
+    feature: 'Product',
+    types: ['Product'],
+    required: ['name', ['offers', 'review', 'aggregateRating'], ['offers.price', 'offers.lowPrice'], 'offers.priceCurrency'],
+    recommended: ['image', 'description', 'brand', 'offers.availability', ['sku', 'gtin', 'gtin13', 'mpn']],
+    visible: ['name']
+  },
+  {
+    feature: 'Review snippet',
+    types: ['Review'],
+    nested: true,
+    required: ['author', 'reviewRating', 'reviewRating.ratingValue', 'author.name'],
+    recommended: ['datePublished', 'reviewRating.bestRating'],
+    visible: ['reviewBody']
+  },
+  {
+    feature: 'Review snippet',
+    types: ['AggregateRating'],
+    nested: true,
+    required: ['ratingValue', ['ratingCount', 'reviewCount']],
+    recommended: ['bestRating']
+  },
+  {
+    feature: 'FAQ',
+    types: ['FAQPage'],
+    required: ['mainEntity', 'mainEntity.name', 'mainEntity.acceptedAnswer', 'mainEntity.acceptedAnswer.text'],
+    recommended: [],
+    visible: ['mainEntity.name', 'mainEntity.acceptedAnswer.text']
+  },
+  {
+    feature: 'HowTo',
+    types: ['HowTo'],
+    required: ['name', 'step'],
+    recommended: ['image', 'totalTime', 'estimatedCost', 'supply', 'tool', 'step.text'],
+    visible: ['name']
+  },
+  {
+    feature: 'Article',
+    types: ['Article'],
+    required: [],
+    recommended: ['headline', 'image', 'datePublished', 'dateModified', 'author', 'author.name'],
+    visible: ['headline']
+  },
+  {
+    feature: 'Breadcrumb',
+    types: ['BreadcrumbList'],
+    required: ['itemListElement', 'itemListElement.position', ['itemListElement.name', 'itemListElement.item.name']],
+    recommended: ['itemListElement.item']
+  },
+  {
+    feature: 'Event',
+    types: ['Event'],
+    required: ['name', 'startDate', 'location', ['location.address', 'location.url']],
+    recommended: ['description', 'endDate', 'eventStatus', 'image', 'offers', 'organizer', 'performer'],
+    visible: ['name']
+  },
+  {
+    feature: 'Recipe',
+    types: ['Recipe'],
+    required: ['name', 'image'],
+    recommended: ['author', 'datePublished', 'description', 'prepTime', 'cookTime', 'totalTime', 'recipeYield',
+      'recipeIngredient', 'recipeInstructions', 'recipeCategory', 'recipeCuisine', 'nutrition.calories', 'aggregateRating'],
+    visible: ['name']
+  },
+  {
+    feature: 'JobPosting',
+    types: ['JobPosting'],
+    required: ['title', 'description', 'datePosted', 'hiringOrganization', 'hiringOrganization.name',
+      ['jobLocation', 'jobLocationType'], 'jobLocation.address'],
+    recommended: ['validThrough', 'employmentType', 'baseSalary', 'identifier', 'directApply'],
+    visible: ['title']
+  },
+  {
+    feature: 'Organization logo',
+    types: ['Organization'],
+    required: ['logo', 'url'],
+    recommended: []
+  },
+  {
+    feature: 'Sitelinks searchbox',
+    types: ['WebSite'],
+    required: ['url', 'potentialAction', ['potentialAction.target', 'potentialAction.target.urlTemplate'], 'potentialAction.query-input'],
+    recommended: []
+  }
+];
+const STATUS_ORDER = ['eligible', 'warnings', 'ineligible'];
+// Visible text comparisons use the start of long values (answers, review bodies)
+const MAX_COMPARED_LENGTH = 100;
+
+class RichResultService {
+  /**
+   * Check which rich results the extracted entities qualify for
+   * @param {Object[]} entities - Validated entities from structuredDataService
+   * @param {string} visibleText - Text a visitor sees on the page, from getVisibleText()
+   * @returns {Object[]} One result per feature found: feature, best status and the checked entities with
+   *   status (eligible, warnings or ineligible), missing required fields, missing recommended fields and
+   *   values not visible on the page
+   */
+  evaluate(entities, visibleText) {
+    const byId = new Map();
+    structuredDataService.walk(entities, entity => {
+      if (entity.id && entity.type) byId.set(entity.id, entity);
+    });
+    const pageText = this.normalizeText(visibleText);
+    const features = new Map();
+
+    const check = (entity, nested) => {
+      RICH_RESULTS
+        .filter(definition => !nested || definition.nested)
+        .filter(definition => entity.types.some(type => definition.types.some(name => structuredDataService.isSubtype(type, name))))
+        .forEach(definition => {
+          if (!features.has(definition.feature)) {
+            features.set(definition.feature, { feature: definition.feature, status: null, items: [] });
+          }
+          features.get(definition.feature).items.push(
+            this.checkEntity(entity, definition, byId, pageText, entity.source === 'json-ld'));
+        });
+    };
+
+    entities.forEach(entity => check(entity, false));
+    // Nested features also apply below the top level (e.g. a Product's aggregateRating)
+    structuredDataService.walk(entities, entity => {
+      if (!entities.includes(entity)) check(entity, true);
+    });
+
+    // A feature is as good as its best entity
+    return Array.from(features.values()).map(result => ({
+      ...result,
+      status: STATUS_ORDER.find(status => result.items.some(item => item.status === status))
+    }));
+  }
+
+  /**
+   * Text a visitor sees on the page, without scripts, styles and templates
+   * @param {Object} $ - Cheerio root of the page
+   * @returns {string}
+   */
+  getVisibleText($) {
+    const body = $('body').clone();
+    body.find('script, style, noscript, template, [hidden]').remove();
+    return body.text();
+  }
+
+  /**
+   * Helper: Check one entity against a feature's requirements
+   */
+  checkEntity(entity, definition, byId, pageText, compareText) {
+    const missing = definition.required.filter(entry => this.isMissing(entity, entry, byId)).map(this.describeEntry);
+    const recommended = definition.recommended.filter(entry => this.isMissing(entity, entry, byId)).map(this.describeEntry);
+
+    // Microdata and RDFa values are read from the page itself; only JSON-LD can drift from it
+    const mismatches = [];
+    if (compareText) {
+      (definition.visible || []).forEach(path => {
+        this.getValues(entity, path.split('.'), byId)
+          .filter(value => typeof value === 'string' && value.trim() !== '')
+          .filter(value => !pageText.includes(this.normalizeText(cheerio.load(value).text()).slice(0, MAX_COMPARED_LENGTH)))
+          .forEach(value => mismatches.push({ property: path, value: value.length > 80 ? `${value.slice(0, 77)}...` : value }));
+      });
+    }
+
+    let status = 'eligible';
+    if (missing.length > 0) {
+      status = 'ineligible';
+    } else if (recommended.length > 0 || mismatches.length > 0) {
+      status = 'warnings';
+    }
+
+    return { type: entity.type, path: entity.path, source: entity.source, status, missing, recommended, mismatches };
+  }
+
+  /**
+   * Helper: Whether a requirement is unmet; dotted paths only count once their parent is present
+   */
+  isMissing(entity, entry, byId) {
+    const paths = (Array.isArray(entry) ? entry : [entry]).map(path => path.split('.'));
+    const parents = paths.map(path => path.slice(0, -1));
+    if (parents.every(parent => parent.length > 0 && this.getValues(entity, parent, byId).length === 0)) {
+      return false;
+    }
+    return !paths.some(path => this.hasPath(entity, path, byId));
+  }
+
+  /**
+   * Helper: Whether every value of a path's parent has the last property
+   */
+  hasPath(entity, path, byId) {
+    if (path.length === 1) return this.getValues(entity, path, byId).length > 0;
+    const parents = this.getValues(entity, path.slice(0, -1), byId);
+    return parents.length > 0 && parents.every(parent => structuredDataService.isEntity(parent)
+      && this.getValues(parent, path.slice(-1), byId).length > 0);
+  }
+
+  /**
+   * Helper: Non-empty values found at a property path, following @id references
+   */
+  getValues(entity, path, byId) {
+    let current = [entity];
+    path.forEach(name => {
+      current = current
+        .map(value => (value && value.reference ? byId.get(value.reference) || value : value))
+        .filter(value => structuredDataService.isEntity(value))
+        .flatMap(value => {
+          const property = value.properties.find(candidate => candidate.name === name);
+          return property ? property.values.filter(item => item !== '' && item !== null) : [];
+        });
+    });
+    return current.map(value => (value && value.reference ? byId.get(value.reference) || value : value));
+  }
+
+  /**
+   * Helper: Field name shown for a requirement
+   */
+  describeEntry(entry) {
+    return Array.isArray(entry) ? entry.join(' or ') : entry;
+  }
+
+  /**
+   * Helper: Lower-case text with collapsed whitespace for containment checks
+   */
+  normalizeText(text) {
+    return String(text).replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+}
+
+module.exports = new RichResultService();
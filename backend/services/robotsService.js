@@ -0,0 +1,266 @@
+const logger = require('../utils/logger');
+const { DirectFetcher } = require('./fetchers');
+const ruleRegistry = require('./ruleRegistry');
+
+const CRAWLERS = ['googlebot', 'bingbot', '*'];
+
+class RobotsService {
+  constructor() {
+    this.fetcher = new DirectFetcher();
+  }
+
+  /**
+   * Fetch, parse and evaluate robots.txt for a page URL
+   * @param {string} url - URL of the analyzed page
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} robots.txt analysis with per-crawler verdicts
+   */
+  async analyze(url, options = {}) {
+    const robotsUrl = new URL('/robots.txt', url).href;
+    const robots = {
+      url: robotsUrl,
+      found: false,
+      statusCode: null,
+      sitemaps: [],
+      crawlDelay: {},
+      verdicts: {},
+      issues: [],
+      findings: []
+    };
+
+    let fetched;
+    try {
+      fetched = await this.fetchRobots(robotsUrl, options);
+    } catch (error) {
+      logger.warn('Failed to fetch robots.txt', { url: robotsUrl, error: error.message });
+      robots.error = error.message;
+      ruleRegistry.addFinding(robots, 'robots.fetch_failed', { url: robotsUrl, error: error.message });
+      return robots;
+    }
+
+    robots.statusCode = fetched.statusCode;
+
+    if (fetched.statusCode >= 500) {
+      // Crawlers treat a server error as a temporary full disallow
+      ruleRegistry.addFinding(robots, 'robots.server_error', { url: robotsUrl, statusCode: fetched.statusCode });
+      CRAWLERS.forEach(agent => {
+        robots.verdicts[agent] = { allowed: false, rule: null, reason: 'robots.txt server error' };
+      });
+      return robots;
+    }
+
+    if (fetched.statusCode >= 400) {
+      ruleRegistry.addFinding(robots, 'robots.missing', { url: robotsUrl, statusCode: fetched.statusCode });
+      CRAWLERS.forEach(agent => {
+        robots.verdicts[agent] = { allowed: true, rule: null, reason: 'No robots.txt' };
+      });
+      return robots;
+    }
+
+    robots.found = true;
+    const parsed = this.parse(fetched.content);
+    robots.sitemaps = parsed.sitemaps;
+
+    CRAWLERS.forEach(agent => {
+      const group = this.selectGroup(parsed.groups, agent);
+      robots.verdicts[agent] = this.isAllowed(group, url);
+      if (group && group.crawlDelay !== null) {
+        robots.crawlDelay[agent] = group.crawlDelay;
+      }
+    });
+
+    Object.entries(robots.verdicts).forEach(([agent, verdict]) => {
+      if (!verdict.allowed) {
+        ruleRegistry.addFinding(robots, 'robots.blocked', {
+          agent: agent === '*' ? 'all crawlers' : agent,
+          ruleType: verdict.rule.type,
+          rulePath: verdict.rule.path
+        });
+      }
+    });
+
+    if (parsed.sitemaps.length === 0) {
+      ruleRegistry.addFinding(robots, 'robots.no_sitemap', { url: robotsUrl });
+    }
+
+    return robots;
+  }
+
+  /**
+   * Fetch a robots.txt file
+   * @param {string} robotsUrl - Absolute robots.txt URL
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} Status code and file content
+   */
+  async fetchRobots(robotsUrl, options = {}) {
+    // 5xx is a result here (a temporary full disallow), not a failed fetch
+    const { response } = await this.fetcher.request(robotsUrl, {
+      timeout: options.timeout || 10000,
+      maxRedirects: 5,
+      validateStatus: () => true,
+      signal: options.signal
+    });
+
+    return {
+      statusCode: response.status,
+      content: typeof response.data === 'string' ? response.data : ''
+    };
+  }
+
+  /**
+   * Parse robots.txt content into user-agent groups and sitemap lines
+   * @param {string} content - robots.txt body
+   * @returns {Object} Parsed groups and sitemaps
+   */
+  parse(content) {
+    const parsed = {
+      groups: [],
+      sitemaps: []
+    };
+
+    let current = null;
+    let lastWasAgent = false;
+
+    content.split(/\r\n|\r|\n/).forEach(rawLine => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      switch (field) {
+        case 'user-agent':
+          // Consecutive user-agent lines share one group
+          if (!lastWasAgent) {
+            current = { userAgents: [], rules: [], crawlDelay: null };
+            parsed.groups.push(current);
+          }
+          current.userAgents.push(value.toLowerCase());
+          lastWasAgent = true;
+          return;
+        case 'allow':
+        case 'disallow':
+          if (current && value) {
+            current.rules.push({ type: field === 'allow' ? 'Allow' : 'Disallow', path: value });
+          }
+          break;
+        case 'crawl-delay':
+          if (current) {
+            const delay = parseFloat(value);
+            if (!isNaN(delay)) current.crawlDelay = delay;
+          }
+          break;
+        case 'sitemap':
+          if (value) parsed.sitemaps.push(value);
+          break;
+        default:
+          break;
+      }
+      lastWasAgent = false;
+    });
+
+    return parsed;
+  }
+
+  /**
+   * Merge every group matching the most specific user-agent token for a crawler
+   * @param {Array} groups - Parsed groups
+   * @param {string} agent - Crawler name (e.g. googlebot) or '*'
+   * @returns {Object|null} Merged group or null when nothing applies
+   */
+  selectGroup(groups, agent) {
+    let bestToken = null;
+
+    groups.forEach(group => {
+      group.userAgents.forEach(token => {
+        // An empty User-agent line names no crawler
+        if (!token) return;
+        const matches = token === '*' || (agent !== '*' && agent.includes(token));
+        if (!matches) return;
+        if (bestToken === null || bestToken === '*' || (token !== '*' && token.length > bestToken.length)) {
+          bestToken = token;
+        }
+      });
+    });
+
+    if (bestToken === null) return null;
+
+    const matching = groups.filter(group => group.userAgents.includes(bestToken));
+    return {
+      userAgent: bestToken,
+      rules: matching.flatMap(group => group.rules),
+      crawlDelay: matching.map(group => group.crawlDelay).find(delay => delay !== null) ?? null
+    };
+  }
+
+  /**
+   * Decide whether a URL is allowed by a group (longest match wins, Allow wins ties)
+   * @param {Object|null} group - Group returned by selectGroup
+   * @param {string} url - URL to test
+   * @returns {Object} Verdict with the deciding rule
+   */
+  isAllowed(group, url) {
+    if (!group) {
+      return { allowed: true, rule: null, reason: 'No matching user-agent group' };
+    }
+
+    const urlObj = new URL(url);
+    const path = urlObj.pathname + urlObj.search;
+    let winner = null;
+
+    group.rules.forEach(rule => {
+      if (!this.matchesPath(rule.path, path)) return;
+      if (!winner ||
+          rule.path.length > winner.path.length ||
+          (rule.path.length === winner.path.length && rule.type === 'Allow')) {
+        winner = rule;
+      }
+    });
+
+    return {
+      allowed: !winner || winner.type === 'Allow',
+      rule: winner,
+      userAgent: group.userAgent,
+      reason: winner ? `${winner.type}: ${winner.path}` : 'No matching rule'
+    };
+  }
+
+  /**
+   * Match a robots.txt path pattern supporting `*` wildcards and `$` anchors
+   * Patterns come from untrusted files, so they are matched by scanning rather than as regular expressions.
+   * @param {string} pattern - Rule path
+   * @param {string} path - URL path and query
+   * @returns {boolean} Whether the pattern matches
+   */
+  matchesPath(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    // Without an anchor a pattern matches any path that starts with it
+    const glob = anchored ? pattern.slice(0, -1) : `${pattern}*`;
+    let p = 0;
+    let s = 0;
+    let star = -1;
+    let resume = 0;
+
+    while (s < path.length) {
+      if (glob[p] === '*') {
+        star = p++;
+        resume = s;
+      } else if (p < glob.length && glob[p] === path[s]) {
+        p++;
+        s++;
+      } else if (star !== -1) {
+        // Let the last wildcard absorb one more character and retry from there
+        p = star + 1;
+        s = ++resume;
+      } else {
+        return false;
+      }
+    }
+
+    while (glob[p] === '*') p++;
+    return p === glob.length;
+  }
+}
+
+module.exports = new RobotsService();
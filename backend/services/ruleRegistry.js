@@ -0,0 +1,140 @@
+const ruleDefinitions = require('./rules');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+class RuleRegistry {
+  constructor() {
+    this.rules = new Map();
+    this.severities = SEVERITIES;
+    Object.values(ruleDefinitions).forEach(rules => rules.forEach(rule => this.register(rule)));
+  }
+
+  /**
+   * Register a rule
+   * @param {Object} rule - Rule definition
+   * @param {string} rule.id - Stable dotted ID (e.g. 'meta.title.too_short')
+   * @param {string} rule.category - Category the rule belongs to
+   * @param {string} rule.severity - One of critical, high, medium, low, info
+   * @param {string} rule.title - Short name of the check
+   * @param {string} rule.message - Message template; `{name}` is replaced from the finding evidence
+   * @param {string} rule.help - How to fix the problem; filled from the evidence like the message
+   * @param {string} [rule.elements] - Evidence field naming the affected elements (e.g. 'images')
+   */
+  register(rule) {
+    if (!rule || ['id', 'category', 'severity', 'title', 'message', 'help'].some(field => typeof rule[field] !== 'string')) {
+      throw new Error('Rule must define id, category, severity, title, message and help');
+    }
+    if (rule.elements !== undefined && typeof rule.elements !== 'string') {
+      throw new Error(`Invalid elements field for rule ${rule.id}`);
+    }
+    if (!this.isSeverity(rule.severity)) {
+      throw new Error(`Invalid severity for rule ${rule.id}: ${rule.severity}`);
+    }
+    if (this.rules.has(rule.id)) {
+      throw new Error(`Duplicate rule: ${rule.id}`);
+    }
+    this.rules.set(rule.id, Object.freeze({ ...rule }));
+  }
+
+  /**
+   * Get a rule by ID
+   * @param {string} id - Rule ID
+   * @returns {Object} Rule definition
+   */
+  get(id) {
+    const rule = this.rules.get(id);
+    if (!rule) {
+      throw new Error(`Unknown rule: ${id}`);
+    }
+    return rule;
+  }
+
+  /**
+   * Whether a rule is registered
+   * @param {string} id - Rule ID
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.rules.has(id);
+  }
+
+  /**
+   * Whether a value is a valid rule severity
+   * @param {string} severity - Severity name
+   * @returns {boolean}
+   */
+  isSeverity(severity) {
+    return SEVERITIES.includes(severity);
+  }
+
+  /**
+   * List registered rules
+   * @param {string} [category] - Only rules of this category
+   * @returns {Object[]} Rule definitions
+   */
+  list(category) {
+    const rules = Array.from(this.rules.values());
+    return category ? rules.filter(rule => rule.category === category) : rules;
+  }
+
+  /**
+   * Build a finding for a rule
+   * @param {string} id - Rule ID
+   * @param {Object} evidence - Data that triggered the rule; also fills the message template
+   * @returns {Object} Finding with id, category, severity, title, message, evidence and help
+   */
+  createFinding(id, evidence = {}) {
+    const rule = this.get(id);
+    return {
+      id: rule.id,
+      category: rule.category,
+      severity: rule.severity,
+      title: rule.title,
+      message: this.format(rule.message, evidence),
+      evidence,
+      help: this.format(rule.help, evidence)
+    };
+  }
+
+  /**
+   * Elements a finding is about, read from the evidence field its rule names
+   * @param {Object} finding - Finding
+   * @returns {string[]} Element references such as image sources, link URLs or header names
+   */
+  getElements(finding) {
+    const rule = finding.id && this.rules.get(finding.id);
+    const value = rule && rule.elements && finding.evidence ? finding.evidence[rule.elements] : undefined;
+    if (value === undefined || value === null) return [];
+
+    return (Array.isArray(value) ? value : [value])
+      .map(element => (element && typeof element === 'object'
+        ? element.href || element.url || element.src || element.loc || (element.text ? `"${element.text}"` : null)
+        : element))
+      .filter(element => element !== null && element !== undefined && element !== '')
+      .map(String);
+  }
+
+  /**
+   * Record a finding on a result section, keeping its plain-text `issues` list in sync
+   * @param {Object} section - Result section with `issues` and `findings` arrays
+   * @param {string} id - Rule ID
+   * @param {Object} evidence - Finding evidence
+   * @returns {Object} Finding
+   */
+  addFinding(section, id, evidence = {}) {
+    const finding = this.createFinding(id, evidence);
+    section.issues.push(finding.message);
+    section.findings.push(finding);
+    return finding;
+  }
+
+  /**
+   * Helper: Fill `{name}` placeholders from evidence
+   */
+  format(template, evidence) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      (evidence[name] === undefined || evidence[name] === null ? placeholder : String(evidence[name])));
+  }
+}
+
+module.exports = new RuleRegistry();
@@ -0,0 +1,19 @@
+const category = 'accessibility';
+
+module.exports = [
+  {
+    id: 'accessibility.skip_links.missing',
+    severity: 'low',
+    title: 'No skip link',
+    message: 'No skip navigation links found',
+    help: 'A "skip to content" link lets keyboard users bypass repeated navigation.'
+  },
+  {
+    id: 'accessibility.form_labels.missing',
+    severity: 'low',
+    elements: 'fields',
+    title: 'Unlabelled form inputs',
+    message: 'Some form inputs missing labels',
+    help: 'Every input needs a <label> or aria-label so assistive technology can announce it.'
+  }
+].map(rule => ({ category, ...rule }));
@@ -0,0 +1,76 @@
+const category = 'canonical';
+
+module.exports = [
+  {
+    id: 'canonical.malformed',
+    severity: 'high',
+    elements: 'href',
+    title: 'Malformed canonical',
+    message: 'Canonical URL cannot be parsed: {href} ({relation})',
+    help: 'Search engines ignore canonicals they cannot parse. Use the full, valid URL of the preferred page.'
+  },
+  {
+    id: 'canonical.relative',
+    severity: 'low',
+    elements: 'href',
+    title: 'Relative canonical',
+    message: 'Canonical URL is relative: {href} ({relation})',
+    help: 'Relative canonicals are easy to break when pages are copied or served on several hosts. Use an absolute URL.'
+  },
+  {
+    id: 'canonical.multiple',
+    severity: 'high',
+    elements: 'targets',
+    title: 'Conflicting canonicals',
+    message: '{count} different canonical URLs declared ({relation})',
+    help: 'When a page declares several canonicals, search engines ignore all of them. Keep a single canonical.'
+  },
+  {
+    id: 'canonical.header_conflict',
+    severity: 'high',
+    elements: 'header',
+    title: 'Canonical header conflict',
+    message: 'Link header canonical {header} disagrees with <link rel="canonical"> {canonical} ({relation})',
+    help: 'The HTTP header and the markup must name the same canonical, or search engines may ignore both.'
+  },
+  {
+    id: 'canonical.og_url_conflict',
+    severity: 'medium',
+    elements: 'ogUrl',
+    title: 'og:url differs from canonical',
+    message: 'og:url ({ogUrl}) does not match the canonical URL ({canonical}; {relation})',
+    help: 'Shares are counted for the og:url. Point it at the canonical URL so likes and shares are not split.'
+  },
+  {
+    id: 'canonical.off_host',
+    severity: 'medium',
+    elements: 'canonical',
+    title: 'Cross-host canonical',
+    message: 'Canonical points to another host: {canonical} ({relation})',
+    help: 'A cross-host canonical hands this page\'s ranking to the other site. Make sure that is intended.'
+  },
+  {
+    id: 'canonical.target_error',
+    severity: 'high',
+    elements: 'canonical',
+    title: 'Canonical target not OK',
+    message: 'Canonical target {canonical} returned {status} ({relation})',
+    help: 'A canonical must point at a live page that returns 200, or search engines ignore it.'
+  },
+  {
+    id: 'canonical.target_redirect',
+    severity: 'medium',
+    elements: 'canonical',
+    title: 'Canonical target redirects',
+    message: 'Canonical target {canonical} redirects to {finalUrl} ({relation})',
+    help: 'Point the canonical at the final URL instead of one that redirects.'
+  },
+  {
+    id: 'canonical.target_noindex',
+    severity: 'high',
+    elements: 'canonical',
+    title: 'Canonical target is noindex',
+    message: 'Canonical target {canonical} is marked noindex ({relation})',
+    help: 'Canonical and noindex send opposite signals. Index the canonical page or remove the canonical.'
+  }
+].map(rule => ({ category, ...rule }));
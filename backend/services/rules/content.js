@@ -0,0 +1,18 @@
+const category = 'content';
+
+module.exports = [
+  {
+    id: 'content.thin',
+    severity: 'medium',
+    title: 'Thin content',
+    message: 'Content length below recommended minimum ({min} {unit})',
+    help: 'Pages with little text rarely answer a search query well. Expand the content where it adds value.'
+  },
+  {
+    id: 'content.few_paragraphs',
+    severity: 'low',
+    title: 'Few paragraphs',
+    message: 'Too few paragraphs',
+    help: 'Break text into paragraphs so it is easy to scan.'
+  }
+].map(rule => ({ category, ...rule }));
@@ -0,0 +1,154 @@
+const category = 'crawlability';
+
+module.exports = [
+  {
+    id: 'robots.fetch_failed',
+    severity: 'medium',
+    elements: 'url',
+    title: 'robots.txt unreachable',
+    message: 'robots.txt could not be fetched',
+    help: 'Crawlers may postpone crawling while robots.txt cannot be retrieved.'
+  },
+  {
+    id: 'robots.server_error',
+    severity: 'critical',
+    elements: 'url',
+    title: 'robots.txt server error',
+    message: 'robots.txt returned {statusCode}; crawlers will treat the site as disallowed',
+    help: 'A 5xx response for robots.txt makes crawlers stop crawling the whole site.'
+  },
+  {
+    id: 'robots.missing',
+    severity: 'low',
+    elements: 'url',
+    title: 'No robots.txt',
+    message: 'No robots.txt file found',
+    help: 'Without robots.txt everything may be crawled. Add one to reference the sitemap and block private areas.'
+  },
+  {
+    id: 'robots.blocked',
+    severity: 'critical',
+    elements: 'agent',
+    title: 'Blocked by robots.txt',
+    message: 'URL is blocked for {agent} by "{ruleType}: {rulePath}"',
+    help: 'Blocked pages cannot be crawled, so their content is not indexed. Remove or narrow the Disallow rule.'
+  },
+  {
+    id: 'robots.no_sitemap',
+    severity: 'low',
+    elements: 'url',
+    title: 'robots.txt without sitemap',
+    message: 'robots.txt does not reference a sitemap',
+    help: 'Add a Sitemap: line with the absolute URL of your XML sitemap.'
+  },
+  {
+    id: 'sitemap.missing',
+    severity: 'medium',
+    elements: 'checked',
+    title: 'No XML sitemap',
+    message: 'No XML sitemap found',
+    help: 'A sitemap helps search engines discover every page. Publish one and reference it in robots.txt.'
+  },
+  {
+    id: 'sitemap.url_not_listed',
+    severity: 'low',
+    title: 'Page not in sitemap',
+    message: 'Analyzed URL is not listed in any sitemap',
+    help: 'List every indexable page in the sitemap so it is discovered and recrawled.'
+  },
+  {
+    id: 'sitemap.invalid_lastmod',
+    severity: 'low',
+    elements: 'entries',
+    title: 'Invalid lastmod',
+    message: '{count} sitemap entries have invalid lastmod values',
+    help: 'lastmod must use the W3C Datetime format, e.g. 2024-05-01 or 2024-05-01T10:00:00+00:00.'
+  },
+  {
+    id: 'sitemap.future_lastmod',
+    severity: 'low',
+    title: 'Future lastmod',
+    message: '{count} sitemap entries have lastmod dates in the future',
+    help: 'Search engines stop trusting lastmod values that are obviously wrong.'
+  },
+  {
+    id: 'sitemap.non_canonical_listed',
+    severity: 'medium',
+    elements: 'loc',
+    title: 'Sitemap lists non-canonical URL',
+    message: 'Sitemap lists {loc}, which canonicalizes to {canonical}',
+    help: 'Sitemaps should only list canonical URLs.'
+  },
+  {
+    id: 'sitemap.http_error',
+    severity: 'medium',
+    elements: 'sitemap',
+    title: 'Sitemap HTTP error',
+    message: 'Sitemap returned HTTP {statusCode}',
+    help: 'A declared sitemap must return 200.'
+  },
+  {
+    id: 'sitemap.fetch_failed',
+    severity: 'medium',
+    elements: 'sitemap',
+    title: 'Sitemap unreachable',
+    message: 'Sitemap could not be fetched: {error}',
+    help: 'Check that the sitemap URL resolves and responds in time.'
+  },
+  {
+    id: 'sitemap.invalid_gzip',
+    severity: 'high',
+    elements: 'sitemap',
+    title: 'Invalid gzip sitemap',
+    message: 'Sitemap is not a valid gzip file',
+    help: 'Compressed sitemaps must be valid gzip files.'
+  },
+  {
+    id: 'sitemap.too_large',
+    severity: 'high',
+    elements: 'sitemap',
+    title: 'Sitemap too large',
+    message: 'Sitemap exceeds the 50MB uncompressed size limit',
+    help: 'Split large sitemaps and reference them from a sitemap index.'
+  },
+  {
+    id: 'sitemap.invalid_root',
+    severity: 'high',
+    elements: 'sitemap',
+    title: 'Invalid sitemap',
+    message: 'File is not a valid sitemap (no <urlset> or <sitemapindex> root)',
+    help: 'A sitemap must have a <urlset> or <sitemapindex> root element.'
+  },
+  {
+    id: 'sitemap.cross_host_child',
+    severity: 'medium',
+    elements: 'child',
+    title: 'Child sitemap on another host',
+    message: 'Child sitemap on another host: {child}',
+    help: 'Sitemaps on another host are ignored unless that host is verified for the same owner.'
+  },
+  {
+    id: 'sitemap.cross_host_entries',
+    severity: 'medium',
+    elements: 'sitemap',
+    title: 'Sitemap entries on another host',
+    message: '{count} entries point to another host (e.g. {example})',
+    help: 'A sitemap may only list URLs on its own host.'
+  },
+  {
+    id: 'sitemap.non_canonical_entries',
+    severity: 'low',
+    elements: 'sitemap',
+    title: 'Non-canonical sitemap entries',
+    message: '{count} entries use non-canonical URLs (e.g. {example})',
+    help: 'List the final URLs, without fragments, session parameters or redirects.'
+  },
+  {
+    id: 'sitemap.too_many_urls',
+    severity: 'high',
+    elements: 'sitemap',
+    title: 'Too many sitemap entries',
+    message: 'Sitemap has {count} entries, above the 50,000 limit',
+    help: 'Split the sitemap and reference the parts from a sitemap index.'
+  }
+].map(rule => ({ category, ...rule }));
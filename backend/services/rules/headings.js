@@ -0,0 +1,27 @@
+const category = 'headings';
+
+module.exports = [
+  {
+    id: 'headings.h1.missing',
+    severity: 'high',
+    title: 'Missing H1',
+    message: 'Missing H1 heading',
+    help: 'The H1 tells users and search engines what the page is about. Add one that matches the page topic.'
+  },
+  {
+    id: 'headings.h1.multiple',
+    severity: 'medium',
+    elements: 'headings',
+    title: 'Multiple H1 headings',
+    message: 'Multiple H1 headings found',
+    help: 'Several H1s blur the main topic of the page. Keep one H1 and demote the others to H2.'
+  },
+  {
+    id: 'headings.level_skipped',
+    severity: 'low',
+    elements: 'text',
+    title: 'Skipped heading level',
+    message: 'Skipped heading level: from H{from} to H{to}',
+    help: 'Headings should form an outline without gaps so screen readers and crawlers can follow the structure.'
+  }
+].map(rule => ({ category, ...rule }));
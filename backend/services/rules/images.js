@@ -0,0 +1,76 @@
+const category = 'images';
+
+module.exports = [
+  {
+    id: 'images.missing_dimensions',
+    severity: 'low',
+    elements: 'src',
+    title: 'Image without dimensions',
+    message: 'Image missing dimensions: {src}',
+    help: 'Width and height attributes let the browser reserve space and avoid layout shift.'
+  },
+  {
+    id: 'images.missing_alt',
+    severity: 'low',
+    elements: 'images',
+    title: 'Images without alt text',
+    message: '{count} images missing alt text',
+    help: 'Alt text describes images to screen readers and image search. Use an empty alt only for decorative images.'
+  },
+  {
+    id: 'images.missing_srcset',
+    severity: 'low',
+    elements: 'images',
+    title: 'Images without srcset',
+    message: '{count} images missing srcset for responsive loading',
+    help: 'srcset lets small screens download smaller files. Provide several widths of each raster image.'
+  },
+  {
+    id: 'images.srcset_without_sizes',
+    severity: 'low',
+    elements: 'images',
+    title: 'srcset without sizes',
+    message: '{count} images use srcset width descriptors without sizes',
+    help: 'Without sizes the browser assumes the image fills the viewport and may download a larger file than needed.'
+  },
+  {
+    id: 'images.above_fold_without_priority',
+    severity: 'low',
+    elements: 'images',
+    title: 'Hero image not prioritized',
+    message: '{count} above-the-fold images missing fetchpriority="high"',
+    help: 'fetchpriority="high" on the main visible image helps it load first and improves Largest Contentful Paint.'
+  },
+  {
+    id: 'images.above_fold_lazy',
+    severity: 'low',
+    elements: 'src',
+    title: 'Above-the-fold image lazy-loaded',
+    message: 'Above-the-fold image is lazy-loaded: {src}',
+    help: 'Lazy-loading visible images delays them until layout is known. Load them eagerly.'
+  },
+  {
+    id: 'images.offscreen_not_lazy',
+    severity: 'low',
+    elements: 'images',
+    title: 'Offscreen images loaded eagerly',
+    message: '{count} offscreen images missing loading="lazy"',
+    help: 'loading="lazy" defers images below the fold so the first view loads faster.'
+  },
+  {
+    id: 'images.oversized',
+    severity: 'low',
+    elements: 'images',
+    title: 'Oversized images',
+    message: '{count} images are oversized',
+    help: 'Resize and compress images to the size they are displayed at.'
+  },
+  {
+    id: 'images.legacy_format',
+    severity: 'low',
+    elements: 'images',
+    title: 'Legacy image formats',
+    message: '{count} images use legacy formats (JPEG/PNG/GIF) instead of WebP/AVIF',
+    help: 'WebP and AVIF are usually 25-50% smaller than JPEG or PNG at the same quality.'
+  }
+].map(rule => ({ category, ...rule }));
@@ -0,0 +1,21 @@
+module.exports = {
+  metadata: require('./metadata'),
+  social: require('./social'),
+  canonical: require('./canonical'),
+  headings: require('./headings'),
+  links: require('./links'),
+  images: require('./images'),
+  performance: require('./performance'),
+  security: require('./security'),
+  technical: require('./technical'),
+  accessibility: require('./accessibility'),
+  structuredData: require('./structuredData'),
+  richResults: require('./richResults'),
+  mobile: require('./mobile'),
+  content: require('./content'),
+  redirects: require('./redirects'),
+  rendering: require('./rendering'),
+  crawlability: require('./crawlability'),
+  indexability: require('./indexability'),
+  international: require('./international')
+};
@@ -0,0 +1,68 @@
+const category = 'indexability';
+
+module.exports = [
+  {
+    id: 'indexability.non_200',
+    severity: 'critical',
+    elements: 'url',
+    title: 'Page does not return 200',
+    message: 'Page returned HTTP {statusCode}; only pages answering 200 are indexed',
+    help: 'Serve indexable pages with a 200 status, or remove links to pages that are gone.'
+  },
+  {
+    id: 'indexability.noindex',
+    severity: 'high',
+    elements: 'sources',
+    title: 'Page is noindex',
+    message: 'Page is excluded from the index for {bots} by {sourceList}',
+    help: 'noindex keeps the page out of search results. Remove it if the page should rank.'
+  },
+  {
+    id: 'indexability.blocked_noindex',
+    severity: 'medium',
+    elements: 'bots',
+    title: 'noindex hidden by robots.txt',
+    message: 'robots.txt blocks crawling for {botList}, so the page\'s noindex is never seen',
+    help: 'Blocked pages can still be indexed from links. Allow crawling so the noindex is seen, or drop the noindex.'
+  },
+  {
+    id: 'indexability.unavailable_after_passed',
+    severity: 'high',
+    elements: 'bots',
+    title: 'unavailable_after has passed',
+    message: 'unavailable_after date {date} has passed for {botList}; the page is dropped from results',
+    help: 'Remove or move the unavailable_after date if the page should stay in search results.'
+  },
+  {
+    id: 'indexability.unavailable_after_invalid',
+    severity: 'low',
+    elements: 'bots',
+    title: 'Unreadable unavailable_after date',
+    message: 'unavailable_after value "{value}" is not a valid date',
+    help: 'Use an ISO 8601 date such as 2025-12-31 so crawlers can read it.'
+  },
+  {
+    id: 'indexability.snippet_suppressed',
+    severity: 'low',
+    elements: 'bots',
+    title: 'Search snippet suppressed',
+    message: 'Search snippets are suppressed for {botList} ({directive})',
+    help: 'Without a snippet, results show only the title. Allow a snippet unless the content must stay hidden.'
+  },
+  {
+    id: 'indexability.unknown_directive',
+    severity: 'low',
+    elements: 'directives',
+    title: 'Unknown robots directives',
+    message: 'Unknown robots directives are ignored: {directiveList}',
+    help: 'Check the directives for typos; crawlers ignore values they do not recognize.'
+  },
+  {
+    id: 'indexability.data_nosnippet_unsupported',
+    severity: 'low',
+    elements: 'tags',
+    title: 'data-nosnippet on unsupported elements',
+    message: 'data-nosnippet is ignored on <{tagList}> elements',
+    help: 'data-nosnippet only works on span, div and section elements. Wrap the content in one of them.'
+  }
+].map(rule => ({ category, ...rule }));
@@ -0,0 +1,67 @@
+const category = 'international';
+
+module.exports = [
+  {
+    id: 'hreflang.invalid_code',
+    severity: 'high',
+    elements: 'hreflang',
+    title: 'Invalid hreflang value',
+    message: 'Invalid hreflang value "{hreflang}": {reason}',
+    help: 'Search engines ignore annotations they cannot parse. Use an ISO 639-1 language code with an optional ISO 3166-1 region, e.g. en-GB.'
+  },
+  {
+    id: 'hreflang.relative_url',
+    severity: 'medium',
+    elements: 'href',
+    title: 'Relative hreflang URL',
+    message: 'hreflang "{hreflang}" uses a relative URL: {href}',
+    help: 'hreflang alternates must be fully-qualified URLs including the protocol.'
+  },
+  {
+    id: 'hreflang.duplicate_code',
+    severity: 'medium',
+    elements: 'hreflang',
+    title: 'Duplicate hreflang value',
+    message: 'hreflang "{hreflang}" points to {count} different URLs',
+    help: 'Each language and region may only have one alternate. Remove the conflicting annotations.'
+  },
+  {
+    id: 'hreflang.missing_self_reference',
+    severity: 'medium',
+    elements: 'url',
+    title: 'No self-referencing hreflang',
+    message: 'hreflang annotations do not include this page',
+    help: 'Every page in an hreflang set must list itself as well as its alternates.'
+  },
+  {
+    id: 'hreflang.missing_x_default',
+    severity: 'low',
+    title: 'No x-default',
+    message: 'hreflang annotations have no x-default entry',
+    help: 'An x-default alternate tells search engines which page to show users whose language is not listed.'
+  },
+  {
+    id: 'hreflang.lang_mismatch',
+    severity: 'low',
+    elements: 'lang',
+    title: 'html lang differs from hreflang',
+    message: '<html lang="{lang}"> does not match the self-referencing hreflang "{hreflang}"',
+    help: 'The lang attribute and the hreflang of the page itself should name the same language and region.'
+  },
+  {
+    id: 'hreflang.no_return_link',
+    severity: 'high',
+    elements: 'href',
+    title: 'Missing hreflang return link',
+    message: 'Alternate {href} does not link back to this page',
+    help: 'hreflang annotations must be reciprocal. Add an annotation for this page to the alternate, or search engines ignore the pair.'
+  },
+  {
+    id: 'hreflang.alternate_unreachable',
+    severity: 'medium',
+    elements: 'href',
+    title: 'Unreachable hreflang alternate',
+    message: 'Alternate {href} could not be loaded ({reason})',
+    help: 'Alternates must return 200. Point annotations at live, indexable pages.'
+  }
+].map(rule => ({ category, ...rule }));
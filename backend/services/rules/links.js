@@ -0,0 +1,20 @@
+const category = 'links';
+
+module.exports = [
+  {
+    id: 'links.broken',
+    severity: 'high',
+    elements: 'links',
+    title: 'Broken links',
+    message: 'Found {count} broken links',
+    help: 'Broken links waste crawl budget and frustrate visitors. Fix the target or remove the link.'
+  },
+  {
+    id: 'links.external_without_nofollow',
+    severity: 'low',
+    elements: 'links',
+    title: 'External links without nofollow',
+    message: 'External links without nofollow attributes',
+    help: 'Mark paid, sponsored or untrusted external links with rel="nofollow", "sponsored" or "ugc".'
+  }
+].map(rule => ({ category, ...rule }));
@@ -0,0 +1,53 @@
+const category = 'metadata';
+
+module.exports = [
+  {
+    id: 'meta.title.missing',
+    severity: 'high',
+    title: 'Missing title',
+    message: 'Missing title tag',
+    help: 'The title is the headline of the search result. Add a unique <title> that describes the page.'
+  },
+  {
+    id: 'meta.title.multiple',
+    severity: 'medium',
+    title: 'Multiple titles',
+    message: 'Multiple title tags found; only the first will be used',
+    help: 'Browsers and search engines use the first <title> only. Remove the extra ones so the intended title is shown.'
+  },
+  {
+    id: 'meta.title.too_short',
+    severity: 'low',
+    title: 'Title too short',
+    message: 'Title too short (< {min} characters)',
+    help: 'Short titles leave room unused in search results. Aim for {min}-{max} characters including the primary keyword.'
+  },
+  {
+    id: 'meta.title.too_long',
+    severity: 'low',
+    title: 'Title too long',
+    message: 'Title too long (> {max} characters)',
+    help: 'Titles over about {max} characters are truncated in search results. Put the important words first.'
+  },
+  {
+    id: 'meta.description.missing',
+    severity: 'high',
+    title: 'Missing meta description',
+    message: 'Missing meta description',
+    help: 'Without a description search engines pick a snippet from the page. Write a summary that invites the click.'
+  },
+  {
+    id: 'meta.description.too_short',
+    severity: 'low',
+    title: 'Description too short',
+    message: 'Description too short (< {min} characters)',
+    help: 'Short descriptions are often replaced by an automatic snippet. Aim for {min}-{max} characters.'
+  },
+  {
+    id: 'meta.description.too_long',
+    severity: 'low',
+    title: 'Description too long',
+    message: 'Description too long (> {max} characters)',
+    help: 'Descriptions over about {max} characters are truncated. Keep the call to action near the start.'
+  }
+].map(rule => ({ category, ...rule }));
@@ -0,0 +1,25 @@
+const category = 'mobile';
+
+module.exports = [
+  {
+    id: 'mobile.viewport.missing',
+    severity: 'high',
+    title: 'Missing viewport',
+    message: 'Missing viewport meta tag',
+    help: 'Mobile-first indexing evaluates the mobile rendering. Add <meta name="viewport" content="width=device-width, initial-scale=1">.'
+  },
+  {
+    id: 'mobile.viewport.no_device_width',
+    severity: 'medium',
+    title: 'Viewport without device width',
+    message: 'Viewport meta tag missing width=device-width',
+    help: 'width=device-width makes the layout match the screen width of the device.'
+  },
+  {
+    id: 'mobile.tap_targets.small',
+    severity: 'low',
+    title: 'Small tap targets',
+    message: '{count} tap targets too small',
+    help: 'Tap targets should be at least 44x44 pixels with enough spacing between them.'
+  }
+].map(rule => ({ category, ...rule }));
@@ -0,0 +1,20 @@
+const category = 'performance';
+
+module.exports = [
+  {
+    id: 'performance.no_async_scripts',
+    severity: 'low',
+    elements: 'sources',
+    title: 'Render-blocking scripts',
+    message: 'No deferred or async scripts found',
+    help: 'Scripts without defer or async block rendering. Defer scripts that are not needed for the first paint.'
+  },
+  {
+    id: 'performance.too_many_stylesheets',
+    severity: 'low',
+    elements: 'stylesheets',
+    title: 'Many stylesheets',
+    message: 'High number of stylesheet files',
+    help: 'Every stylesheet blocks rendering. Combine them or inline the critical CSS.'
+  }
+].map(rule => ({ category, ...rule }));
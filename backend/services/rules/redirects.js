@@ -0,0 +1,43 @@
+const category = 'redirects';
+
+module.exports = [
+  {
+    id: 'redirects.chain',
+    severity: 'medium',
+    title: 'Redirect chain',
+    message: 'Redirect chain has {hops} hops; link directly to the final URL',
+    help: 'Each hop adds latency and crawlers may stop following long chains.'
+  },
+  {
+    id: 'redirects.loop',
+    severity: 'critical',
+    elements: 'url',
+    title: 'Redirect loop',
+    message: 'Redirect loop detected at {url}',
+    help: 'A redirect loop makes the page unreachable for users and crawlers.'
+  },
+  {
+    id: 'redirects.temporary',
+    severity: 'medium',
+    elements: 'from',
+    title: 'Temporary canonicalizing redirect',
+    message: 'Temporary redirect ({statusCode}) from {from} should be a permanent 301',
+    help: 'Protocol, host and trailing-slash redirects are permanent decisions. A 301 consolidates signals on the target.'
+  },
+  {
+    id: 'redirects.https_downgrade',
+    severity: 'high',
+    elements: 'from',
+    title: 'HTTPS downgrade',
+    message: 'HTTPS to HTTP downgrade from {from} to {to}',
+    help: 'Redirecting from HTTPS to HTTP exposes visitors to interception. Keep every hop on HTTPS.'
+  },
+  {
+    id: 'redirects.blocked_target',
+    severity: 'critical',
+    elements: 'to',
+    title: 'Redirect to a blocked address',
+    message: 'Redirect from {from} to {to} was not followed: {reason}',
+    help: 'The page redirects to a local or private address that is not reachable from the internet. Redirect to a public URL.'
+  }
+].map(rule => ({ category, ...rule }));
@@ -0,0 +1,58 @@
+const category = 'rendering';
+
+module.exports = [
+  {
+    id: 'rendering.js_only',
+    severity: 'medium',
+    elements: 'label',
+    title: 'Element added by JavaScript',
+    message: '{label} only appears after JavaScript rendering',
+    help: 'Search engines render JavaScript later and not always. Put indexing-critical elements in the server HTML.'
+  },
+  {
+    id: 'rendering.changed',
+    severity: 'medium',
+    elements: 'label',
+    title: 'Element changed by JavaScript',
+    message: '{label} is changed by JavaScript ("{raw}" → "{rendered}")',
+    help: 'Different raw and rendered values send mixed signals. Serve the final value in the HTML.'
+  },
+  {
+    id: 'rendering.removed',
+    severity: 'high',
+    elements: 'label',
+    title: 'Element removed by JavaScript',
+    message: '{label} is removed by JavaScript',
+    help: 'Removing an element after load means crawlers that render see a different page than those that do not.'
+  },
+  {
+    id: 'rendering.noindex_removed',
+    severity: 'high',
+    title: 'noindex removed by JavaScript',
+    message: 'Raw HTML is noindex; search engines may not render the page to see it removed',
+    help: 'Google skips rendering for pages that are noindex in the raw HTML, so the page stays out of the index.'
+  },
+  {
+    id: 'rendering.h1_js_only',
+    severity: 'medium',
+    title: 'H1 added by JavaScript',
+    message: 'H1 heading only appears after JavaScript rendering',
+    help: 'Include the main heading in the server HTML.'
+  },
+  {
+    id: 'rendering.links_js_only',
+    severity: 'medium',
+    elements: 'links',
+    title: 'Links added by JavaScript',
+    message: '{added} of {total} links only exist in the rendered DOM',
+    help: 'Links that only exist after rendering are discovered late. Render navigation links on the server.'
+  },
+  {
+    id: 'rendering.structured_data_js',
+    severity: 'medium',
+    elements: 'types',
+    title: 'Structured data added by JavaScript',
+    message: 'Structured data injected by JavaScript: {types}',
+    help: 'Injected structured data is only seen after rendering. Prefer JSON-LD in the server HTML.'
+  }
+].map(rule => ({ category, ...rule }));
@@ -0,0 +1,28 @@
+const category = 'richResults';
+
+module.exports = [
+  {
+    id: 'rich_results.ineligible',
+    severity: 'medium',
+    elements: 'path',
+    title: 'Not eligible for rich result',
+    message: '{label} is not eligible for {feature} rich results; missing {missingList}',
+    help: 'Google only shows {feature} rich results when all required fields are present. Add {missingList}.'
+  },
+  {
+    id: 'rich_results.incomplete',
+    severity: 'low',
+    elements: 'path',
+    title: 'Rich result missing recommended fields',
+    message: '{label} is eligible for {feature} rich results but lacks {recommendedList}',
+    help: 'Recommended fields make {feature} rich results more complete and more likely to be shown.'
+  },
+  {
+    id: 'rich_results.content_mismatch',
+    severity: 'medium',
+    elements: 'value',
+    title: 'Structured data not visible on page',
+    message: '{label} {property} "{value}" does not appear in the visible page text',
+    help: 'Structured data must describe content visitors can see. Mismatches can cost the {feature} rich result.'
+  }
+].map(rule => ({ category, ...rule }));
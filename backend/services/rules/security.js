@@ -0,0 +1,164 @@
+const category = 'security';
+
+module.exports = [
+  {
+    id: 'security.https.missing',
+    severity: 'high',
+    elements: 'url',
+    title: 'No HTTPS',
+    message: 'Site not served over HTTPS',
+    help: 'HTTPS is a ranking signal and browsers mark HTTP pages as not secure. Redirect all traffic to HTTPS.'
+  },
+  {
+    id: 'security.hsts.http_only',
+    severity: 'high',
+    elements: 'header',
+    title: 'HSTS on HTTP',
+    message: 'HSTS cannot take effect on a page served over HTTP',
+    help: 'Browsers ignore Strict-Transport-Security received over HTTP. Serve the page over HTTPS first.'
+  },
+  {
+    id: 'security.hsts.missing',
+    severity: 'high',
+    elements: 'header',
+    title: 'Missing HSTS',
+    message: 'Missing Strict-Transport-Security header',
+    help: 'HSTS makes browsers always use HTTPS, preventing protocol downgrade attacks.'
+  },
+  {
+    id: 'security.hsts.invalid_max_age',
+    severity: 'high',
+    elements: 'header',
+    title: 'Invalid HSTS max-age',
+    message: 'Strict-Transport-Security has no valid max-age',
+    help: 'Without a positive max-age the header has no effect. Use max-age=31536000.'
+  },
+  {
+    id: 'security.hsts.short_max_age',
+    severity: 'medium',
+    elements: 'header',
+    title: 'Short HSTS max-age',
+    message: 'Strict-Transport-Security max-age is below 6 months ({maxAge}s)',
+    help: 'A short max-age lets the protection lapse between visits. Use at least six months, ideally one year.'
+  },
+  {
+    id: 'security.hsts.no_subdomains',
+    severity: 'medium',
+    elements: 'header',
+    title: 'HSTS without includeSubDomains',
+    message: 'Strict-Transport-Security is missing includeSubDomains',
+    help: 'includeSubDomains extends the protection to every subdomain and is required for preloading.'
+  },
+  {
+    id: 'security.hsts.preload_max_age',
+    severity: 'medium',
+    elements: 'header',
+    title: 'HSTS preload max-age too short',
+    message: 'Strict-Transport-Security preload requires a max-age of at least 1 year',
+    help: 'The preload list only accepts max-age=31536000 or more.'
+  },
+  {
+    id: 'security.csp.report_only',
+    severity: 'medium',
+    elements: 'header',
+    title: 'CSP in report-only mode',
+    message: 'Content-Security-Policy is only set in report-only mode',
+    help: 'A report-only policy is not enforced. Switch to Content-Security-Policy once the reports are clean.'
+  },
+  {
+    id: 'security.csp.missing',
+    severity: 'high',
+    elements: 'header',
+    title: 'Missing CSP',
+    message: 'Missing Content-Security-Policy header',
+    help: 'A Content-Security-Policy limits where scripts can load from and mitigates cross-site scripting.'
+  },
+  {
+    id: 'security.csp.no_script_restriction',
+    severity: 'medium',
+    elements: 'header',
+    title: 'CSP does not restrict scripts',
+    message: 'Content-Security-Policy does not restrict scripts (no script-src or default-src)',
+    help: 'Add script-src or default-src so the policy actually limits script sources.'
+  },
+  {
+    id: 'security.csp.unsafe_scripts',
+    severity: 'medium',
+    elements: 'header',
+    title: 'CSP allows unsafe scripts',
+    message: 'Content-Security-Policy allows {unsafe} scripts',
+    help: "'unsafe-inline' and 'unsafe-eval' undo most of the protection. Use nonces or hashes instead."
+  },
+  {
+    id: 'security.content_type_options.invalid',
+    severity: 'high',
+    elements: 'header',
+    title: 'Invalid X-Content-Type-Options',
+    message: 'X-Content-Type-Options has invalid value "{value}"',
+    help: 'The only valid value is nosniff.'
+  },
+  {
+    id: 'security.content_type_options.missing',
+    severity: 'high',
+    elements: 'header',
+    title: 'Missing X-Content-Type-Options',
+    message: 'Missing X-Content-Type-Options header',
+    help: 'X-Content-Type-Options: nosniff stops browsers from guessing content types and executing uploads as scripts.'
+  },
+  {
+    id: 'security.frame_options.allow_from',
+    severity: 'medium',
+    elements: 'header',
+    title: 'Obsolete X-Frame-Options',
+    message: 'X-Frame-Options ALLOW-FROM is obsolete; use CSP frame-ancestors',
+    help: 'Modern browsers ignore ALLOW-FROM. Use the frame-ancestors directive of Content-Security-Policy.'
+  },
+  {
+    id: 'security.frame_options.invalid',
+    severity: 'high',
+    elements: 'header',
+    title: 'Invalid X-Frame-Options',
+    message: 'X-Frame-Options has invalid value "{value}"',
+    help: 'Use DENY or SAMEORIGIN, or CSP frame-ancestors.'
+  },
+  {
+    id: 'security.frame_options.missing',
+    severity: 'high',
+    elements: 'header',
+    title: 'No clickjacking protection',
+    message: 'Missing X-Frame-Options header or CSP frame-ancestors',
+    help: 'Without framing restrictions the page can be embedded by other sites for clickjacking.'
+  },
+  {
+    id: 'security.referrer_policy.missing',
+    severity: 'medium',
+    elements: 'header',
+    title: 'Missing Referrer-Policy',
+    message: 'Missing Referrer-Policy header',
+    help: 'Set Referrer-Policy: strict-origin-when-cross-origin to avoid leaking full URLs.'
+  },
+  {
+    id: 'security.referrer_policy.leaky',
+    severity: 'medium',
+    elements: 'header',
+    title: 'Leaky Referrer-Policy',
+    message: 'Referrer-Policy "{policy}" leaks full URLs to other origins',
+    help: 'Full URLs can contain private paths or tokens. Use strict-origin-when-cross-origin or stricter.'
+  },
+  {
+    id: 'security.permissions_policy.feature_policy',
+    severity: 'medium',
+    elements: 'header',
+    title: 'Deprecated Feature-Policy',
+    message: 'Only the deprecated Feature-Policy header is set; use Permissions-Policy',
+    help: 'Feature-Policy was replaced by Permissions-Policy, which uses a different syntax.'
+  },
+  {
+    id: 'security.permissions_policy.missing',
+    severity: 'medium',
+    elements: 'header',
+    title: 'Missing Permissions-Policy',
+    message: 'Missing Permissions-Policy header',
+    help: 'Permissions-Policy disables powerful browser features such as camera or geolocation that the page does not use.'
+  }
+].map(rule => ({ category, ...rule }));
@@ -0,0 +1,51 @@
+const category = 'social';
+
+module.exports = [
+  {
+    id: 'social.og.missing_property',
+    severity: 'medium',
+    elements: 'property',
+    title: 'Missing Open Graph property',
+    message: 'Missing Open Graph property {property}',
+    help: 'Facebook, LinkedIn and most chat apps build link previews from og:title, og:type, og:image and og:url.'
+  },
+  {
+    id: 'social.og.conflicting_values',
+    severity: 'medium',
+    elements: 'property',
+    title: 'Conflicting social tags',
+    message: '{property} is declared {count} times with different values',
+    help: 'Platforms pick one of the values unpredictably. Keep a single tag per property.'
+  },
+  {
+    id: 'social.image.relative_url',
+    severity: 'high',
+    elements: 'url',
+    title: 'Relative social image URL',
+    message: '{property} is not an absolute URL: {url}',
+    help: 'Crawlers of social platforms do not resolve relative URLs. Use the full https:// URL of the image.'
+  },
+  {
+    id: 'social.og.title_differs',
+    severity: 'info',
+    elements: 'ogTitle',
+    title: 'og:title differs from title',
+    message: 'og:title ("{ogTitle}") differs from the <title> tag ("{title}")',
+    help: 'A different share title can be intentional. Make sure both describe the same page.'
+  },
+  {
+    id: 'social.twitter.card_missing',
+    severity: 'low',
+    title: 'Missing Twitter Card',
+    message: 'Missing twitter:card tag',
+    help: 'Without twitter:card X shows a minimal preview. Add summary or summary_large_image.'
+  },
+  {
+    id: 'social.twitter.card_invalid',
+    severity: 'medium',
+    elements: 'card',
+    title: 'Invalid Twitter Card type',
+    message: 'Unknown twitter:card type: {card}',
+    help: 'Use one of summary, summary_large_image, app or player.'
+  }
+].map(rule => ({ category, ...rule }));
@@ -0,0 +1,51 @@
+const category = 'structuredData';
+
+module.exports = [
+  {
+    id: 'structured_data.invalid_json',
+    severity: 'high',
+    title: 'Invalid JSON-LD',
+    message: 'Invalid JSON-LD structured data in block {block}',
+    help: 'Search engines ignore JSON-LD blocks that fail to parse. Validate the JSON syntax.'
+  },
+  {
+    id: 'structured_data.missing_type',
+    severity: 'medium',
+    elements: 'source',
+    title: 'Structured data without a type',
+    message: 'A {source} entity has no type',
+    help: 'Entities without @type, itemtype or typeof are not understood by search engines. Declare a schema.org type.'
+  },
+  {
+    id: 'structured_data.unknown_type',
+    severity: 'info',
+    elements: 'path',
+    title: 'Type not validated',
+    message: '{type} is not a type the validator knows, so its properties were not checked',
+    help: 'Check the spelling against schema.org. Less common types are not validated.'
+  },
+  {
+    id: 'structured_data.missing_required',
+    severity: 'high',
+    elements: 'path',
+    title: 'Missing required property',
+    message: '{label} is missing required property {property}',
+    help: 'Without {property}, the {type} entity is incomplete and may be ignored. Add the property.'
+  },
+  {
+    id: 'structured_data.missing_recommended',
+    severity: 'low',
+    elements: 'path',
+    title: 'Missing recommended property',
+    message: '{label} is missing recommended property {property}',
+    help: 'Recommended properties such as {property} make the {type} entity more useful to search engines.'
+  },
+  {
+    id: 'structured_data.invalid_value',
+    severity: 'medium',
+    elements: 'path',
+    title: 'Invalid property value',
+    message: '{label} property {property} should be {expected}, found "{value}"',
+    help: 'Values of the wrong type are ignored. Give {property} a value of type {expected}.'
+  }
+].map(rule => ({ category, ...rule }));
@@ -0,0 +1,32 @@
+const category = 'technical';
+
+module.exports = [
+  {
+    id: 'technical.viewport.missing',
+    severity: 'high',
+    title: 'Missing viewport',
+    message: 'Missing viewport meta tag',
+    help: 'Without a viewport meta tag mobile browsers render the desktop layout zoomed out.'
+  },
+  {
+    id: 'technical.charset.missing',
+    severity: 'high',
+    title: 'Missing charset',
+    message: 'Missing charset declaration',
+    help: 'Declare <meta charset="utf-8"> early in the head so text is decoded correctly.'
+  },
+  {
+    id: 'technical.lang.missing',
+    severity: 'high',
+    title: 'Missing language',
+    message: 'Missing language declaration',
+    help: 'The lang attribute on <html> helps search engines and screen readers pick the right language.'
+  },
+  {
+    id: 'technical.doctype.missing',
+    severity: 'high',
+    title: 'Missing DOCTYPE',
+    message: 'Missing DOCTYPE declaration',
+    help: 'Without <!DOCTYPE html> browsers render in quirks mode.'
+  }
+].map(rule => ({ category, ...rule }));
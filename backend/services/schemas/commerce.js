@@ -0,0 +1,77 @@
+module.exports = [
+  {
+    type: 'Product',
+    required: ['name'],
+    recommended: ['image', 'description', 'sku', 'brand', 'offers', 'aggregateRating', 'review'],
+    properties: {
+      sku: ['Text'],
+      gtin: ['Text'],
+      gtin13: ['Text'],
+      mpn: ['Text'],
+      brand: ['Brand', 'Organization', 'Text'],
+      offers: ['Offer', 'AggregateOffer'],
+      aggregateRating: ['AggregateRating'],
+      review: ['Review']
+    }
+  },
+  {
+    type: 'Brand',
+    required: ['name'],
+    properties: {
+      logo: ['URL', 'ImageObject']
+    }
+  },
+  {
+    type: 'Offer',
+    required: ['price', 'priceCurrency'],
+    recommended: ['availability', 'url', 'priceValidUntil'],
+    properties: {
+      price: ['Number'],
+      priceCurrency: ['Text'],
+      availability: ['URL', 'Text'],
+      itemCondition: ['URL', 'Text'],
+      priceValidUntil: ['Date'],
+      validFrom: ['Date'],
+      seller: ['Organization', 'Person'],
+      priceSpecification: ['PriceSpecification']
+    }
+  },
+  {
+    type: 'AggregateOffer',
+    extends: 'Offer',
+    required: ['lowPrice', 'priceCurrency'],
+    recommended: ['highPrice', 'offerCount'],
+    properties: {
+      lowPrice: ['Number'],
+      highPrice: ['Number'],
+      offerCount: ['Integer']
+    }
+  },
+  {
+    type: 'PriceSpecification',
+    required: ['price', 'priceCurrency'],
+    properties: {
+      price: ['Number'],
+      priceCurrency: ['Text']
+    }
+  },
+  {
+    type: 'QuantitativeValue',
+    recommended: ['value', 'unitCode'],
+    properties: {
+      value: ['Number'],
+      minValue: ['Number'],
+      maxValue: ['Number'],
+      unitCode: ['Text', 'URL']
+    }
+  },
+  {
+    type: 'MonetaryAmount',
+    required: ['currency'],
+    recommended: ['value'],
+    properties: {
+      currency: ['Text'],
+      value: ['Number', 'QuantitativeValue']
+    }
+  }
+];
@@ -0,0 +1,183 @@
+module.exports = [
+  {
+    type: 'CreativeWork',
+    recommended: ['author', 'datePublished'],
+    properties: {
+      author: ['Person', 'Organization', 'Text'],
+      publisher: ['Organization', 'Person'],
+      datePublished: ['Date'],
+      dateModified: ['Date'],
+      headline: ['Text'],
+      aggregateRating: ['AggregateRating'],
+      review: ['Review'],
+      video: ['VideoObject'],
+      inLanguage: ['Text', 'Language']
+    }
+  },
+  {
+    type: 'Article',
+    extends: 'CreativeWork',
+    required: ['headline'],
+    recommended: ['image', 'author', 'datePublished', 'dateModified', 'publisher']
+  },
+  { type: 'NewsArticle', extends: 'Article' },
+  { type: 'BlogPosting', extends: 'Article' },
+  { type: 'TechArticle', extends: 'Article' },
+  {
+    type: 'WebPage',
+    extends: 'CreativeWork',
+    recommended: ['name', 'url'],
+    properties: {
+      breadcrumb: ['BreadcrumbList', 'Text'],
+      mainEntity: ['Thing']
+    }
+  },
+  { type: 'AboutPage', extends: 'WebPage' },
+  { type: 'ContactPage', extends: 'WebPage' },
+  { type: 'CollectionPage', extends: 'WebPage' },
+  { type: 'ItemPage', extends: 'WebPage' },
+  {
+    type: 'FAQPage',
+    extends: 'WebPage',
+    required: ['mainEntity'],
+    properties: {
+      mainEntity: ['Question']
+    }
+  },
+  {
+    type: 'WebSite',
+    extends: 'CreativeWork',
+    required: ['url'],
+    recommended: ['name'],
+    properties: {
+      potentialAction: ['SearchAction']
+    }
+  },
+  {
+    type: 'Question',
+    extends: 'CreativeWork',
+    required: ['name', 'acceptedAnswer'],
+    properties: {
+      acceptedAnswer: ['Answer'],
+      suggestedAnswer: ['Answer']
+    }
+  },
+  {
+    type: 'Answer',
+    extends: 'CreativeWork',
+    required: ['text'],
+    properties: {
+      text: ['Text']
+    }
+  },
+  {
+    type: 'HowTo',
+    extends: 'CreativeWork',
+    required: ['name', 'step'],
+    recommended: ['image', 'totalTime', 'supply', 'tool'],
+    properties: {
+      step: ['HowToStep', 'HowToSection', 'Text'],
+      totalTime: ['Duration'],
+      supply: ['HowToSupply', 'Text'],
+      tool: ['HowToTool', 'Text']
+    }
+  },
+  {
+    type: 'HowToSection',
+    extends: 'CreativeWork',
+    required: ['name', 'itemListElement'],
+    properties: {
+      itemListElement: ['HowToStep']
+    }
+  },
+  {
+    type: 'HowToStep',
+    extends: 'CreativeWork',
+    required: ['text'],
+    recommended: ['name', 'image', 'url'],
+    properties: {
+      text: ['Text']
+    }
+  },
+  { type: 'HowToSupply', extends: 'Thing' },
+  { type: 'HowToTool', extends: 'Thing' },
+  {
+    type: 'Recipe',
+    extends: 'HowTo',
+    required: ['name', 'image'],
+    recommended: ['recipeIngredient', 'recipeInstructions', 'prepTime', 'cookTime', 'totalTime', 'recipeYield', 'nutrition'],
+    properties: {
+      recipeIngredient: ['Text'],
+      recipeInstructions: ['HowToStep', 'HowToSection', 'ItemList', 'Text'],
+      prepTime: ['Duration'],
+      cookTime: ['Duration'],
+      recipeYield: ['Text', 'Number'],
+      nutrition: ['NutritionInformation']
+    }
+  },
+  {
+    type: 'NutritionInformation',
+    recommended: ['calories'],
+    properties: {
+      calories: ['Text']
+    }
+  },
+  {
+    type: 'MediaObject',
+    extends: 'CreativeWork',
+    required: ['contentUrl'],
+    properties: {
+      contentUrl: ['URL'],
+      embedUrl: ['URL'],
+      uploadDate: ['Date'],
+      duration: ['Duration'],
+      width: ['Integer', 'Text', 'QuantitativeValue'],
+      height: ['Integer', 'Text', 'QuantitativeValue']
+    }
+  },
+  {
+    type: 'ImageObject',
+    extends: 'MediaObject',
+    recommended: ['width', 'height']
+  },
+  {
+    type: 'VideoObject',
+    extends: 'MediaObject',
+    required: ['name', 'thumbnailUrl', 'uploadDate'],
+    recommended: ['description', 'duration', 'contentUrl', 'embedUrl'],
+    properties: {
+      thumbnailUrl: ['URL']
+    }
+  },
+  {
+    type: 'Review',
+    extends: 'CreativeWork',
+    required: ['author', 'reviewRating'],
+    recommended: ['itemReviewed', 'datePublished'],
+    properties: {
+      reviewRating: ['Rating'],
+      itemReviewed: ['Thing'],
+      reviewBody: ['Text']
+    }
+  },
+  {
+    type: 'Rating',
+    required: ['ratingValue'],
+    recommended: ['bestRating', 'worstRating'],
+    properties: {
+      ratingValue: ['Number'],
+      bestRating: ['Number'],
+      worstRating: ['Number']
+    }
+  },
+  {
+    type: 'AggregateRating',
+    extends: 'Rating',
+    required: ['ratingValue', ['ratingCount', 'reviewCount']],
+    properties: {
+      ratingCount: ['Integer'],
+      reviewCount: ['Integer'],
+      itemReviewed: ['Thing']
+    }
+  }
+];
@@ -0,0 +1,10 @@
+// Bundled schema.org definitions used to validate structured data. Types extend Thing unless they
+// name another parent and inherit its expected values; `required` and `recommended` replace the
+// parent's when given. A `required` entry may list alternatives, e.g. ['ratingCount', 'reviewCount'].
+// Expected values are data types (Text, URL, Date, Number, Integer, Boolean, Duration) or type names.
+module.exports = [
+  ...require('./thing'),
+  ...require('./creativeWorks'),
+  ...require('./commerce'),
+  ...require('./organizations')
+];
@@ -0,0 +1,100 @@
+// Organizations, people, places and the events and jobs they hold
+module.exports = [
+  {
+    type: 'Organization',
+    required: ['name'],
+    recommended: ['url', 'logo'],
+    properties: {
+      logo: ['URL', 'ImageObject'],
+      address: ['PostalAddress', 'Text'],
+      contactPoint: ['ContactPoint'],
+      telephone: ['Text'],
+      email: ['Text'],
+      foundingDate: ['Date']
+    }
+  },
+  { type: 'Corporation', extends: 'Organization' },
+  { type: 'NewsMediaOrganization', extends: 'Organization' },
+  {
+    type: 'LocalBusiness',
+    extends: 'Organization',
+    required: ['name', 'address'],
+    recommended: ['telephone', 'openingHoursSpecification', 'geo', 'priceRange', 'image'],
+    properties: {
+      geo: ['GeoCoordinates'],
+      openingHoursSpecification: ['OpeningHoursSpecification'],
+      openingHours: ['Text'],
+      priceRange: ['Text']
+    }
+  },
+  { type: 'Store', extends: 'LocalBusiness' },
+  {
+    type: 'Restaurant',
+    extends: 'LocalBusiness',
+    recommended: ['servesCuisine', 'menu'],
+    properties: {
+      servesCuisine: ['Text'],
+      menu: ['URL', 'Text']
+    }
+  },
+  {
+    type: 'OpeningHoursSpecification',
+    required: ['dayOfWeek', 'opens', 'closes'],
+    properties: {
+      dayOfWeek: ['URL', 'Text'],
+      opens: ['Text'],
+      closes: ['Text']
+    }
+  },
+  {
+    type: 'Person',
+    required: ['name'],
+    recommended: ['url'],
+    properties: {
+      jobTitle: ['Text'],
+      worksFor: ['Organization'],
+      birthDate: ['Date']
+    }
+  },
+  {
+    type: 'Place',
+    recommended: ['name', 'address'],
+    properties: {
+      address: ['PostalAddress', 'Text'],
+      geo: ['GeoCoordinates']
+    }
+  },
+  {
+    type: 'VirtualLocation',
+    required: ['url']
+  },
+  {
+    type: 'Event',
+    required: ['name', 'startDate', 'location'],
+    recommended: ['endDate', 'description', 'image', 'offers', 'organizer', 'performer', 'eventStatus', 'eventAttendanceMode'],
+    properties: {
+      startDate: ['Date'],
+      endDate: ['Date'],
+      location: ['Place', 'VirtualLocation', 'PostalAddress', 'Text'],
+      offers: ['Offer', 'AggregateOffer'],
+      organizer: ['Organization', 'Person'],
+      performer: ['Person', 'Organization'],
+      eventStatus: ['URL', 'Text'],
+      eventAttendanceMode: ['URL', 'Text']
+    }
+  },
+  {
+    type: 'JobPosting',
+    required: ['title', 'description', 'datePosted', 'hiringOrganization', 'jobLocation'],
+    recommended: ['validThrough', 'employmentType', 'baseSalary', 'identifier'],
+    properties: {
+      title: ['Text'],
+      datePosted: ['Date'],
+      validThrough: ['Date'],
+      hiringOrganization: ['Organization'],
+      jobLocation: ['Place'],
+      employmentType: ['Text'],
+      baseSalary: ['MonetaryAmount', 'Number']
+    }
+  }
+];
@@ -0,0 +1,84 @@
+// Root type and the small intangible types many others reference
+module.exports = [
+  {
+    type: 'Thing',
+    extends: null,
+    properties: {
+      name: ['Text'],
+      description: ['Text'],
+      url: ['URL'],
+      image: ['URL', 'ImageObject'],
+      sameAs: ['URL'],
+      identifier: ['Text', 'URL', 'PropertyValue']
+    }
+  },
+  {
+    type: 'PropertyValue',
+    required: ['value'],
+    recommended: ['name'],
+    properties: {
+      value: ['Text', 'Number', 'Boolean']
+    }
+  },
+  {
+    type: 'ListItem',
+    required: ['position'],
+    recommended: ['item', 'name'],
+    properties: {
+      position: ['Integer'],
+      item: ['URL', 'Thing']
+    }
+  },
+  {
+    type: 'ItemList',
+    required: ['itemListElement'],
+    recommended: ['numberOfItems'],
+    properties: {
+      itemListElement: ['ListItem', 'Thing', 'Text'],
+      numberOfItems: ['Integer']
+    }
+  },
+  {
+    type: 'BreadcrumbList',
+    extends: 'ItemList'
+  },
+  {
+    type: 'SearchAction',
+    required: ['target'],
+    recommended: ['query-input'],
+    properties: {
+      target: ['URL', 'EntryPoint', 'Text']
+    }
+  },
+  {
+    type: 'EntryPoint',
+    required: ['urlTemplate'],
+    properties: {
+      urlTemplate: ['Text']
+    }
+  },
+  {
+    type: 'ContactPoint',
+    recommended: ['telephone', 'contactType'],
+    properties: {
+      telephone: ['Text'],
+      email: ['Text']
+    }
+  },
+  {
+    type: 'PostalAddress',
+    extends: 'ContactPoint',
+    recommended: ['streetAddress', 'addressLocality', 'postalCode', 'addressCountry'],
+    properties: {
+      addressCountry: ['Text', 'Country']
+    }
+  },
+  {
+    type: 'GeoCoordinates',
+    required: ['latitude', 'longitude'],
+    properties: {
+      latitude: ['Number', 'Text'],
+      longitude: ['Number', 'Text']
+    }
+  }
+];
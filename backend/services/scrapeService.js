@@ -1,18 +1,46 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
-const querystring = require('querystring');
+const { ChromiumFetcher, DirectFetcher, ScrapeDoFetcher } = require('./fetchers');
 
 class ScrapeService {
   constructor() {
-    this.apiKey = process.env.SCRAPE_DO_API_KEY || 'ef8324bc40db40949fd2819c8338c2ea0d9573d2940';
-    this.baseUrl = 'https://api.scrape.do/';
-    this.client = axios.create({
-      baseURL: this.baseUrl,
-      timeout: 30000,
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
+    this.fetchers = new Map();
+    this.registerFetcher(new ScrapeDoFetcher());
+    this.registerFetcher(new DirectFetcher());
+    this.registerFetcher(new ChromiumFetcher());
+    this.defaultFetcher = process.env.DEFAULT_FETCHER || 'scrapedo';
+  }
+
+  /**
+   * Register a fetcher backend
+   * @param {Object} fetcher - Object with a `name` and an async `fetch(url, options)` method
+   */
+  registerFetcher(fetcher) {
+    if (!fetcher || !fetcher.name || typeof fetcher.fetch !== 'function') {
+      throw new Error('Fetcher must have a name and a fetch method');
+    }
+    this.fetchers.set(fetcher.name, fetcher);
+  }
+
+  /**
+   * Resolve a fetcher by name, falling back to the configured default
+   * @param {string} [name] - Fetcher name
+   * @returns {Object} Fetcher instance
+   */
+  getFetcher(name) {
+    const fetcherName = name || this.defaultFetcher;
+    const fetcher = this.fetchers.get(fetcherName);
+    if (!fetcher) {
+      throw new Error(`Unknown fetcher: ${fetcherName}`);
+    }
+    return fetcher;
+  }
+
+  /**
+   * List registered fetcher names
+   * @returns {string[]} Fetcher names
+   */
+  getFetcherNames() {
+    return Array.from(this.fetchers.keys());
   }
 
   /**
@@ -22,44 +50,29 @@ class ScrapeService {
    * @returns {Promise<Object>} Scraped content and metadata
    */
   async scrapeUrl(url, options = {}) {
+    const fetcher = this.getFetcher(options.fetcher);
     const maxRetries = options.maxRetries || 3;
     const retryDelay = options.retryDelay || 2000;
     let lastError = null;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        const encodedUrl = encodeURIComponent(url);
-        const fullUrl = `${this.baseUrl}?token=${this.apiKey}&url=${encodedUrl}`;
-        const response = await this.client.get(fullUrl);
-
-        if (response.data) {
-          logger.info('Successfully scraped URL', {
-            url,
-            attempt,
-            statusCode: response.status
-          });
-
-          return {
-            html: response.data,
-            metadata: {
-              statusCode: response.status,
-              headers: response.headers,
-              timing: response.data.timing || {},
-              url: url
-            }
-          };
-        }
+        const result = await fetcher.fetch(url, options);
 
-        logger.error('Invalid response format from scraping service', {
+        logger.info('Successfully scraped URL', {
           url,
-          responseData: response.data
+          attempt,
+          fetcher: fetcher.name,
+          statusCode: result.metadata.statusCode
         });
-        throw new Error('Invalid response format from scraping service');
+
+        return result;
 
       } catch (error) {
         lastError = error;
         logger.warn(`Scraping attempt ${attempt} failed:`, {
           url,
+          fetcher: fetcher.name,
           error: error.message,
           status: error.response?.status
         });
@@ -77,6 +90,7 @@ class ScrapeService {
     // If all retries failed, throw the last error
     logger.error('All scraping attempts failed', {
       url,
+      fetcher: fetcher.name,
       maxRetries,
       lastError: lastError.message
     });
@@ -84,12 +98,30 @@ class ScrapeService {
     throw new Error(`Failed to scrape URL after ${maxRetries} attempts: ${lastError.message}`);
   }
 
+  /**
+   * Fetch the JavaScript-rendered DOM of a URL
+   * Uses local headless Chromium when installed, otherwise scrape.do rendering.
+   * @param {string} url - URL to render
+   * @param {Object} options - Scraping options
+   * @returns {Promise<Object>} Rendered content and metadata
+   */
+  async renderUrl(url, options = {}) {
+    const chromium = this.fetchers.get('chromium');
+    if (chromium && chromium.isAvailable()) {
+      return this.scrapeUrl(url, { ...options, fetcher: 'chromium', maxRetries: 1 });
+    }
+    return this.scrapeUrl(url, { ...options, fetcher: 'scrapedo', renderJs: true });
+  }
+
   /**
    * Check if error is retryable
    * @param {Error} error - The error to check
    * @returns {boolean} Whether to retry
    */
   shouldRetry(error) {
+    // Refused addresses stay refused and cancelled requests stay cancelled
+    if (error.code === 'ERR_BLOCKED_ADDRESS' || error.code === 'ERR_CANCELED') return false;
+
     // Retry on network errors
     if (!error.response) return true;
 
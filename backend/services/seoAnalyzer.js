@@ -1,39 +1,176 @@
 const cheerio = require('cheerio');
 const validator = require('validator');
 const logger = require('../utils/logger');
+const robotsService = require('./robotsService');
+const sitemapService = require('./sitemapService');
+const linkCheckerService = require('./linkCheckerService');
+const imageService = require('./imageService');
+const hreflangService = require('./hreflangService');
+const canonicalService = require('./canonicalService');
+const indexabilityService = require('./indexabilityService');
+const structuredDataService = require('./structuredDataService');
+const richResultService = require('./richResultService');
+const { parseLinkHeader } = require('../utils/linkHeader');
+const ruleRegistry = require('./ruleRegistry');
+const profileService = require('./profileService');
+
+// Images at these document positions are treated as above the fold
+const ABOVE_FOLD_IMAGE_COUNT = 2;
+// Open Graph properties every shareable page needs, and the valid twitter:card types
+const REQUIRED_OPEN_GRAPH = ['og:title', 'og:type', 'og:image', 'og:url'];
+const TWITTER_CARD_TYPES = ['summary', 'summary_large_image', 'app', 'player'];
+// Social properties that take a single value; others (og:image, article:tag) may repeat
+const SINGLE_VALUE_SOCIAL = ['og:title', 'og:type', 'og:url', 'og:description', 'twitter:card', 'twitter:title', 'twitter:description'];
+const SOCIAL_IMAGE_PROPERTIES = ['og:image', 'og:image:url', 'og:image:secure_url', 'twitter:image'];
+const OVERSIZED_IMAGE_BYTES = 200 * 1024;
+const LEGACY_FORMAT_MIN_BYTES = 10 * 1024;
+// Scoring model: every score category starts at 100 and loses the penalty of each failed rule's
+// severity. A rule counts once per category however many elements it fails on (e.g. one finding
+// per image), and subscores stop at 0. The overall score is the weighted average of the subscores.
+const SEVERITY_PENALTIES = { critical: 50, high: 25, medium: 15, low: 8, info: 0 };
+// Weights add up to 100; `rules` lists the rule categories scored in each category
+const SCORE_CATEGORIES = {
+  metadata: { weight: 20, rules: ['metadata', 'social'] },
+  content: { weight: 15, rules: ['content', 'headings'] },
+  technical: { weight: 20, rules: ['technical', 'indexability', 'canonical', 'links', 'redirects', 'crawlability', 'rendering', 'international'] },
+  performance: { weight: 10, rules: ['performance', 'images'] },
+  mobile: { weight: 10, rules: ['mobile'] },
+  security: { weight: 10, rules: ['security'] },
+  accessibility: { weight: 10, rules: ['accessibility'] },
+  structuredData: { weight: 5, rules: ['structuredData', 'richResults'] }
+};
+// Recommendation labels by rule category, and priority by severity
+const RECOMMENDATION_CATEGORIES = {
+  metadata: 'Metadata',
+  social: 'Social Sharing',
+  canonical: 'Canonical',
+  headings: 'Content Structure',
+  links: 'Links',
+  images: 'Images',
+  performance: 'Performance',
+  security: 'Security',
+  technical: 'Technical SEO',
+  accessibility: 'Accessibility',
+  structuredData: 'Structured Data',
+  richResults: 'Rich Results',
+  mobile: 'Mobile',
+  content: 'Content Quality',
+  redirects: 'Redirects',
+  rendering: 'JavaScript Rendering',
+  crawlability: 'Crawlability',
+  indexability: 'Indexability',
+  international: 'International'
+};
+// Indexability verdicts from most to least severe
+const INDEXABILITY_VERDICTS = ['non-200', 'blocked', 'noindex', 'canonicalized'];
+const SEVERITY_PRIORITIES = { critical: 'High', high: 'High', medium: 'Medium', low: 'Low', info: 'Low' };
+// Rules scored outside the category their rule category maps to
+const RULE_SCORE_CATEGORIES = {
+  'images.missing_alt': 'accessibility'
+};
 
 class SEOAnalyzer {
   /**
    * Analyze HTML content for SEO factors
    * @param {string} html - Raw HTML content
    * @param {string} url - URL of the page
-   * @param {Object} options - Analysis options
+   * @param {Object} options - Analysis options; `options.profile` selects the audit profile (name or inline definition)
+   *   and `options.signal` (AbortSignal) stops the analysis between sections
+   * @param {Object} fetchMetadata - Response metadata returned by scrapeService
+   * @param {Function} [onProgress] - Called with `{ type: 'analysis', status: 'started', steps }` first, then with
+   *   `{ type: 'section', section, issues }` as each section completes
    * @returns {Object} Comprehensive SEO analysis results
    */
-  async analyze(html, url, options = {}) {
+  async analyze(html, url, options = {}, fetchMetadata = {}, onProgress = null) {
     try {
       const $ = cheerio.load(html);
+      const profile = profileService.resolve(options.profile);
+      const { thresholds } = profile;
+      // Requests made after the sections stop with the job that started them
+      const fetchOptions = { timeout: options.timeout, signal: options.signal };
       const results = {
         url,
         timestamp: new Date().toISOString(),
-        metadata: this.analyzeMetadata($),
-        headings: this.analyzeHeadings($),
-        links: this.analyzeLinks($, url),
-        images: this.analyzeImages($),
-        performance: this.analyzePerformance($),
-        security: await this.analyzeSecurity(url),
-        technical: this.analyzeTechnicalSEO($),
-        accessibility: this.analyzeAccessibility($),
-        structuredData: this.analyzeStructuredData($),
-        mobile: this.analyzeMobileFriendliness($),
-        contentQuality: this.analyzeContentQuality($),
+        profile: profile.name,
         recommendations: []
       };
 
+      const sections = [
+        ['metadata', () => this.analyzeMetadata($, thresholds)],
+        ['social', () => this.analyzeSocial($, url)],
+        ['canonical', () => this.analyzeCanonical($, url, fetchMetadata)],
+        ['headings', () => this.analyzeHeadings($)],
+        ['links', () => this.analyzeLinks($, fetchMetadata.finalUrl || url)],
+        ['images', () => this.analyzeImages($, url)],
+        ['performance', () => this.analyzePerformance($, thresholds)],
+        ['security', () => this.analyzeSecurity(fetchMetadata.finalUrl || url, fetchMetadata.headers || {})],
+        ['technical', () => this.analyzeTechnicalSEO($)],
+        ['international', () => this.analyzeInternational($, url, fetchMetadata.headers || {})],
+        ['accessibility', () => this.analyzeAccessibility($)],
+        ['structuredData', () => this.analyzeStructuredData($, url)],
+        ['richResults', () => this.analyzeRichResults($, results.structuredData)],
+        ['mobile', () => this.analyzeMobileFriendliness($)],
+        ['contentQuality', () => this.analyzeContentQuality($, thresholds)],
+        ['redirects', () => this.analyzeRedirects(fetchMetadata.redirects || [], url)]
+      ];
+
+      // Checks that make further requests, in order: [step, section, enabled by options, applies to the page, run]
+      const checks = [
+        // Requests every image URL the page lists, so it only runs when asked for
+        ['imageInspection', 'images', options.includeImages === true, () => true,
+          () => this.inspectImages(results.images, fetchOptions)],
+        // Self-canonical pages were checked against their own response
+        ['canonicalTarget', 'canonical', options.includeCanonical !== false,
+          () => results.canonical.target && !results.canonical.selfCanonical,
+          () => this.verifyCanonical(results.canonical, fetchOptions)],
+        ['linkVerification', 'links', Boolean(options.checkLinks), () => true,
+          () => this.verifyLinks(results.links, fetchOptions)],
+        ['hreflangVerification', 'international', Boolean(options.checkHreflang),
+          () => results.international.annotations.length > 0,
+          () => this.verifyHreflang(results.international, url, fetchOptions)],
+        ['robots', 'robots', options.includeRobots !== false, () => true,
+          async () => { results.robots = await robotsService.analyze(url, fetchOptions); }],
+        // Downloads up to ten sitemap files, so it only runs when asked for
+        ['sitemap', 'sitemap', options.includeSitemap === true, () => true,
+          async () => {
+            results.sitemap = await sitemapService.analyze(url, {
+              robotsSitemaps: results.robots ? results.robots.sitemaps : undefined,
+              canonical: results.metadata.canonical,
+              ...fetchOptions
+            });
+          }]
+      ].filter(([, , enabled]) => enabled);
+
+      // Upper bound of section events (checks that do not apply to the page are skipped), plus indexability
+      if (onProgress) {
+        onProgress({ type: 'analysis', status: 'started', steps: sections.length + checks.length + 1 });
+      }
+
+      for (const [section, run] of sections) {
+        this.checkAborted(options.signal);
+        results[section] = profileService.apply(await run(), profile);
+        this.reportSection(onProgress, section, results);
+      }
+
+      for (const [step, section, , applies, run] of checks) {
+        if (!applies()) continue;
+        this.checkAborted(options.signal);
+        await run();
+        profileService.apply(results[section], profile);
+        this.reportSection(onProgress, step, results, section);
+      }
+
+      // Combines earlier sections, so it runs once robots.txt and the canonical target are known
+      results.indexability = profileService.apply(this.analyzeIndexability($, url, results, fetchMetadata), profile);
+      this.reportSection(onProgress, 'indexability', results);
+
+      results.findings = this.collectFindings(results);
+
       // Generate recommendations based on analysis
       results.recommendations = this.generateRecommendations(results);
       
-      // Calculate overall SEO score
+      // Calculate category subscores and the overall SEO score
+      results.subscores = this.calculateSubscores(results);
       results.score = this.calculateOverallScore(results);
 
       return results;
@@ -46,7 +183,7 @@ class SEOAnalyzer {
   /**
    * Analyze metadata (title, description, keywords)
    */
-  analyzeMetadata($) {
+  analyzeMetadata($, thresholds = profileService.resolve().thresholds) {
     const titles = $('title');
     const title = titles.first().text();
     const metaDescription = $('meta[name="description"]').attr('content');
@@ -58,12 +195,14 @@ class SEOAnalyzer {
       title: {
         content: title,
         length: title ? title.length : 0,
-        issues: []
+        issues: [],
+        findings: []
       },
       description: {
         content: metaDescription,
         length: metaDescription ? metaDescription.length : 0,
-        issues: []
+        issues: [],
+        findings: []
       },
       keywords: metaKeywords ? metaKeywords.split(',').map(k => k.trim()) : [],
       canonical: canonical || null,
@@ -71,30 +210,321 @@ class SEOAnalyzer {
     };
 
     // Title analysis
-    if (titles.length === 0) {
-      results.title.issues.push('Missing title tag');
-    } else if (titles.length > 1) {
-      results.title.issues.push('Multiple title tags found; only the first will be used');
+    if (titles.length > 1) {
+      ruleRegistry.addFinding(results.title, 'meta.title.multiple', { count: titles.length });
     }
 
     if (!title) {
-      results.title.issues.push('Missing title tag');
+      ruleRegistry.addFinding(results.title, 'meta.title.missing', { empty: titles.length > 0 });
     } else {
-      if (title.length < 30) results.title.issues.push('Title too short (< 30 characters)');
-      if (title.length > 60) results.title.issues.push('Title too long (> 60 characters)');
+      const { min, max } = thresholds.title;
+      if (title.length < min) ruleRegistry.addFinding(results.title, 'meta.title.too_short', { length: title.length, min, max });
+      if (title.length > max) ruleRegistry.addFinding(results.title, 'meta.title.too_long', { length: title.length, min, max });
     }
 
     // Description analysis
     if (!metaDescription) {
-      results.description.issues.push('Missing meta description');
+      ruleRegistry.addFinding(results.description, 'meta.description.missing');
     } else {
-      if (metaDescription.length < 120) results.description.issues.push('Description too short (< 120 characters)');
-      if (metaDescription.length > 160) results.description.issues.push('Description too long (> 160 characters)');
+      const { min, max } = thresholds.description;
+      if (metaDescription.length < min) {
+        ruleRegistry.addFinding(results.description, 'meta.description.too_short', { length: metaDescription.length, min, max });
+      }
+      if (metaDescription.length > max) {
+        ruleRegistry.addFinding(results.description, 'meta.description.too_long', { length: metaDescription.length, min, max });
+      }
     }
 
     return results;
   }
 
+  /**
+   * Analyze social sharing metadata (Open Graph, Twitter Card and article tags)
+   */
+  analyzeSocial($, baseUrl) {
+    const tags = [];
+    $('meta[property], meta[name]').each((_, elem) => {
+      const property = ($(elem).attr('property') || $(elem).attr('name') || '').trim().toLowerCase();
+      // Prefix-only properties ("og:") name nothing
+      if (/^(og|twitter|article):./.test(property)) {
+        tags.push({ property, content: ($(elem).attr('content') || '').trim() });
+      }
+    });
+
+    // First value of each property, keyed without its prefix
+    const collect = prefix => tags
+      .filter(tag => tag.property.startsWith(prefix))
+      .reduce((values, tag) => {
+        const key = tag.property.slice(prefix.length);
+        if (values[key] === undefined) values[key] = tag.content;
+        return values;
+      }, {});
+
+    const social = {
+      openGraph: collect('og:'),
+      twitter: collect('twitter:'),
+      article: collect('article:'),
+      tags,
+      preview: null,
+      issues: [],
+      findings: []
+    };
+    const { openGraph, twitter } = social;
+
+    REQUIRED_OPEN_GRAPH
+      .filter(property => !openGraph[property.slice(3)])
+      .forEach(property => ruleRegistry.addFinding(social, 'social.og.missing_property', { property }));
+
+    SINGLE_VALUE_SOCIAL.forEach(property => {
+      const values = tags.filter(tag => tag.property === property).map(tag => tag.content);
+      if (new Set(values).size > 1) {
+        ruleRegistry.addFinding(social, 'social.og.conflicting_values', { property, count: values.length, values });
+      }
+    });
+
+    tags
+      .filter(tag => SOCIAL_IMAGE_PROPERTIES.includes(tag.property) && tag.content && !this.isAbsoluteUrl(tag.content))
+      .forEach(tag => ruleRegistry.addFinding(social, 'social.image.relative_url', { property: tag.property, url: tag.content }));
+
+    const title = $('title').first().text().trim();
+    if (openGraph.title && title && openGraph.title !== title) {
+      ruleRegistry.addFinding(social, 'social.og.title_differs', { ogTitle: openGraph.title, title });
+    }
+
+    const canonical = this.resolveUrl($('link[rel="canonical"]').attr('href'), baseUrl);
+    const ogUrl = this.resolveUrl(openGraph.url, baseUrl);
+    if (!twitter.card) {
+      ruleRegistry.addFinding(social, 'social.twitter.card_missing');
+    } else if (!TWITTER_CARD_TYPES.includes(twitter.card)) {
+      ruleRegistry.addFinding(social, 'social.twitter.card_invalid', { card: twitter.card });
+    }
+
+    // What the share previews show, with the fallbacks platforms apply
+    const description = $('meta[name="description"]').attr('content') || null;
+    const image = this.resolveUrl(openGraph.image || openGraph['image:url'], baseUrl);
+    social.preview = {
+      openGraph: {
+        title: openGraph.title || title || null,
+        description: openGraph.description || description,
+        image,
+        url: ogUrl || canonical || baseUrl,
+        siteName: openGraph.site_name || null
+      },
+      twitter: {
+        card: twitter.card || 'summary',
+        title: twitter.title || openGraph.title || title || null,
+        description: twitter.description || openGraph.description || description,
+        image: this.resolveUrl(twitter.image, baseUrl) || image,
+        site: twitter.site || null
+      }
+    };
+
+    return social;
+  }
+
+  /**
+   * Analyze the canonical URL declared in markup and the Link header, and how it relates to the page
+   */
+  analyzeCanonical($, url, fetchMetadata = {}) {
+    const headers = this.normalizeHeaders(fetchMetadata.headers);
+    const pageUrl = this.resolveUrl(fetchMetadata.finalUrl || url, url);
+    const hrefs = $('link[rel]')
+      .filter((_, elem) => ($(elem).attr('rel') || '').toLowerCase().split(/\s+/).includes('canonical'))
+      .map((_, elem) => ($(elem).attr('href') || '').trim())
+      .get();
+    const headerLink = parseLinkHeader(headers.link).find(link => link.rel.includes('canonical'));
+    const header = headerLink ? this.resolveUrl(headerLink.href, pageUrl) : null;
+    const href = hrefs.length > 0 ? hrefs[0] : (headerLink ? headerLink.href : null);
+    const target = href && this.isAbsoluteUrl(this.resolveUrl(href, pageUrl)) ? this.resolveUrl(href, pageUrl) : null;
+
+    const canonical = {
+      href,
+      hrefs,
+      header,
+      target,
+      selfCanonical: null,
+      relation: null,
+      check: null,
+      issues: [],
+      findings: []
+    };
+
+    if (href === null) return canonical;
+
+    if (!target) {
+      canonical.relation = 'page is canonicalized to an unusable URL';
+      ruleRegistry.addFinding(canonical, 'canonical.malformed', { href: href || '(empty)', relation: canonical.relation });
+      return canonical;
+    }
+
+    // A page fetched through a redirect is self-canonical when it names the URL it was served from
+    canonical.selfCanonical = target === pageUrl;
+    canonical.relation = canonical.selfCanonical ? 'page is self-canonical' : 'page is canonicalized to another URL';
+    const evidence = { canonical: target, relation: canonical.relation };
+
+    if (!this.isAbsoluteUrl(href)) {
+      ruleRegistry.addFinding(canonical, 'canonical.relative', { ...evidence, href });
+    }
+
+    const targets = Array.from(new Set(hrefs.map(value => this.resolveUrl(value, pageUrl))));
+    if (targets.length > 1) {
+      ruleRegistry.addFinding(canonical, 'canonical.multiple', { ...evidence, count: targets.length, targets });
+    }
+
+    if (header && hrefs.length > 0 && header !== target) {
+      ruleRegistry.addFinding(canonical, 'canonical.header_conflict', { ...evidence, header });
+    }
+
+    const ogUrl = $('meta[property="og:url"]').attr('content');
+    if (ogUrl && this.resolveUrl(ogUrl, pageUrl) !== target) {
+      ruleRegistry.addFinding(canonical, 'canonical.og_url_conflict', { ...evidence, ogUrl });
+    }
+
+    if (new URL(target).host !== new URL(pageUrl).host) {
+      ruleRegistry.addFinding(canonical, 'canonical.off_host', evidence);
+    }
+
+    // The page itself is the target, so its own response answers the target checks
+    if (canonical.selfCanonical) {
+      canonical.check = {
+        statusCode: fetchMetadata.statusCode || null,
+        redirects: 0,
+        finalUrl: target,
+        noindex: canonicalService.isNoindex($, headers),
+        error: null
+      };
+      this.checkCanonicalTarget(canonical);
+    }
+
+    return canonical;
+  }
+
+  /**
+   * Fetch the canonical target of a page canonicalized elsewhere and check it can be indexed
+   * @param {Object} canonical - Result of analyzeCanonical, updated in place
+   * @param {Object} options - Check options passed to canonicalService
+   */
+  async verifyCanonical(canonical, options = {}) {
+    canonical.check = await canonicalService.checkTarget(canonical.target, options);
+    this.checkCanonicalTarget(canonical);
+  }
+
+  /**
+   * Decide whether the page can be indexed from its status code, robots.txt, robots directives and canonical
+   * @param {Object} $ - Cheerio root of the page
+   * @param {string} url - URL of the page
+   * @param {Object} results - Analysis results so far (robots and canonical are used when present)
+   * @param {Object} fetchMetadata - Response metadata returned by scrapeService
+   * @returns {Object} Verdict (indexable, noindex, blocked, non-200 or canonicalized), reasons and directives by bot
+   */
+  analyzeIndexability($, url, results, fetchMetadata = {}) {
+    const statusCode = fetchMetadata.statusCode || null;
+    const bots = indexabilityService.collectDirectives($, this.normalizeHeaders(fetchMetadata.headers));
+    const indexability = {
+      verdict: 'indexable',
+      indexable: true,
+      reasons: [],
+      statusCode,
+      bots,
+      nosnippet: indexabilityService.findNosnippet($),
+      issues: [],
+      findings: []
+    };
+    const verdicts = {};
+    const addReason = (verdict, reason) => {
+      if (!verdicts[verdict]) verdicts[verdict] = [];
+      verdicts[verdict].push(reason);
+    };
+    const botNames = Object.keys(bots);
+
+    if (statusCode && statusCode !== 200) {
+      addReason('non-200', `Page returned HTTP ${statusCode}`);
+      ruleRegistry.addFinding(indexability, 'indexability.non_200', { statusCode, url });
+    }
+
+    // robots.txt is only checked when includeRobots is enabled
+    const blocked = results.robots
+      ? botNames.filter(bot => results.robots.verdicts[bot] && !results.robots.verdicts[bot].allowed)
+      : [];
+    blocked.forEach(bot => addReason('blocked', `robots.txt disallows crawling for ${bot}`));
+
+    const noindex = botNames.filter(bot => bots[bot].noindex);
+    const noindexSources = bot => bots[bot].sources
+      .filter(source => indexabilityService.parseDirectives(source.value).noindex)
+      .map(source => source.source);
+    noindex.forEach(bot => addReason('noindex', `noindex for ${bot} (${noindexSources(bot).join(', ')})`));
+    if (noindex.length > 0) {
+      const sources = Array.from(new Set(noindex.flatMap(noindexSources)));
+      ruleRegistry.addFinding(indexability, 'indexability.noindex', {
+        bots: noindex.join(' and '),
+        sources,
+        sourceList: sources.join(', ')
+      });
+      const hidden = noindex.filter(bot => blocked.includes(bot));
+      if (hidden.length > 0) {
+        ruleRegistry.addFinding(indexability, 'indexability.blocked_noindex', { bots: hidden, botList: hidden.join(' and ') });
+      }
+    }
+
+    const expiring = botNames.filter(bot => bots[bot].unavailableAfter);
+    const invalidDates = expiring.filter(bot => !indexabilityService.parseDate(bots[bot].unavailableAfter));
+    const expired = expiring.filter(bot => {
+      const date = indexabilityService.parseDate(bots[bot].unavailableAfter);
+      return date && date.getTime() <= Date.now();
+    });
+    expired.forEach(bot => addReason('noindex', `unavailable_after ${bots[bot].unavailableAfter} has passed for ${bot}`));
+    if (expired.length > 0) {
+      ruleRegistry.addFinding(indexability, 'indexability.unavailable_after_passed', {
+        date: bots[expired[0]].unavailableAfter,
+        bots: expired,
+        botList: expired.join(' and ')
+      });
+    }
+    if (invalidDates.length > 0) {
+      ruleRegistry.addFinding(indexability, 'indexability.unavailable_after_invalid', {
+        value: bots[invalidDates[0]].unavailableAfter,
+        bots: invalidDates
+      });
+    }
+
+    if (results.canonical && results.canonical.target && !results.canonical.selfCanonical) {
+      addReason('canonicalized', `Canonical URL points to ${results.canonical.target}`);
+    }
+
+    const suppressed = botNames.filter(bot => bots[bot].nosnippet || bots[bot].maxSnippet === 0);
+    if (suppressed.length > 0 && noindex.length < botNames.length) {
+      ruleRegistry.addFinding(indexability, 'indexability.snippet_suppressed', {
+        bots: suppressed,
+        botList: suppressed.join(' and '),
+        directive: bots[suppressed[0]].nosnippet ? 'nosnippet' : 'max-snippet:0'
+      });
+    }
+
+    const unknown = Array.from(new Set(botNames.flatMap(bot => bots[bot].unknown)));
+    if (unknown.length > 0) {
+      ruleRegistry.addFinding(indexability, 'indexability.unknown_directive', { directives: unknown, directiveList: unknown.join(', ') });
+    }
+
+    if (indexability.nosnippet.unsupported.length > 0) {
+      ruleRegistry.addFinding(indexability, 'indexability.data_nosnippet_unsupported', {
+        tags: indexability.nosnippet.unsupported,
+        tagList: indexability.nosnippet.unsupported.join('>, <')
+      });
+    }
+
+    // The most severe verdict wins; every reason is kept
+    const verdict = INDEXABILITY_VERDICTS.find(name => verdicts[name]);
+    if (verdict) {
+      indexability.verdict = verdict;
+      indexability.indexable = false;
+      indexability.reasons = INDEXABILITY_VERDICTS.flatMap(name => verdicts[name] || []);
+    } else {
+      indexability.reasons = ['Page returns 200 and is not blocked, noindexed or canonicalized to another URL'];
+    }
+
+    return indexability;
+  }
+
   /**
    * Analyze heading structure
    */
@@ -106,7 +536,8 @@ class SEOAnalyzer {
       h4: [],
       h5: [],
       h6: [],
-      issues: []
+      issues: [],
+      findings: []
     };
 
     // Collect all headings
@@ -121,10 +552,13 @@ class SEOAnalyzer {
 
     // Check for heading structure issues
     if (headings.h1.length === 0) {
-      headings.issues.push('Missing H1 heading');
+      ruleRegistry.addFinding(headings, 'headings.h1.missing');
     }
     if (headings.h1.length > 1) {
-      headings.issues.push('Multiple H1 headings found');
+      ruleRegistry.addFinding(headings, 'headings.h1.multiple', {
+        count: headings.h1.length,
+        headings: headings.h1.map(heading => heading.text)
+      });
     }
 
     // Check heading hierarchy
@@ -132,7 +566,11 @@ class SEOAnalyzer {
     $('h1, h2, h3, h4, h5, h6').each((_, elem) => {
       const currentLevel = parseInt(elem.tagName.toLowerCase().replace('h', ''));
       if (currentLevel - previousLevel > 1) {
-        headings.issues.push(`Skipped heading level: from H${previousLevel} to H${currentLevel}`);
+        ruleRegistry.addFinding(headings, 'headings.level_skipped', {
+          from: previousLevel,
+          to: currentLevel,
+          text: $(elem).text().trim()
+        });
       }
       previousLevel = currentLevel;
     });
@@ -155,7 +593,8 @@ class SEOAnalyzer {
         ugc: 0
       },
       total: 0,
-      issues: []
+      issues: [],
+      findings: []
     };
 
     const baseHostname = new URL(baseUrl).hostname;
@@ -166,7 +605,7 @@ class SEOAnalyzer {
       const rel = $(elem).attr('rel') || '';
 
       if (!href) {
-        links.broken.push({ text, reason: 'Missing href attribute' });
+        links.broken.push({ text, reason: 'Missing href attribute', location: this.getElementLocation($, elem) });
         return;
       }
 
@@ -175,7 +614,8 @@ class SEOAnalyzer {
         const linkInfo = {
           url: url.href,
           text,
-          rel
+          rel,
+          location: this.getElementLocation($, elem)
         };
 
         // Check link attributes
@@ -194,7 +634,7 @@ class SEOAnalyzer {
         }
 
       } catch (error) {
-        links.broken.push({ text, href, reason: 'Invalid URL format' });
+        links.broken.push({ text, href, reason: 'Invalid URL format', location: this.getElementLocation($, elem) });
       }
     });
 
@@ -202,32 +642,89 @@ class SEOAnalyzer {
 
     // Check for issues
     if (links.broken.length > 0) {
-      links.issues.push(`Found ${links.broken.length} broken links`);
+      ruleRegistry.addFinding(links, 'links.broken', this.brokenLinkEvidence(links.broken));
     }
     if (links.external.length > 0 && links.attributes.nofollow === 0) {
-      links.issues.push('External links without nofollow attributes');
+      ruleRegistry.addFinding(links, 'links.external_without_nofollow', {
+        count: links.external.length,
+        links: links.external.map(link => link.url)
+      });
     }
 
     return links;
   }
 
   /**
-   * Analyze images (alt text, size, optimization)
+   * Verify link targets over HTTP and record broken ones
    */
-  analyzeImages($) {
+  async verifyLinks(links, options = {}) {
+    const checkable = [...links.internal, ...links.external]
+      .filter(link => /^https?:$/.test(new URL(link.url).protocol));
+
+    const checks = await linkCheckerService.checkUrls(checkable.map(link => link.url), options);
+
+    const previouslyBroken = links.broken.length;
+    checkable.forEach(link => {
+      const check = checks.get(link.url);
+      if (!check) return;
+      link.status = check;
+      if (check.broken) {
+        links.broken.push({
+          text: link.text,
+          href: link.url,
+          location: link.location,
+          statusCode: check.statusCode,
+          reason: check.statusCode ? `HTTP ${check.statusCode}` : check.error
+        });
+      }
+    });
+
+    links.verified = {
+      checked: checks.size,
+      broken: links.broken.length - previouslyBroken
+    };
+
+    // Replace the markup-only broken link finding with one covering verified links too
+    links.findings = links.findings.filter(finding => finding.id !== 'links.broken');
+    links.issues = links.findings.map(finding => finding.message);
+    if (links.broken.length > 0) {
+      const finding = ruleRegistry.createFinding('links.broken', this.brokenLinkEvidence(links.broken));
+      links.findings.unshift(finding);
+      links.issues.unshift(finding.message);
+    }
+
+    return links;
+  }
+
+  /**
+   * Analyze images (alt text, dimensions, responsive markup, loading hints)
+   */
+  analyzeImages($, baseUrl) {
     const images = {
       total: 0,
       withAlt: 0,
       withoutAlt: [],
       large: [],
-      issues: []
+      details: [],
+      issues: [],
+      findings: []
     };
 
-    $('img').each((_, elem) => {
+    const missingSrcset = [];
+    const missingSizes = [];
+    const aboveFoldWithoutPriority = [];
+    const offscreenWithoutLazy = [];
+
+    $('img').each((index, elem) => {
       const src = $(elem).attr('src');
       const alt = $(elem).attr('alt');
       const width = $(elem).attr('width');
       const height = $(elem).attr('height');
+      const srcset = $(elem).attr('srcset') || $(elem).closest('picture').find('source[srcset]').attr('srcset');
+      const sizes = $(elem).attr('sizes') || $(elem).closest('picture').find('source[sizes]').attr('sizes');
+      const loading = ($(elem).attr('loading') || '').toLowerCase() || null;
+      const fetchpriority = ($(elem).attr('fetchpriority') || '').toLowerCase() || null;
+      const aboveFold = index < ABOVE_FOLD_IMAGE_COUNT;
 
       images.total++;
 
@@ -242,12 +739,140 @@ class SEOAnalyzer {
 
       // Check for missing dimensions
       if (!width || !height) {
-        images.issues.push(`Image missing dimensions: ${src}`);
+        ruleRegistry.addFinding(images, 'images.missing_dimensions', { src });
+      }
+
+      let absoluteUrl = null;
+      try {
+        absoluteUrl = src ? new URL(src, baseUrl).href : null;
+      } catch (error) {
+        absoluteUrl = null;
+      }
+
+      const detail = {
+        src,
+        url: absoluteUrl,
+        displayWidth: width ? parseInt(width, 10) || null : null,
+        displayHeight: height ? parseInt(height, 10) || null : null,
+        srcset: srcset || null,
+        sizes: sizes || null,
+        loading,
+        fetchpriority,
+        aboveFold,
+        issues: []
+      };
+
+      const isVector = /\.svg(\?|#|$)/i.test(src || '') || /^data:image\/svg/i.test(src || '');
+      if (!srcset && !isVector) {
+        detail.issues.push('Missing srcset');
+        missingSrcset.push(src);
+      } else if (srcset && /\d+w(\s*,|\s*$)/.test(srcset) && !sizes) {
+        detail.issues.push('srcset uses width descriptors without sizes');
+        missingSizes.push(src);
+      }
+
+      if (aboveFold && fetchpriority !== 'high') {
+        detail.issues.push('Above-the-fold image without fetchpriority="high"');
+        aboveFoldWithoutPriority.push(src);
+      }
+      if (aboveFold && loading === 'lazy') {
+        detail.issues.push('Above-the-fold image is lazy-loaded');
+      }
+      if (!aboveFold && loading !== 'lazy') {
+        detail.issues.push('Offscreen image without loading="lazy"');
+        offscreenWithoutLazy.push(src);
       }
+
+      images.details.push(detail);
     });
 
     if (images.withoutAlt.length > 0) {
-      images.issues.push(`${images.withoutAlt.length} images missing alt text`);
+      ruleRegistry.addFinding(images, 'images.missing_alt', {
+        count: images.withoutAlt.length,
+        images: images.withoutAlt.map(image => image.src)
+      });
+    }
+    if (missingSrcset.length > 0) {
+      ruleRegistry.addFinding(images, 'images.missing_srcset', { count: missingSrcset.length, images: missingSrcset });
+    }
+    if (missingSizes.length > 0) {
+      ruleRegistry.addFinding(images, 'images.srcset_without_sizes', { count: missingSizes.length, images: missingSizes });
+    }
+    if (aboveFoldWithoutPriority.length > 0) {
+      ruleRegistry.addFinding(images, 'images.above_fold_without_priority', {
+        count: aboveFoldWithoutPriority.length,
+        images: aboveFoldWithoutPriority
+      });
+    }
+    images.details
+      .filter(detail => detail.aboveFold && detail.loading === 'lazy')
+      .forEach(detail => ruleRegistry.addFinding(images, 'images.above_fold_lazy', { src: detail.src }));
+    if (offscreenWithoutLazy.length > 0) {
+      ruleRegistry.addFinding(images, 'images.offscreen_not_lazy', {
+        count: offscreenWithoutLazy.length,
+        images: offscreenWithoutLazy
+      });
+    }
+
+    return images;
+  }
+
+  /**
+   * Fetch image bytes to record file size, type and intrinsic dimensions
+   */
+  async inspectImages(images, options = {}) {
+    const remote = images.details.filter(detail => detail.url && /^https?:/.test(detail.url));
+    const inspections = await imageService.inspectAll(remote.map(detail => detail.url), options);
+
+    const oversized = [];
+    const legacy = [];
+
+    remote.forEach(detail => {
+      const inspection = inspections.get(detail.url);
+      if (!inspection) return;
+
+      detail.fileSize = inspection.size;
+      detail.contentType = inspection.contentType;
+      detail.format = inspection.format;
+      detail.intrinsicWidth = inspection.width;
+      detail.intrinsicHeight = inspection.height;
+      detail.error = inspection.error;
+
+      if (inspection.size && inspection.size > OVERSIZED_IMAGE_BYTES) {
+        detail.issues.push(`File size ${Math.round(inspection.size / 1024)} KB exceeds ${OVERSIZED_IMAGE_BYTES / 1024} KB`);
+        oversized.push(detail);
+      } else if (inspection.width && detail.displayWidth && inspection.width > detail.displayWidth * 2) {
+        detail.issues.push(`Intrinsic width ${inspection.width}px is more than twice the displayed ${detail.displayWidth}px`);
+        oversized.push(detail);
+      }
+
+      if (['jpeg', 'png', 'gif'].includes(inspection.format) &&
+          (!inspection.size || inspection.size > LEGACY_FORMAT_MIN_BYTES)) {
+        detail.issues.push(`Served as ${inspection.format.toUpperCase()}; WebP or AVIF would be smaller`);
+        legacy.push(detail);
+      }
+    });
+
+    images.large = oversized.map(detail => ({
+      src: detail.src,
+      fileSize: detail.fileSize,
+      width: detail.intrinsicWidth,
+      height: detail.intrinsicHeight,
+      displayWidth: detail.displayWidth
+    }));
+    images.inspected = inspections.size;
+
+    if (oversized.length > 0) {
+      ruleRegistry.addFinding(images, 'images.oversized', {
+        count: oversized.length,
+        images: oversized.map(detail => detail.src)
+      });
+    }
+    if (legacy.length > 0) {
+      ruleRegistry.addFinding(images, 'images.legacy_format', {
+        count: legacy.length,
+        images: legacy.map(detail => detail.src)
+      });
     }
 
     return images;
@@ -256,7 +881,7 @@ class SEOAnalyzer {
   /**
    * Analyze performance indicators
    */
-  analyzePerformance($) {
+  analyzePerformance($, thresholds = profileService.resolve().thresholds) {
     const performance = {
       resourceHints: {
         preload: [],
@@ -267,7 +892,8 @@ class SEOAnalyzer {
       asyncScripts: 0,
       totalScripts: 0,
       totalStyles: 0,
-      issues: []
+      issues: [],
+      findings: []
     };
 
     // Analyze resource hints
@@ -295,33 +921,194 @@ class SEOAnalyzer {
 
     // Check for performance issues
     if (performance.totalScripts > 0 && performance.deferredScripts === 0 && performance.asyncScripts === 0) {
-      performance.issues.push('No deferred or async scripts found');
+      ruleRegistry.addFinding(performance, 'performance.no_async_scripts', {
+        scripts: performance.totalScripts,
+        sources: $('script[src]').map((_, elem) => $(elem).attr('src')).get()
+      });
     }
 
-    if (performance.totalStyles > 5) {
-      performance.issues.push('High number of stylesheet files');
+    if (performance.totalStyles > thresholds.stylesheets.max) {
+      ruleRegistry.addFinding(performance, 'performance.too_many_stylesheets', {
+        count: performance.totalStyles,
+        max: thresholds.stylesheets.max,
+        stylesheets: $('link[rel="stylesheet"]').map((_, elem) => $(elem).attr('href')).get()
+      });
     }
 
     return performance;
   }
 
   /**
-   * Analyze security aspects
+   * Analyze security aspects (HTTPS and HTTP security headers)
+   * `url` is the final URL after redirects, the one that served the headers.
    */
-  async analyzeSecurity(url) {
+  async analyzeSecurity(url, responseHeaders = {}) {
+    const headers = this.normalizeHeaders(responseHeaders);
     const security = {
       https: url.startsWith('https://'),
       headers: {},
-      issues: []
+      issues: [],
+      findings: []
     };
 
     if (!security.https) {
-      security.issues.push('Site not served over HTTPS');
+      ruleRegistry.addFinding(security, 'security.https.missing', { url });
     }
 
+    // Every response has headers; none at all means the fetcher could not read them
+    if (Object.keys(headers).length === 0) {
+      return security;
+    }
+
+    const csp = this.parseCsp(headers['content-security-policy']);
+
+    security.headers = {
+      'strict-transport-security': this.gradeHsts(headers['strict-transport-security'], security.https),
+      'content-security-policy': this.gradeCsp(headers['content-security-policy'], headers['content-security-policy-report-only'], csp),
+      'x-content-type-options': this.gradeContentTypeOptions(headers['x-content-type-options']),
+      'x-frame-options': this.gradeFrameOptions(headers['x-frame-options'], csp),
+      'referrer-policy': this.gradeReferrerPolicy(headers['referrer-policy']),
+      'permissions-policy': this.gradePermissionsPolicy(headers['permissions-policy'], headers['feature-policy'])
+    };
+
+    Object.entries(security.headers).forEach(([header, grade]) => {
+      if (grade.status !== 'pass') {
+        ruleRegistry.addFinding(security, grade.rule, { header, value: grade.value, ...grade.evidence });
+      }
+    });
+
     return security;
   }
 
+  /**
+   * Grade Strict-Transport-Security (max-age, includeSubDomains, preload)
+   */
+  gradeHsts(value, https) {
+    if (!https) {
+      return this.headerGrade(value, 'fail', 'security.hsts.http_only');
+    }
+    if (!value) {
+      return this.headerGrade(value, 'fail', 'security.hsts.missing');
+    }
+
+    const directives = value.toLowerCase().split(';').map(d => d.trim());
+    const maxAgeDirective = directives.find(d => d.startsWith('max-age='));
+    const maxAge = maxAgeDirective ? parseInt(maxAgeDirective.split('=')[1].replace(/"/g, ''), 10) : NaN;
+    const includeSubDomains = directives.includes('includesubdomains');
+    const preload = directives.includes('preload');
+    const details = {
+      maxAge: isNaN(maxAge) ? null : maxAge,
+      includeSubDomains,
+      preload
+    };
+
+    let finding;
+    if (isNaN(maxAge) || maxAge <= 0) {
+      finding = this.headerGrade(value, 'fail', 'security.hsts.invalid_max_age', details);
+    } else if (maxAge < 15768000) {
+      finding = this.headerGrade(value, 'warn', 'security.hsts.short_max_age', details);
+    } else if (!includeSubDomains) {
+      finding = this.headerGrade(value, 'warn', 'security.hsts.no_subdomains', details);
+    } else if (preload && maxAge < 31536000) {
+      finding = this.headerGrade(value, 'warn', 'security.hsts.preload_max_age', details);
+    } else {
+      finding = {
+        value,
+        status: 'pass',
+        message: preload
+          ? 'Strict-Transport-Security is configured and eligible for preload'
+          : 'Strict-Transport-Security is configured (not preloaded)'
+      };
+    }
+
+    return { ...finding, ...details };
+  }
+
+  /**
+   * Grade Content-Security-Policy
+   */
+  gradeCsp(value, reportOnlyValue, csp) {
+    if (!value) {
+      return reportOnlyValue
+        ? this.headerGrade(reportOnlyValue, 'warn', 'security.csp.report_only')
+        : this.headerGrade(value, 'fail', 'security.csp.missing');
+    }
+
+    const scriptSources = csp['script-src'] || csp['default-src'] || [];
+    const unsafe = scriptSources.filter(source => source === "'unsafe-inline'" || source === "'unsafe-eval'");
+
+    if (!csp['script-src'] && !csp['default-src']) {
+      return this.headerGrade(value, 'warn', 'security.csp.no_script_restriction');
+    }
+    if (unsafe.length > 0) {
+      return this.headerGrade(value, 'warn', 'security.csp.unsafe_scripts', { unsafe: unsafe.join(' and ') });
+    }
+    return { value, status: 'pass', message: 'Content-Security-Policy restricts script sources' };
+  }
+
+  /**
+   * Grade X-Content-Type-Options
+   */
+  gradeContentTypeOptions(value) {
+    if (value && value.trim().toLowerCase() === 'nosniff') {
+      return { value, status: 'pass', message: 'X-Content-Type-Options is set to nosniff' };
+    }
+    return this.headerGrade(value, 'fail', value
+      ? 'security.content_type_options.invalid'
+      : 'security.content_type_options.missing');
+  }
+
+  /**
+   * Grade clickjacking protection (X-Frame-Options or CSP frame-ancestors)
+   */
+  gradeFrameOptions(value, csp) {
+    if (csp['frame-ancestors']) {
+      return {
+        value: value || null,
+        status: 'pass',
+        message: 'Framing is restricted by CSP frame-ancestors'
+      };
+    }
+
+    const normalized = value ? value.trim().toUpperCase() : '';
+    if (normalized === 'DENY' || normalized === 'SAMEORIGIN') {
+      return { value, status: 'pass', message: `X-Frame-Options is set to ${normalized}` };
+    }
+    if (normalized.startsWith('ALLOW-FROM')) {
+      return this.headerGrade(value, 'warn', 'security.frame_options.allow_from');
+    }
+    return this.headerGrade(value, 'fail', value ? 'security.frame_options.invalid' : 'security.frame_options.missing');
+  }
+
+  /**
+   * Grade Referrer-Policy
+   */
+  gradeReferrerPolicy(value) {
+    if (!value) {
+      return this.headerGrade(value, 'warn', 'security.referrer_policy.missing');
+    }
+
+    // The last recognized policy in a comma-separated list wins
+    const policy = value.split(',').map(p => p.trim().toLowerCase()).filter(Boolean).pop();
+    if (policy === 'unsafe-url' || policy === 'no-referrer-when-downgrade') {
+      return this.headerGrade(value, 'warn', 'security.referrer_policy.leaky', { policy });
+    }
+    return { value, status: 'pass', message: `Referrer-Policy is set to ${policy}` };
+  }
+
+  /**
+   * Grade Permissions-Policy
+   */
+  gradePermissionsPolicy(value, featurePolicy) {
+    if (value) {
+      return { value, status: 'pass', message: 'Permissions-Policy is set' };
+    }
+    if (featurePolicy) {
+      return this.headerGrade(featurePolicy, 'warn', 'security.permissions_policy.feature_policy');
+    }
+    return this.headerGrade(value, 'warn', 'security.permissions_policy.missing');
+  }
+
   /**
    * Analyze technical SEO aspects
    */
@@ -331,25 +1118,126 @@ class SEOAnalyzer {
       charset: $('meta[charset]').attr('charset'),
       language: $('html').attr('lang'),
       doctype: $.root().find('doctype').length > 0,
-      issues: []
+      issues: [],
+      findings: []
     };
 
     if (!technical.viewport) {
-      technical.issues.push('Missing viewport meta tag');
+      ruleRegistry.addFinding(technical, 'technical.viewport.missing');
     }
     if (!technical.charset) {
-      technical.issues.push('Missing charset declaration');
+      ruleRegistry.addFinding(technical, 'technical.charset.missing');
     }
     if (!technical.language) {
-      technical.issues.push('Missing language declaration');
+      ruleRegistry.addFinding(technical, 'technical.lang.missing');
     }
     if (!technical.doctype) {
-      technical.issues.push('Missing DOCTYPE declaration');
+      ruleRegistry.addFinding(technical, 'technical.doctype.missing');
     }
 
     return technical;
   }
 
+  /**
+   * Analyze hreflang annotations from markup and the Link header, and cross-check <html lang>
+   */
+  analyzeInternational($, url, responseHeaders = {}) {
+    const annotations = hreflangService.extractAnnotations($, this.normalizeHeaders(responseHeaders), url)
+      .map(annotation => ({ ...annotation, ...hreflangService.parseCode(annotation.hreflang) }));
+    const international = {
+      language: $('html').attr('lang') || null,
+      annotations,
+      xDefault: annotations.some(annotation => annotation.xDefault),
+      selfReference: null,
+      returnLinks: null,
+      issues: [],
+      findings: []
+    };
+
+    // Pages without annotations are single-language; nothing else to check
+    if (annotations.length === 0) return international;
+
+    annotations
+      .filter(annotation => !annotation.valid)
+      .forEach(annotation => ruleRegistry.addFinding(international, 'hreflang.invalid_code', {
+        hreflang: annotation.hreflang,
+        reason: annotation.reason
+      }));
+
+    annotations
+      .filter(annotation => annotation.href && !annotation.absolute)
+      .forEach(annotation => ruleRegistry.addFinding(international, 'hreflang.relative_url', {
+        hreflang: annotation.hreflang,
+        href: annotation.href
+      }));
+
+    const urlsByCode = new Map();
+    annotations.forEach(annotation => {
+      const code = annotation.hreflang.toLowerCase();
+      if (!urlsByCode.has(code)) urlsByCode.set(code, new Set());
+      urlsByCode.get(code).add(annotation.url);
+    });
+    urlsByCode.forEach((urls, code) => {
+      if (urls.size > 1) {
+        ruleRegistry.addFinding(international, 'hreflang.duplicate_code', { hreflang: code, count: urls.size, urls: Array.from(urls) });
+      }
+    });
+
+    // The page may list itself under its canonical URL
+    const pageUrls = [this.resolveUrl(url, url), this.resolveUrl($('link[rel="canonical"]').attr('href'), url)];
+    const self = annotations.find(annotation => !annotation.xDefault && pageUrls.includes(annotation.url));
+    international.selfReference = self ? self.hreflang : null;
+    if (!self) {
+      ruleRegistry.addFinding(international, 'hreflang.missing_self_reference', { url });
+    }
+
+    if (!international.xDefault) {
+      ruleRegistry.addFinding(international, 'hreflang.missing_x_default');
+    }
+
+    if (self && self.valid && international.language) {
+      const lang = hreflangService.parseCode(international.language);
+      if (lang.valid && (lang.language !== self.language || (lang.region && self.region && lang.region !== self.region))) {
+        ruleRegistry.addFinding(international, 'hreflang.lang_mismatch', { lang: international.language, hreflang: self.hreflang });
+      }
+    }
+
+    return international;
+  }
+
+  /**
+   * Fetch hreflang alternates and check they link back to the page
+   * @param {Object} international - Result of analyzeInternational, updated in place
+   * @param {string} url - URL of the page
+   * @param {Object} options - Check options passed to hreflangService
+   */
+  async verifyHreflang(international, url, options = {}) {
+    const pageUrl = this.resolveUrl(url, url);
+    const checks = await hreflangService.verifyReturnLinks(pageUrl, international.annotations, options);
+
+    international.annotations.forEach(annotation => {
+      const check = checks.get(annotation.url);
+      if (check) annotation.returnLink = check;
+    });
+
+    checks.forEach((check, href) => {
+      if (check.error || check.statusCode >= 400) {
+        ruleRegistry.addFinding(international, 'hreflang.alternate_unreachable', {
+          href,
+          statusCode: check.statusCode,
+          reason: check.statusCode ? `HTTP ${check.statusCode}` : check.error
+        });
+      } else if (!check.returnLink) {
+        ruleRegistry.addFinding(international, 'hreflang.no_return_link', { href });
+      }
+    });
+
+    international.returnLinks = {
+      checked: checks.size,
+      reciprocal: Array.from(checks.values()).filter(check => check.returnLink).length
+    };
+  }
+
   /**
    * Analyze accessibility features
    */
@@ -359,7 +1247,8 @@ class SEOAnalyzer {
       skipLinks: $('a[href^="#main"], a[href^="#content"]').length > 0,
       formLabels: $('form label').length,
       formInputs: $('form input').length,
-      issues: []
+      issues: [],
+      findings: []
     };
 
     // Count ARIA attributes
@@ -369,39 +1258,100 @@ class SEOAnalyzer {
 
     // Check for common accessibility issues
     if (!accessibility.skipLinks) {
-      accessibility.issues.push('No skip navigation links found');
+      ruleRegistry.addFinding(accessibility, 'accessibility.skip_links.missing');
     }
 
     if (accessibility.formInputs > accessibility.formLabels) {
-      accessibility.issues.push('Some form inputs missing labels');
+      ruleRegistry.addFinding(accessibility, 'accessibility.form_labels.missing', {
+        inputs: accessibility.formInputs,
+        labels: accessibility.formLabels,
+        fields: this.findUnlabeledInputs($)
+      });
     }
 
     return accessibility;
   }
 
   /**
-   * Analyze structured data
+   * Analyze structured data: JSON-LD (including @graph), microdata and RDFa, validated against schema.org definitions
    */
-  analyzeStructuredData($) {
+  analyzeStructuredData($, url) {
+    const { entities, errors } = structuredDataService.extract($, url);
     const structuredData = {
-      types: [],
-      issues: []
+      types: entities.filter(entity => entity.type).map(entity => entity.type),
+      entities: structuredDataService.validate(entities),
+      sources: {
+        jsonLd: entities.filter(entity => entity.source === 'json-ld').length,
+        microdata: entities.filter(entity => entity.source === 'microdata').length,
+        rdfa: entities.filter(entity => entity.source === 'rdfa').length
+      },
+      issues: [],
+      findings: []
     };
 
-    $('script[type="application/ld+json"]').each((_, elem) => {
-      try {
-        const data = JSON.parse($(elem).html());
-        if (data['@type']) {
-          structuredData.types.push(data['@type']);
+    errors.forEach(({ block, error }) => {
+      ruleRegistry.addFinding(structuredData, 'structured_data.invalid_json', { block, error });
+    });
+
+    entities
+      .filter(entity => !entity.type)
+      .forEach(entity => ruleRegistry.addFinding(structuredData, 'structured_data.missing_type', { source: entity.source }));
+
+    structuredDataService.walk(entities, entity => {
+      if (!entity.type) return;
+      if (!entity.validated) {
+        // Nested entities of unknown types are usually enumerations or niche types
+        if (entity.path === entity.type) {
+          ruleRegistry.addFinding(structuredData, 'structured_data.unknown_type', { type: entity.type, path: entity.path });
         }
-      } catch (error) {
-        structuredData.issues.push('Invalid JSON-LD structured data');
+        return;
       }
+
+      const label = entity.path === entity.type ? entity.type : `${entity.type} (${entity.path})`;
+      entity.errors.forEach(error => {
+        error.message = ruleRegistry.addFinding(structuredData, `structured_data.${error.problem}`, {
+          ...error,
+          type: entity.type,
+          path: entity.path,
+          label
+        }).message;
+      });
     });
 
     return structuredData;
   }
 
+  /**
+   * Check which Google rich results the extracted structured data qualifies for
+   */
+  analyzeRichResults($, structuredData) {
+    const richResults = {
+      features: richResultService.evaluate(structuredData.entities, richResultService.getVisibleText($)),
+      issues: [],
+      findings: []
+    };
+
+    richResults.features.forEach(({ feature, items }) => {
+      items.forEach(item => {
+        const evidence = {
+          feature,
+          path: item.path,
+          label: item.path === item.type ? item.type : `${item.type} (${item.path})`
+        };
+        if (item.missing.length > 0) {
+          ruleRegistry.addFinding(richResults, 'rich_results.ineligible', { ...evidence, missingList: item.missing.join(', ') });
+        } else if (item.recommended.length > 0) {
+          ruleRegistry.addFinding(richResults, 'rich_results.incomplete', { ...evidence, recommendedList: item.recommended.join(', ') });
+        }
+        item.mismatches.forEach(({ property, value }) => {
+          ruleRegistry.addFinding(richResults, 'rich_results.content_mismatch', { ...evidence, property, value });
+        });
+      });
+    });
+
+    return richResults;
+  }
+
   /**
    * Analyze mobile-friendliness
    */
@@ -410,17 +1360,18 @@ class SEOAnalyzer {
       viewport: $('meta[name="viewport"]').attr('content'),
       touchIcons: $('link[rel*="apple-touch-icon"]').length,
       tapTargets: this.analyzeTapTargets($),
-      issues: []
+      issues: [],
+      findings: []
     };
 
     if (!mobile.viewport) {
-      mobile.issues.push('Missing viewport meta tag');
+      ruleRegistry.addFinding(mobile, 'mobile.viewport.missing');
     } else if (!mobile.viewport.includes('width=device-width')) {
-      mobile.issues.push('Viewport meta tag missing width=device-width');
+      ruleRegistry.addFinding(mobile, 'mobile.viewport.no_device_width', { viewport: mobile.viewport });
     }
 
     if (mobile.tapTargets.small > 0) {
-      mobile.issues.push(`${mobile.tapTargets.small} tap targets too small`);
+      ruleRegistry.addFinding(mobile, 'mobile.tap_targets.small', { count: mobile.tapTargets.small });
     }
 
     return mobile;
@@ -429,107 +1380,317 @@ class SEOAnalyzer {
   /**
    * Analyze content quality
    */
-  analyzeContentQuality($) {
+  analyzeContentQuality($, thresholds = profileService.resolve().thresholds) {
+    const text = $('body').text();
     const content = {
-      wordCount: this.countWords($('body').text()),
+      wordCount: this.countWords(text),
+      characterCount: text.replace(/\s+/g, '').length,
       paragraphs: $('p').length,
       lists: $('ul, ol').length,
       tables: $('table').length,
-      issues: []
+      issues: [],
+      findings: []
     };
 
-    if (content.wordCount < 300) {
-      content.issues.push('Content length below recommended minimum (300 words)');
+    // Scripts without spaces between words (such as Japanese) are measured in characters
+    const { unit, min } = thresholds.content;
+    const length = unit === 'characters' ? content.characterCount : content.wordCount;
+    if (length < min) {
+      ruleRegistry.addFinding(content, 'content.thin', { wordCount: content.wordCount, length, unit, min });
     }
 
-    if (content.paragraphs < 3) {
-      content.issues.push('Too few paragraphs');
+    if (content.paragraphs < thresholds.paragraphs.min) {
+      ruleRegistry.addFinding(content, 'content.few_paragraphs', { paragraphs: content.paragraphs, min: thresholds.paragraphs.min });
     }
 
     return content;
   }
 
   /**
-   * Generate recommendations based on analysis
+   * Analyze the redirect chain recorded while fetching the page
    */
-  generateRecommendations(results) {
-    const recommendations = [];
-
-    // Metadata recommendations
-    if (results.metadata.title.issues.length > 0) {
-      recommendations.push({
-        category: 'Metadata',
-        priority: 'High',
-        issue: results.metadata.title.issues.join(', '),
-        solution: 'Optimize title tag length (30-60 characters) and include primary keyword'
+  analyzeRedirects(chain, url) {
+    const redirects = {
+      chain,
+      hops: chain.length,
+      finalUrl: chain.length > 0 ? chain[chain.length - 1].location : url,
+      loop: false,
+      issues: [],
+      findings: []
+    };
+
+    if (chain.length > 1) {
+      ruleRegistry.addFinding(redirects, 'redirects.chain', { hops: chain.length, finalUrl: redirects.finalUrl });
+    }
+
+    const visited = new Set(chain.map(hop => hop.url));
+    if (chain.length > 0 && visited.has(redirects.finalUrl)) {
+      redirects.loop = true;
+      ruleRegistry.addFinding(redirects, 'redirects.loop', { url: redirects.finalUrl });
+    }
+
+    chain.forEach(hop => {
+      const from = new URL(hop.url);
+      const to = new URL(hop.location);
+
+      if ([302, 303, 307].includes(hop.statusCode) && this.isCanonicalizingRedirect(from, to)) {
+        ruleRegistry.addFinding(redirects, 'redirects.temporary', { statusCode: hop.statusCode, from: hop.url, to: hop.location });
+      }
+
+      if (from.protocol === 'https:' && to.protocol === 'http:') {
+        ruleRegistry.addFinding(redirects, 'redirects.https_downgrade', { from: hop.url, to: hop.location });
+      }
+
+      if (hop.blocked) {
+        ruleRegistry.addFinding(redirects, 'redirects.blocked_target', { from: hop.url, to: hop.location, reason: hop.blocked });
+      }
+    });
+
+    return redirects;
+  }
+
+  /**
+   * Compare indexing-critical elements between raw server HTML and the rendered DOM
+   */
+  compareRendering(rawHtml, renderedHtml, url, renderer = null) {
+    const raw = this.getRenderingSnapshot(rawHtml, url);
+    const rendered = this.getRenderingSnapshot(renderedHtml, url);
+    const rendering = {
+      renderer,
+      fields: {},
+      headings: this.diffLists(raw.headings, rendered.headings),
+      links: this.diffLists(raw.links, rendered.links),
+      structuredData: this.diffLists(raw.structuredData, rendered.structuredData),
+      dependsOnJavaScript: false,
+      issues: [],
+      findings: []
+    };
+
+    const labels = {
+      title: 'Title',
+      description: 'Meta description',
+      canonical: 'Canonical URL',
+      robots: 'Meta robots'
+    };
+
+    Object.entries(labels).forEach(([field, label]) => {
+      const before = raw[field];
+      const after = rendered[field];
+      rendering.fields[field] = { raw: before, rendered: after, changed: before !== after };
+
+      if (!before && after) {
+        ruleRegistry.addFinding(rendering, 'rendering.js_only', { field, label, rendered: after });
+      } else if (before && after && before !== after) {
+        ruleRegistry.addFinding(rendering, 'rendering.changed', { field, label, raw: before, rendered: after });
+      } else if (before && !after) {
+        ruleRegistry.addFinding(rendering, 'rendering.removed', { field, label, raw: before });
+      }
+    });
+
+    const rawNoindex = /noindex/i.test(raw.robots || '');
+    const renderedNoindex = /noindex/i.test(rendered.robots || '');
+    if (rawNoindex && !renderedNoindex) {
+      ruleRegistry.addFinding(rendering, 'rendering.noindex_removed', { raw: raw.robots, rendered: rendered.robots });
+    }
+
+    if (raw.headings.filter(h => h.startsWith('H1:')).length === 0 &&
+        rendered.headings.some(h => h.startsWith('H1:'))) {
+      ruleRegistry.addFinding(rendering, 'rendering.h1_js_only');
+    }
+
+    if (rendered.links.length > 0 && rendering.links.added.length / rendered.links.length > 0.5) {
+      ruleRegistry.addFinding(rendering, 'rendering.links_js_only', {
+        added: rendering.links.added.length,
+        total: rendered.links.length,
+        links: rendering.links.added
       });
     }
 
-    if (results.metadata.description.issues.length > 0) {
-      recommendations.push({
-        category: 'Metadata',
-        priority: 'High',
-        issue: results.metadata.description.issues.join(', '),
-        solution: 'Optimize meta description length (120-160 characters) and include call-to-action'
+    if (rendering.structuredData.added.length > 0) {
+      ruleRegistry.addFinding(rendering, 'rendering.structured_data_js', {
+        types: rendering.structuredData.added.join(', ')
       });
     }
 
-    // Content structure recommendations
-    results.headings.issues.forEach(issue => {
-      recommendations.push({
-        category: 'Content Structure',
-        priority: 'Medium',
-        issue,
-        solution: 'Implement proper heading hierarchy (H1-H6)'
+    rendering.dependsOnJavaScript = rendering.issues.length > 0;
+
+    return rendering;
+  }
+
+  /**
+   * Generate recommendations based on analysis
+   * Findings of the same rule are merged into one recommendation that lists the affected elements.
+   * Recommendations are ordered by impact: the estimated overall score points gained by fixing them.
+   */
+  generateRecommendations(results) {
+    const byRule = new Map();
+    (results.findings || this.collectFindings(results))
+      .filter(finding => finding.id)
+      .forEach(finding => {
+        if (!byRule.has(finding.id)) byRule.set(finding.id, []);
+        byRule.get(finding.id).push(finding);
       });
+
+    const recommendations = Array.from(byRule.entries()).map(([id, findings]) => {
+      const finding = findings[0];
+      const category = this.getScoreCategory(finding);
+      const elements = Array.from(new Set(findings.flatMap(item => ruleRegistry.getElements(item))));
+
+      return {
+        category: RECOMMENDATION_CATEGORIES[finding.category] || finding.category,
+        priority: SEVERITY_PRIORITIES[finding.severity],
+        severity: finding.severity,
+        issue: findings.length === 1 ? finding.message : `${finding.title} (${findings.length} occurrences)`,
+        solution: finding.help,
+        elements,
+        impact: category ? (SEVERITY_PENALTIES[finding.severity] * SCORE_CATEGORIES[category].weight) / 100 : 0,
+        ruleIds: [id]
+      };
     });
 
-    // Image optimization recommendations
-    results.images.issues.forEach(issue => {
-      recommendations.push({
-        category: 'Images',
-        priority: 'Medium',
-        issue,
-        solution: 'Add descriptive alt text and specify image dimensions'
-      });
+    return recommendations.sort((a, b) => b.impact - a.impact
+      || SEVERITY_PENALTIES[b.severity] - SEVERITY_PENALTIES[a.severity]
+      || b.elements.length - a.elements.length);
+  }
+
+  /**
+   * Calculate a 0-100 subscore for each score category
+   * @param {Object} results - Analysis results
+   * @returns {Object} Subscores keyed by category, each with score, weight and the failed rule IDs
+   */
+  calculateSubscores(results) {
+    const failedRules = {};
+    Object.keys(SCORE_CATEGORIES).forEach(category => {
+      failedRules[category] = new Map();
     });
 
-    // Technical recommendations
-    results.technical.issues.forEach(issue => {
-      recommendations.push({
-        category: 'Technical SEO',
-        priority: 'High',
-        issue,
-        solution: 'Implement proper technical SEO elements'
-      });
+    (results.findings || this.collectFindings(results)).forEach(finding => {
+      const category = this.getScoreCategory(finding);
+      // Keep the most severe finding of each rule
+      if (category && (!failedRules[category].has(finding.id)
+        || SEVERITY_PENALTIES[finding.severity] > SEVERITY_PENALTIES[failedRules[category].get(finding.id)])) {
+        failedRules[category].set(finding.id, finding.severity);
+      }
     });
 
-    return recommendations;
+    const subscores = {};
+    Object.entries(SCORE_CATEGORIES).forEach(([category, { weight }]) => {
+      const penalty = Array.from(failedRules[category].values())
+        .reduce((sum, severity) => sum + (SEVERITY_PENALTIES[severity] || 0), 0);
+      subscores[category] = {
+        score: Math.max(0, 100 - penalty),
+        weight,
+        rules: Array.from(failedRules[category].keys())
+      };
+    });
+    return subscores;
   }
 
   /**
-   * Calculate overall SEO score
+   * Calculate overall SEO score as the weighted average of the category subscores
    */
   calculateOverallScore(results) {
-    let score = 100;
-    const issues = [
-      ...results.metadata.title.issues,
-      ...results.metadata.description.issues,
-      ...results.headings.issues,
-      ...results.images.issues,
-      ...results.technical.issues,
-      ...results.accessibility.issues
-    ];
+    const subscores = Object.values(results.subscores || this.calculateSubscores(results));
+    const totalWeight = subscores.reduce((sum, subscore) => sum + subscore.weight, 0);
+    const weighted = subscores.reduce((sum, subscore) => sum + subscore.score * subscore.weight, 0);
+
+    return totalWeight > 0 ? Math.round(weighted / totalWeight) : 100;
+  }
 
-    // Deduct points for each issue based on severity
-    issues.forEach(issue => {
-      if (issue.includes('Missing')) score -= 5;
-      else if (issue.includes('Multiple')) score -= 3;
-      else score -= 2;
+  /**
+   * Helper: Flatten the findings of every section, adding the section they were found in
+   * Results stored before findings existed only have plain-text issues; those get a null id.
+   */
+  collectFindings(results) {
+    const findings = [];
+    const collect = (section, data) => {
+      if (Array.isArray(data.findings)) {
+        data.findings.forEach(finding => findings.push({ ...finding, section }));
+      } else if (Array.isArray(data.issues)) {
+        data.issues.forEach(message => findings.push({ id: null, section, message }));
+      }
+    };
+
+    Object.entries(results).forEach(([section, data]) => {
+      if (!data || typeof data !== 'object' || Array.isArray(data)) return;
+      collect(section, data);
+      Object.entries(data).forEach(([field, child]) => {
+        if (child && typeof child === 'object' && !Array.isArray(child) && Array.isArray(child.issues)) {
+          collect(`${section}.${field}`, child);
+        }
+      });
     });
+    return findings;
+  }
+
+  /**
+   * Helper: Score category a finding counts toward; legacy findings without a rule are not scored
+   */
+  getScoreCategory(finding) {
+    if (!finding.id) return null;
+    if (RULE_SCORE_CATEGORIES[finding.id]) return RULE_SCORE_CATEGORIES[finding.id];
+
+    const entry = Object.entries(SCORE_CATEGORIES).find(([, { rules }]) => rules.includes(finding.category));
+    return entry ? entry[0] : null;
+  }
 
-    // Ensure score stays within 0-100 range
-    return Math.max(0, Math.min(100, score));
+  /**
+   * Helper: Stop between sections once the caller has aborted (a cancelled job)
+   */
+  checkAborted(signal) {
+    if (signal && signal.aborted) {
+      throw new Error('Analysis was cancelled');
+    }
+  }
+
+  /**
+   * Helper: Report a completed section with its issue count
+   */
+  reportSection(onProgress, step, results, section = step) {
+    if (!onProgress) return;
+    const issues = this.collectFindings({ [section]: results[section] }).length;
+    onProgress({ type: 'section', section: step, issues });
+  }
+
+  /**
+   * Helper: Grade result for a missing or weak security header, worded by its rule
+   */
+  headerGrade(value, status, rule, evidence = {}) {
+    return {
+      value: value || null,
+      status,
+      message: ruleRegistry.createFinding(rule, { value, ...evidence }).message,
+      rule,
+      evidence
+    };
+  }
+
+  /**
+   * Helper: Evidence for the broken links finding
+   */
+  brokenLinkEvidence(broken) {
+    return {
+      count: broken.length,
+      links: broken.map(link => ({ href: link.href || null, text: link.text, reason: link.reason }))
+    };
+  }
+
+  /**
+   * Helper: Name the form inputs that have no label, wrapping label or aria-label
+   */
+  findUnlabeledInputs($) {
+    const unlabeled = [];
+    $('form input').each((_, elem) => {
+      const input = $(elem);
+      const type = (input.attr('type') || 'text').toLowerCase();
+      const id = input.attr('id');
+      if (['hidden', 'submit', 'button', 'reset', 'image'].includes(type)) return;
+      if (input.attr('aria-label') || input.closest('label').length > 0) return;
+      if (id && $('label').filter((__, label) => $(label).attr('for') === id).length > 0) return;
+
+      unlabeled.push(input.attr('name') ? `input[name="${input.attr('name')}"]` : id ? `#${id}` : `input[type="${type}"]`);
+    });
+    return unlabeled;
   }
 
   /**
@@ -560,6 +1721,136 @@ class SEOAnalyzer {
     return results;
   }
 
+  /**
+   * Helper: Extract the elements compared between raw and rendered HTML
+   */
+  getRenderingSnapshot(html, url) {
+    const $ = cheerio.load(html);
+    const metadata = this.analyzeMetadata($);
+    const headings = this.analyzeHeadings($);
+    const links = this.analyzeLinks($, url);
+
+    return {
+      title: metadata.title.content || null,
+      description: metadata.description.content || null,
+      canonical: metadata.canonical,
+      robots: metadata.robots,
+      headings: [1, 2, 3, 4, 5, 6].flatMap(level =>
+        headings[`h${level}`].map(heading => `H${level}: ${heading.text}`)),
+      links: Array.from(new Set([...links.internal, ...links.external].map(link => link.url))),
+      structuredData: this.analyzeStructuredData($, url).types.map(type => String(type))
+    };
+  }
+
+  /**
+   * Helper: Diff two string lists
+   */
+  diffLists(before, after) {
+    return {
+      raw: before.length,
+      rendered: after.length,
+      added: after.filter(item => !before.includes(item)),
+      removed: before.filter(item => !after.includes(item))
+    };
+  }
+
+  /**
+   * Helper: Describe where an element sits in the page layout
+   */
+  getElementLocation($, elem) {
+    const landmark = $(elem).closest('header, nav, main, article, aside, footer').first();
+    if (landmark.length === 0) return 'body';
+    return landmark.get(0).tagName.toLowerCase();
+  }
+
+  /**
+   * Helper: Lower-case header names and join multi-value headers
+   */
+  normalizeHeaders(headers) {
+    const normalized = {};
+    Object.entries(headers || {}).forEach(([name, value]) => {
+      normalized[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+    });
+    return normalized;
+  }
+
+  /**
+   * Helper: Report canonical target problems from its status, redirects and robots directives
+   */
+  checkCanonicalTarget(canonical) {
+    const { check } = canonical;
+    const evidence = { canonical: canonical.target, relation: canonical.relation };
+
+    if (check.error || (check.statusCode !== 200 && check.redirects === 0)) {
+      ruleRegistry.addFinding(canonical, 'canonical.target_error', {
+        ...evidence,
+        status: check.statusCode ? `HTTP ${check.statusCode}` : check.error || 'no response'
+      });
+    } else if (check.redirects > 0) {
+      ruleRegistry.addFinding(canonical, 'canonical.target_redirect', { ...evidence, finalUrl: check.finalUrl });
+    } else if (check.noindex) {
+      ruleRegistry.addFinding(canonical, 'canonical.target_noindex', evidence);
+    }
+  }
+
+  /**
+   * Helper: Whether a URL is absolute http(s), not relative or protocol-relative
+   */
+  isAbsoluteUrl(value) {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Helper: Resolve a possibly relative URL against the page URL, without its fragment
+   */
+  resolveUrl(value, baseUrl) {
+    if (!value) return null;
+    try {
+      const resolved = new URL(value, baseUrl);
+      resolved.hash = '';
+      return resolved.href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Helper: Parse a Content-Security-Policy value into directive -> sources
+   */
+  parseCsp(value) {
+    const directives = {};
+    if (!value) return directives;
+
+    value.split(';').forEach(part => {
+      const tokens = part.trim().split(/\s+/).filter(Boolean);
+      if (tokens.length === 0) return;
+      const name = tokens.shift().toLowerCase();
+      if (!directives[name]) {
+        directives[name] = tokens;
+      }
+    });
+
+    return directives;
+  }
+
+  /**
+   * Helper: Check if a redirect only normalizes protocol, www prefix or trailing slash
+   */
+  isCanonicalizingRedirect(from, to) {
+    const normalize = (u) => ({
+      host: u.hostname.replace(/^www\./, ''),
+      path: u.pathname.replace(/\/+$/, '') || '/',
+      search: u.search
+    });
+    const a = normalize(from);
+    const b = normalize(to);
+    return a.host === b.host && a.path === b.path && a.search === b.search;
+  }
+
   /**
    * Helper: Check if hostname is a social media site
    */
@@ -0,0 +1,386 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const logger = require('../utils/logger');
+const robotsService = require('./robotsService');
+const { DirectFetcher } = require('./fetchers');
+const ruleRegistry = require('./ruleRegistry');
+
+const MAX_URLS_PER_SITEMAP = 50000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+const gunzip = promisify(zlib.gunzip);
+const DEFAULT_LOCATIONS = ['/sitemap.xml', '/sitemap_index.xml'];
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const W3C_DATETIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+class SitemapService {
+  constructor() {
+    this.fetcher = new DirectFetcher();
+  }
+
+  /**
+   * Discover, fetch and validate the XML sitemaps of a site
+   * @param {string} url - URL of the audited page
+   * @param {Object} options - Options (robotsSitemaps, canonical, maxSitemaps, timeout)
+   * @returns {Promise<Object>} Sitemap analysis
+   */
+  async analyze(url, options = {}) {
+    const maxSitemaps = options.maxSitemaps || 10;
+    const sitemap = {
+      discovered: [],
+      sitemaps: [],
+      totalUrls: 0,
+      listed: false,
+      listedIn: null,
+      lastmod: {
+        valid: 0,
+        invalid: [],
+        future: 0
+      },
+      issues: [],
+      findings: []
+    };
+
+    let robotsSitemaps = options.robotsSitemaps;
+    if (!robotsSitemaps) {
+      const robots = await robotsService.analyze(url, { timeout: options.timeout, signal: options.signal });
+      robotsSitemaps = robots.sitemaps;
+    }
+
+    sitemap.discovered = this.discover(url, robotsSitemaps);
+
+    const queue = sitemap.discovered.map(entry => entry.url);
+    const seen = new Set();
+    const declared = new Set(robotsSitemaps);
+    const target = this.normalizeUrl(url);
+    const canonical = options.canonical ? this.normalizeUrl(new URL(options.canonical, url).href) : null;
+
+    while (queue.length > 0 && sitemap.sitemaps.length < maxSitemaps) {
+      const sitemapUrl = queue.shift();
+      if (seen.has(sitemapUrl)) continue;
+      seen.add(sitemapUrl);
+
+      const report = await this.fetchAndParse(sitemapUrl, options);
+
+      // Default locations that do not exist are not worth reporting
+      if (!report.found && !declared.has(sitemapUrl)) {
+        continue;
+      }
+
+      sitemap.sitemaps.push(report.summary);
+
+      if (report.type === 'index') {
+        report.children.forEach(child => {
+          declared.add(child);
+          queue.push(child);
+        });
+        continue;
+      }
+
+      sitemap.totalUrls += report.summary.urlCount;
+      report.entries.forEach(entry => {
+        const normalized = this.normalizeUrl(entry.loc);
+        if (normalized === target || (canonical && normalized === canonical)) {
+          sitemap.listed = true;
+          sitemap.listedIn = sitemap.listedIn || sitemapUrl;
+          if (canonical && normalized === target && canonical !== target) {
+            ruleRegistry.addFinding(report.summary, 'sitemap.non_canonical_listed', {
+              loc: entry.loc,
+              canonical: options.canonical
+            });
+          }
+        }
+
+        if (entry.lastmod === null) return;
+        if (!W3C_DATETIME.test(entry.lastmod) || isNaN(Date.parse(entry.lastmod))) {
+          sitemap.lastmod.invalid.push({ loc: entry.loc, lastmod: entry.lastmod });
+        } else if (Date.parse(entry.lastmod) > Date.now()) {
+          sitemap.lastmod.future++;
+        } else {
+          sitemap.lastmod.valid++;
+        }
+      });
+    }
+
+    if (sitemap.sitemaps.length === 0) {
+      ruleRegistry.addFinding(sitemap, 'sitemap.missing', { checked: sitemap.discovered.map(entry => entry.url) });
+    } else if (!sitemap.listed) {
+      ruleRegistry.addFinding(sitemap, 'sitemap.url_not_listed', { url });
+    }
+    if (sitemap.lastmod.invalid.length > 0) {
+      ruleRegistry.addFinding(sitemap, 'sitemap.invalid_lastmod', {
+        count: sitemap.lastmod.invalid.length,
+        entries: sitemap.lastmod.invalid
+      });
+    }
+    if (sitemap.lastmod.future > 0) {
+      ruleRegistry.addFinding(sitemap, 'sitemap.future_lastmod', { count: sitemap.lastmod.future });
+    }
+    // Roll per-file findings up to the sitemap section, prefixed with the file they belong to
+    sitemap.sitemaps.forEach(entry => {
+      entry.findings.forEach(finding => {
+        const rolledUp = {
+          ...finding,
+          message: `${entry.url}: ${finding.message}`,
+          evidence: { ...finding.evidence, sitemap: entry.url }
+        };
+        sitemap.findings.push(rolledUp);
+        sitemap.issues.push(rolledUp.message);
+      });
+    });
+
+    return sitemap;
+  }
+
+  /**
+   * Build the list of candidate sitemap URLs
+   * @param {string} url - URL of the audited page
+   * @param {string[]} robotsSitemaps - Sitemap URLs declared in robots.txt
+   * @returns {Array} Candidates with their discovery source
+   */
+  discover(url, robotsSitemaps = []) {
+    const candidates = robotsSitemaps.map(sitemapUrl => ({ url: sitemapUrl, source: 'robots.txt' }));
+
+    DEFAULT_LOCATIONS.forEach(path => {
+      const sitemapUrl = new URL(path, url).href;
+      if (!candidates.some(candidate => candidate.url === sitemapUrl)) {
+        candidates.push({ url: sitemapUrl, source: 'default location' });
+      }
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Fetch one sitemap file and parse it
+   * @param {string} sitemapUrl - Sitemap URL
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} Parsed sitemap and its summary
+   */
+  async fetchAndParse(sitemapUrl, options = {}) {
+    const summary = {
+      url: sitemapUrl,
+      statusCode: null,
+      type: null,
+      compressed: false,
+      size: 0,
+      urlCount: 0,
+      issues: [],
+      findings: []
+    };
+    const report = { found: false, type: null, entries: [], children: [], summary };
+
+    let body;
+    try {
+      const { response } = await this.fetcher.request(sitemapUrl, {
+        timeout: options.timeout || 15000,
+        responseType: 'arraybuffer',
+        maxRedirects: 5,
+        // Nothing past the protocol limit is read, so a huge file cannot exhaust memory
+        maxContentLength: MAX_SITEMAP_BYTES,
+        signal: options.signal
+      });
+      summary.statusCode = response.status;
+      if (response.status >= 400) {
+        ruleRegistry.addFinding(summary, 'sitemap.http_error', { statusCode: response.status });
+        return report;
+      }
+      body = Buffer.from(response.data);
+    } catch (error) {
+      if (/maxContentLength/.test(error.message)) {
+        ruleRegistry.addFinding(summary, 'sitemap.too_large');
+        return report;
+      }
+      logger.warn('Failed to fetch sitemap', { url: sitemapUrl, error: error.message });
+      ruleRegistry.addFinding(summary, 'sitemap.fetch_failed', { error: error.message });
+      return report;
+    }
+
+    report.found = true;
+
+    // gzip magic bytes; servers often send .xml.gz without Content-Encoding
+    if (body.length > 2 && body[0] === 0x1f && body[1] === 0x8b) {
+      summary.compressed = true;
+      try {
+        body = await gunzip(body, { maxOutputLength: MAX_SITEMAP_BYTES });
+      } catch (error) {
+        ruleRegistry.addFinding(summary, error.code === 'ERR_BUFFER_TOO_LARGE' ? 'sitemap.too_large' : 'sitemap.invalid_gzip');
+        return report;
+      }
+    }
+
+    summary.size = body.length;
+
+    const parsed = this.parse(body.toString('utf8'));
+    report.type = parsed.type;
+    summary.type = parsed.type;
+
+    if (!parsed.type) {
+      ruleRegistry.addFinding(summary, 'sitemap.invalid_root');
+      return report;
+    }
+
+    const host = new URL(sitemapUrl).hostname;
+    if (parsed.type === 'index') {
+      report.children = parsed.entries.map(entry => entry.loc);
+      summary.urlCount = parsed.count;
+      report.children.forEach(child => {
+        if (this.hostOf(child) !== host) {
+          ruleRegistry.addFinding(summary, 'sitemap.cross_host_child', { child });
+        }
+      });
+    } else {
+      report.entries = parsed.entries;
+      summary.urlCount = parsed.count;
+
+      const crossHost = parsed.entries.filter(entry => this.hostOf(entry.loc) !== host);
+      if (crossHost.length > 0) {
+        ruleRegistry.addFinding(summary, 'sitemap.cross_host_entries', {
+          count: crossHost.length,
+          example: crossHost[0].loc
+        });
+      }
+
+      const nonCanonical = parsed.entries.filter(entry => this.isNonCanonicalLoc(entry.loc, sitemapUrl));
+      if (nonCanonical.length > 0) {
+        ruleRegistry.addFinding(summary, 'sitemap.non_canonical_entries', {
+          count: nonCanonical.length,
+          example: nonCanonical[0].loc
+        });
+      }
+    }
+
+    if (summary.urlCount > MAX_URLS_PER_SITEMAP) {
+      ruleRegistry.addFinding(summary, 'sitemap.too_many_urls', { count: summary.urlCount });
+    }
+
+    return report;
+  }
+
+  /**
+   * Parse sitemap XML into a sitemap index or a urlset
+   * The XML is scanned tag by tag instead of being loaded into a DOM, so a file at the 50MB limit costs
+   * little more than its own size. Only the first 50,000 entries are kept; `count` has the full number.
+   * @param {string} xml - Sitemap XML
+   * @returns {Object} Sitemap type ('index' | 'urlset' | null), entries and entry count
+   */
+  parse(xml) {
+    const result = { type: null, entries: [], count: 0 };
+    const stack = [];
+    let entry = null;
+    let field = null;
+    let pos = 0;
+
+    const skipTo = (terminator, from) => {
+      const end = xml.indexOf(terminator, from);
+      return end === -1 ? xml.length : end + terminator.length;
+    };
+
+    while (pos < xml.length) {
+      const open = xml.indexOf('<', pos);
+      const textEnd = open === -1 ? xml.length : open;
+      if (field) field.value += this.decodeEntities(xml.slice(pos, textEnd));
+      if (open === -1) break;
+
+      if (xml.startsWith('<![CDATA[', open)) {
+        pos = skipTo(']]>', open);
+        if (field) field.value += xml.slice(open + 9, Math.max(open + 9, pos - 3));
+        continue;
+      }
+      if (xml.startsWith('<!--', open)) {
+        pos = skipTo('-->', open);
+        continue;
+      }
+      pos = skipTo('>', open);
+      if (xml[open + 1] === '?' || xml[open + 1] === '!') continue;
+
+      const tag = xml.slice(open + 1, pos - 1);
+      const closing = tag.startsWith('/');
+      const name = tag.slice(closing ? 1 : 0).split(/[\s/]/)[0];
+      const parent = stack[stack.length - 1];
+
+      if (closing) {
+        stack.pop();
+        if (field && name === field.name) {
+          entry[field.name] = field.value.trim() || null;
+          field = null;
+        } else if (entry && stack.length === entry.depth) {
+          if (entry.loc) {
+            if (result.count < MAX_URLS_PER_SITEMAP) {
+              result.entries.push({ loc: entry.loc, lastmod: entry.lastmod });
+            }
+            result.count++;
+          }
+          entry = null;
+        }
+        continue;
+      }
+
+      const selfClosing = tag.endsWith('/');
+      if (!result.type && (name === 'sitemapindex' || name === 'urlset')) {
+        result.type = name === 'sitemapindex' ? 'index' : 'urlset';
+      }
+      if (selfClosing) continue;
+
+      if (!entry && result.type && parent === (result.type === 'index' ? 'sitemapindex' : 'urlset') &&
+          name === (result.type === 'index' ? 'sitemap' : 'url')) {
+        entry = { depth: stack.length, loc: null, lastmod: null };
+      } else if (entry && !field && stack.length === entry.depth + 1 && (name === 'loc' || name === 'lastmod')) {
+        field = { name, value: '' };
+      }
+      stack.push(name);
+    }
+
+    return result;
+  }
+
+  /**
+   * Helper: Decode the predefined and numeric XML character references
+   */
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+      }
+      return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+    });
+  }
+
+  /**
+   * Helper: Flag entries that cannot be canonical (fragments, relative or protocol mismatch)
+   */
+  isNonCanonicalLoc(loc, sitemapUrl) {
+    try {
+      const entry = new URL(loc);
+      return entry.hash !== '' || entry.protocol !== new URL(sitemapUrl).protocol;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Helper: Hostname of a URL, or null when it cannot be parsed
+   */
+  hostOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Helper: Normalize a URL for comparison (no fragment, no trailing slash)
+   */
+  normalizeUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      urlObj.hash = '';
+      return urlObj.href.replace(/\/$/, '');
+    } catch (error) {
+      return url;
+    }
+  }
+}
+
+module.exports = new SitemapService();
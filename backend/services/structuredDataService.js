@@ -0,0 +1,348 @@
+const schemaDefinitions = require('./schemas');
+
+// Nested entities deeper than this are not followed
+const MAX_DEPTH = 8;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const ISO_DURATION = /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/;
+const DATA_TYPES = {
+  Text: value => typeof value === 'string' || typeof value === 'number',
+  URL: value => typeof value === 'string' && /^(https?:)?\/\/[^\s]+$|^\/[^\s]*$/i.test(value.trim()),
+  Date: value => typeof value === 'string' && ISO_DATE.test(value.trim()),
+  Number: value => typeof value === 'number' || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())),
+  Integer: value => Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value.trim())),
+  Boolean: value => typeof value === 'boolean' || /^((https?:\/\/schema\.org\/)?(true|false))$/i.test(String(value)),
+  Duration: value => typeof value === 'string' && ISO_DURATION.test(value.trim())
+};
+
+class StructuredDataService {
+  constructor() {
+    this.definitions = new Map(schemaDefinitions.map(definition => [definition.type, definition]));
+  }
+
+  /**
+   * Extract JSON-LD, microdata and RDFa into one normalized entity tree
+   * @param {Object} $ - Cheerio root of the page
+   * @param {string} baseUrl - URL of the page, used to resolve microdata and RDFa links
+   * @returns {Object} Top-level entities and JSON-LD parse errors
+   */
+  extract($, baseUrl) {
+    const entities = [];
+    const errors = [];
+
+    $('script[type="application/ld+json"]').each((index, elem) => {
+      let data;
+      try {
+        data = JSON.parse($(elem).html());
+      } catch (error) {
+        errors.push({ block: index + 1, error: error.message });
+        return;
+      }
+      this.jsonLdNodes(data).forEach(node => entities.push(this.fromJsonLd(node, null, 0)));
+    });
+
+    $('[itemscope]')
+      .filter((_, elem) => !$(elem).is('[itemprop]') || $(elem).parent().closest('[itemscope]').length === 0)
+      .each((_, elem) => entities.push(this.fromMicrodata($, elem, baseUrl, null, 0)));
+
+    $('[typeof]')
+      .filter((_, elem) => !$(elem).is('[property]') || $(elem).parent().closest('[typeof]').length === 0)
+      .each((_, elem) => entities.push(this.fromRdfa($, elem, baseUrl, null, 0)));
+
+    return { entities, errors };
+  }
+
+  /**
+   * Validate entities (and their nested entities) against the bundled schema.org definitions
+   * Problems are recorded on each entity as `errors`: missing_required, missing_recommended or invalid_value.
+   * @param {Object[]} entities - Top-level entities from extract()
+   * @returns {Object[]} The same entities
+   */
+  validate(entities) {
+    // JSON-LD nodes can reference each other by @id
+    const byId = new Map();
+    this.walk(entities, entity => {
+      if (entity.id && entity.type) byId.set(entity.id, entity);
+    });
+
+    this.walk(entities, entity => this.validateEntity(entity, byId));
+    return entities;
+  }
+
+  /**
+   * Call a function for every entity of a tree, depth first
+   * @param {Object[]} entities - Entities
+   * @param {Function} visit - Called with each entity
+   */
+  walk(entities, visit) {
+    entities.forEach(entity => {
+      visit(entity);
+      entity.properties.forEach(property => {
+        this.walk(property.values.filter(value => this.isEntity(value)), visit);
+      });
+    });
+  }
+
+  /**
+   * Whether a property value is a nested entity
+   * @param {*} value - Property value
+   * @returns {boolean}
+   */
+  isEntity(value) {
+    return Boolean(value) && typeof value === 'object' && Array.isArray(value.properties);
+  }
+
+  /**
+   * Whether a type is, or extends, another type
+   * @param {string} type - Type to check
+   * @param {string} ancestor - Expected type
+   * @returns {boolean}
+   */
+  isSubtype(type, ancestor) {
+    let current = type;
+    while (current) {
+      if (current === ancestor) return true;
+      const definition = this.definitions.get(current);
+      current = definition ? (definition.extends === undefined ? 'Thing' : definition.extends) : null;
+    }
+    return false;
+  }
+
+  /**
+   * Helper: Complete definition of a type: required and recommended from the closest definition
+   * that sets them, expected values merged down from Thing
+   */
+  resolveDefinition(type) {
+    const chain = [];
+    let current = type;
+    while (current && this.definitions.has(current)) {
+      const definition = this.definitions.get(current);
+      chain.unshift(definition);
+      current = definition.extends === undefined ? 'Thing' : definition.extends;
+    }
+    if (chain.length === 0) return null;
+
+    return chain.reduce((resolved, definition) => ({
+      type,
+      required: definition.required || resolved.required,
+      recommended: definition.recommended || resolved.recommended,
+      properties: { ...resolved.properties, ...definition.properties }
+    }), { required: [], recommended: [], properties: {} });
+  }
+
+  /**
+   * Helper: Check one entity for missing properties and values of the wrong type
+   */
+  validateEntity(entity, byId) {
+    const type = entity.types.find(name => this.definitions.has(name));
+    const definition = type ? this.resolveDefinition(type) : null;
+    entity.validated = Boolean(definition);
+    entity.errors = [];
+    if (!definition) return;
+
+    const present = name => entity.properties.some(property => property.name === name
+      && property.values.some(value => value !== '' && value !== null));
+
+    definition.required.forEach(entry => {
+      const names = Array.isArray(entry) ? entry : [entry];
+      if (!names.some(present)) {
+        entity.errors.push({ property: names.join(' or '), problem: 'missing_required' });
+      }
+    });
+    definition.recommended
+      .filter(name => !present(name))
+      .forEach(name => entity.errors.push({ property: name, problem: 'missing_recommended' }));
+
+    entity.properties.forEach(property => {
+      const expected = definition.properties[property.name];
+      if (!expected) return;
+      property.values
+        .filter(value => !this.matchesExpected(value, expected, byId))
+        .forEach(value => entity.errors.push({
+          property: property.name,
+          problem: 'invalid_value',
+          expected: expected.join(' or '),
+          value: this.describeValue(value)
+        }));
+    });
+  }
+
+  /**
+   * Helper: Whether a value fits one of the expected data types or entity types
+   */
+  matchesExpected(value, expected, byId) {
+    if (this.isEntity(value) || (value && value.reference)) {
+      const target = value.reference ? byId.get(value.reference) : value;
+      // Unknown references and undeclared types cannot be checked
+      if (!target || target.types.length === 0) return true;
+      return target.types.some(type => !this.definitions.has(type)
+        || expected.some(name => !DATA_TYPES[name] && this.isSubtype(type, name)));
+    }
+    return expected.some(name => (DATA_TYPES[name]
+      ? DATA_TYPES[name](value)
+      // Enumeration members (e.g. https://schema.org/InStock) are given as text
+      : !this.definitions.has(name) && typeof value === 'string'));
+  }
+
+  /**
+   * Helper: Short text for a value in error messages
+   */
+  describeValue(value) {
+    if (this.isEntity(value)) return value.type || 'untyped entity';
+    if (value && value.reference) return value.reference;
+    const text = String(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
+
+  /**
+   * Helper: Top-level nodes of a parsed JSON-LD block (arrays and @graph are flattened)
+   */
+  jsonLdNodes(data) {
+    if (Array.isArray(data)) return data.flatMap(item => this.jsonLdNodes(item));
+    if (!data || typeof data !== 'object') return [];
+    if (Array.isArray(data['@graph'])) {
+      const { '@graph': graph, ...rest } = data;
+      const own = Object.keys(rest).some(key => key !== '@context') ? [rest] : [];
+      return [...own, ...graph.filter(node => node && typeof node === 'object')];
+    }
+    return [data];
+  }
+
+  /**
+   * Helper: Normalize a JSON-LD node and its nested nodes
+   */
+  fromJsonLd(node, parentPath, depth) {
+    const entity = this.createEntity('json-ld', node['@type'], node['@id'] || null, parentPath);
+
+    Object.entries(node).forEach(([key, raw]) => {
+      if (key.startsWith('@')) return;
+      const values = (Array.isArray(raw) ? raw : [raw])
+        .flatMap(value => (value && typeof value === 'object' && Array.isArray(value['@list']) ? value['@list'] : [value]))
+        .map(value => {
+          if (!value || typeof value !== 'object') return value;
+          if (value['@value'] !== undefined) return value['@value'];
+          if (Object.keys(value).every(name => name === '@id')) return { reference: value['@id'] };
+          if (depth >= MAX_DEPTH) return '[nested entity]';
+          return this.fromJsonLd(value, `${entity.path}.${this.normalizeName(key)}`, depth + 1);
+        })
+        .filter(value => value !== undefined);
+      this.addValues(entity, this.normalizeName(key), values);
+    });
+
+    return entity;
+  }
+
+  /**
+   * Helper: Normalize a microdata item; properties belong to the closest enclosing itemscope
+   */
+  fromMicrodata($, elem, baseUrl, parentPath, depth) {
+    const item = $(elem);
+    const types = (item.attr('itemtype') || '').split(/\s+/).filter(Boolean);
+    const entity = this.createEntity('microdata', types, item.attr('itemid') || null, parentPath);
+
+    item.find('[itemprop]')
+      .filter((_, prop) => $(prop).parent().closest('[itemscope]')[0] === elem)
+      .each((_, prop) => {
+        const names = ($(prop).attr('itemprop') || '').split(/\s+/).filter(Boolean);
+        if (names.length === 0) return;
+        const value = $(prop).is('[itemscope]')
+          ? (depth >= MAX_DEPTH ? '[nested entity]' : this.fromMicrodata($, prop, baseUrl, `${entity.path}.${names[0]}`, depth + 1))
+          : this.elementValue($, prop, baseUrl, 'itemprop');
+        names.forEach(name => this.addValues(entity, name, [value]));
+      });
+
+    return entity;
+  }
+
+  /**
+   * Helper: Normalize an RDFa resource; properties belong to the closest enclosing typeof
+   */
+  fromRdfa($, elem, baseUrl, parentPath, depth) {
+    const resource = $(elem);
+    const types = (resource.attr('typeof') || '').split(/\s+/).filter(Boolean);
+    const id = resource.attr('resource') || resource.attr('about') || null;
+    const entity = this.createEntity('rdfa', types, id, parentPath);
+
+    resource.find('[property]')
+      .filter((_, prop) => $(prop).parent().closest('[typeof]')[0] === elem)
+      .each((_, prop) => {
+        const names = ($(prop).attr('property') || '').split(/\s+/)
+          .filter(name => name && (!name.includes(':') || /^(schema:|https?:\/\/schema\.org\/)/i.test(name)))
+          .map(name => this.normalizeName(name));
+        if (names.length === 0) return;
+        const value = $(prop).is('[typeof]')
+          ? (depth >= MAX_DEPTH ? '[nested entity]' : this.fromRdfa($, prop, baseUrl, `${entity.path}.${names[0]}`, depth + 1))
+          : this.elementValue($, prop, baseUrl, 'property');
+        names.forEach(name => this.addValues(entity, name, [value]));
+      });
+
+    return entity;
+  }
+
+  /**
+   * Helper: Value of a microdata or RDFa property element, following the HTML microdata rules
+   */
+  elementValue($, prop, baseUrl, attribute) {
+    const element = $(prop);
+    const tag = prop.tagName.toLowerCase();
+    const resolve = value => {
+      try {
+        return new URL(value, baseUrl).href;
+      } catch (error) {
+        return value;
+      }
+    };
+
+    if (element.attr('content') !== undefined) return element.attr('content').trim();
+    if (attribute === 'property' && element.attr('resource')) return resolve(element.attr('resource'));
+    if (['a', 'area', 'link'].includes(tag) && element.attr('href')) return resolve(element.attr('href'));
+    if (['img', 'audio', 'video', 'source', 'iframe', 'embed', 'track'].includes(tag) && element.attr('src')) {
+      return resolve(element.attr('src'));
+    }
+    if (tag === 'object' && element.attr('data')) return resolve(element.attr('data'));
+    if (tag === 'time' && element.attr('datetime')) return element.attr('datetime').trim();
+    if (['data', 'meter'].includes(tag) && element.attr('value') !== undefined) return element.attr('value').trim();
+    return element.text().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Helper: Empty normalized entity
+   */
+  createEntity(source, rawTypes, id, parentPath) {
+    const types = (Array.isArray(rawTypes) ? rawTypes : [rawTypes])
+      .filter(type => typeof type === 'string' && type.trim() !== '')
+      .map(type => this.normalizeName(type));
+    const type = types[0] || null;
+
+    return {
+      type,
+      types,
+      id,
+      source,
+      path: parentPath || type || '(untyped)',
+      properties: [],
+      validated: false,
+      errors: []
+    };
+  }
+
+  /**
+   * Helper: Append values to a property, creating it on first use
+   */
+  addValues(entity, name, values) {
+    let property = entity.properties.find(existing => existing.name === name);
+    if (!property) {
+      property = { name, values: [] };
+      entity.properties.push(property);
+    }
+    property.values.push(...values);
+  }
+
+  /**
+   * Helper: Strip the schema.org vocabulary from a type or property name
+   */
+  normalizeName(name) {
+    return String(name).trim().replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '');
+  }
+}
+
+module.exports = new StructuredDataService();
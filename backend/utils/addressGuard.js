@@ -0,0 +1,129 @@
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT and other non-public ranges
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+  // Unspecified, loopback and IPv4-compatible (::a.b.c.d) addresses
+  ['::', 96],
+  // NAT64 prefixes translate to an embedded IPv4 address, private ones included
+  ['64:ff9b::', 96],
+  ['64:ff9b:1::', 48],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+const BLOCKED_HOSTNAMES = ['localhost', 'metadata.google.internal'];
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) return blockList.check(address, 'ipv4');
+  if (family !== 6) return false;
+
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  return mapped ? blockList.check(mapped[1], 'ipv4') : blockList.check(address, 'ipv6');
+};
+
+/**
+ * Why a hostname may not be requested, without resolving it
+ * @param {string} hostname - Hostname or IP literal (IPv6 with or without brackets)
+ * @returns {string|null} Reason, or null when the hostname is allowed
+ */
+const getHostnameBlockReason = (hostname) => {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (BLOCKED_HOSTNAMES.includes(host) || host.endsWith('.localhost')) {
+    return 'Localhost URLs are not allowed';
+  }
+  if (isPrivateAddress(host)) {
+    return 'Private IP addresses are not allowed';
+  }
+  return null;
+};
+
+/**
+ * Why a URL may not be requested server-side: non-HTTP protocol, blocked hostname or a
+ * hostname that resolves to a private address
+ * @param {string} url - Absolute URL
+ * @returns {Promise<string|null>} Reason, or null when the URL may be requested
+ */
+const getUrlBlockReason = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'Invalid URL';
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return 'Only HTTP and HTTPS protocols are allowed';
+  }
+
+  const hostnameReason = getHostnameBlockReason(parsed.hostname);
+  if (hostnameReason || net.isIP(parsed.hostname.replace(/^\[|\]$/g, ''))) {
+    return hostnameReason;
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(parsed.hostname, { all: true });
+    return addresses.some(({ address }) => isPrivateAddress(address))
+      ? `${parsed.hostname} resolves to a private address`
+      : null;
+  } catch (error) {
+    // Unresolvable hosts fail on their own when requested
+    return null;
+  }
+};
+
+/**
+ * Error for a request that was refused by the guard
+ * @param {string} url - Refused URL
+ * @param {string} reason - Why it was refused
+ * @returns {Error} Error with code ERR_BLOCKED_ADDRESS
+ */
+const createBlockedError = (url, reason) => {
+  const error = new Error(`Blocked request to ${url}: ${reason}`);
+  error.code = 'ERR_BLOCKED_ADDRESS';
+  return error;
+};
+
+/**
+ * dns.lookup replacement for HTTP clients: refuses to connect to private addresses, so a
+ * hostname that resolves differently between the check and the request is still caught
+ */
+const lookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(createBlockedError(hostname, `resolves to private address ${blocked.address}`));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  getHostnameBlockReason,
+  getUrlBlockReason,
+  createBlockedError,
+  lookup
+};
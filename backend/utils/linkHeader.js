@@ -0,0 +1,32 @@
+/**
+ * Parse an HTTP Link header into its entries
+ * @param {string} value - Header value, e.g. `<https://example.com/de/>; rel="alternate"; hreflang="de"`
+ * @returns {Object[]} Entries with href, rel (lower-case list) and the remaining params
+ */
+const parseLinkHeader = (value) => {
+  if (!value) return [];
+
+  return String(value).split(/,(?=\s*<)/)
+    .map(part => {
+      const match = part.match(/<([^>]*)>(.*)/);
+      if (!match) return null;
+
+      const params = {};
+      match[2].split(';').forEach(param => {
+        const [name, ...rest] = param.split('=');
+        if (!name.trim() || rest.length === 0) return;
+        params[name.trim().toLowerCase()] = rest.join('=').trim().replace(/^"|"$/g, '');
+      });
+
+      return {
+        href: match[1].trim(),
+        rel: (params.rel || '').toLowerCase().split(/\s+/).filter(Boolean),
+        params
+      };
+    })
+    .filter(Boolean);
+};
+
+module.exports = {
+  parseLinkHeader
+};
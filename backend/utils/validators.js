@@ -1,5 +1,12 @@
 const validator = require('validator');
 const { body, validationResult } = require('express-validator');
+const profileService = require('../services/profileService');
+const scrapeService = require('../services/scrapeService');
+const { getHostnameBlockReason } = require('./addressGuard');
+
+// Crawl include/exclude patterns are robots.txt-style paths, bounded so matching stays cheap
+const MAX_CRAWL_PATTERNS = 20;
+const MAX_CRAWL_PATTERN_LENGTH = 200;
 
 /**
  * Validates and sanitizes URL input
@@ -53,21 +60,10 @@ const validateURL = (url) => {
   try {
     const urlObj = new URL(processedUrl);
     
-    // Block localhost and private IP ranges for security
-    const hostname = urlObj.hostname.toLowerCase();
-    
-    // Block localhost variations
-    if (hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '::1') {
-      result.errors.push('Localhost URLs are not allowed');
-      return result;
-    }
-
-    // Block private IP ranges (basic check)
-    if (hostname.match(/^10\./) || 
-        hostname.match(/^192\.168\./) || 
-        hostname.match(/^172\.(1[6-9]|2[0-9]|3[0-1])\./) ||
-        hostname.match(/^169\.254\./)) {
-      result.errors.push('Private IP addresses are not allowed');
+    // Block localhost and private IP ranges for security (the fetcher re-checks every hop)
+    const blockReason = getHostnameBlockReason(urlObj.hostname);
+    if (blockReason) {
+      result.errors.push(blockReason);
       return result;
     }
 
@@ -170,6 +166,46 @@ const validateAnalysisParams = (params) => {
     result.isValid = false;
   }
 
+  if (params.force !== undefined && typeof params.force !== 'boolean') {
+    result.errors.push('force must be a boolean');
+    result.isValid = false;
+  }
+
+  if (params.compareRendering !== undefined && typeof params.compareRendering !== 'boolean') {
+    result.errors.push('compareRendering must be a boolean');
+    result.isValid = false;
+  }
+
+  if (params.checkLinks !== undefined && typeof params.checkLinks !== 'boolean') {
+    result.errors.push('checkLinks must be a boolean');
+    result.isValid = false;
+  }
+
+  if (params.checkHreflang !== undefined && typeof params.checkHreflang !== 'boolean') {
+    result.errors.push('checkHreflang must be a boolean');
+    result.isValid = false;
+  }
+
+  if (params.includeCanonical !== undefined && typeof params.includeCanonical !== 'boolean') {
+    result.errors.push('includeCanonical must be a boolean');
+    result.isValid = false;
+  }
+
+  if (params.includeRobots !== undefined && typeof params.includeRobots !== 'boolean') {
+    result.errors.push('includeRobots must be a boolean');
+    result.isValid = false;
+  }
+
+  if (params.includeSitemap !== undefined && typeof params.includeSitemap !== 'boolean') {
+    result.errors.push('includeSitemap must be a boolean');
+    result.isValid = false;
+  }
+
+  if (params.fetcher !== undefined && !scrapeService.getFetcherNames().includes(params.fetcher)) {
+    result.errors.push(`fetcher must be one of ${scrapeService.getFetcherNames().join(', ')}`);
+    result.isValid = false;
+  }
+
   if (params.timeout !== undefined) {
     const timeout = parseInt(params.timeout);
     if (isNaN(timeout) || timeout < 1000 || timeout > 30000) {
@@ -178,6 +214,214 @@ const validateAnalysisParams = (params) => {
     }
   }
 
+  if (params.profile !== undefined) {
+    const profileErrors = profileService.validate(params.profile);
+    if (profileErrors.length > 0) {
+      result.errors.push(...profileErrors);
+      result.isValid = false;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Validates site crawl parameters
+ * @param {Object} params - Parameters to validate
+ * @returns {Object} - Validation result
+ */
+const validateCrawlParams = (params) => {
+  const result = validateAnalysisParams(params);
+
+  if (params.maxDepth !== undefined) {
+    const maxDepth = parseInt(params.maxDepth);
+    if (isNaN(maxDepth) || maxDepth < 0 || maxDepth > 5) {
+      result.errors.push('maxDepth must be between 0 and 5');
+      result.isValid = false;
+    }
+  }
+
+  if (params.maxPages !== undefined) {
+    const maxPages = parseInt(params.maxPages);
+    if (isNaN(maxPages) || maxPages < 1 || maxPages > 100) {
+      result.errors.push('maxPages must be between 1 and 100');
+      result.isValid = false;
+    }
+  }
+
+  if (params.respectRobots !== undefined && typeof params.respectRobots !== 'boolean') {
+    result.errors.push('respectRobots must be a boolean');
+    result.isValid = false;
+  }
+
+  ['include', 'exclude'].forEach(field => {
+    if (params[field] === undefined) return;
+    if (!Array.isArray(params[field]) || params[field].some(pattern => typeof pattern !== 'string')) {
+      result.errors.push(`${field} must be an array of strings`);
+      result.isValid = false;
+      return;
+    }
+    if (params[field].length > MAX_CRAWL_PATTERNS) {
+      result.errors.push(`${field} cannot contain more than ${MAX_CRAWL_PATTERNS} patterns`);
+      result.isValid = false;
+      return;
+    }
+    params[field]
+      .filter(pattern => !pattern.startsWith('/') || pattern.length > MAX_CRAWL_PATTERN_LENGTH)
+      .forEach(pattern => {
+        result.errors.push(`${field} patterns must be paths starting with / of at most ${MAX_CRAWL_PATTERN_LENGTH} characters: ${pattern.slice(0, MAX_CRAWL_PATTERN_LENGTH)}`);
+        result.isValid = false;
+      });
+  });
+
+  return result;
+};
+
+/**
+ * Validates batch analysis parameters
+ * Individual URLs are validated per item so one bad URL does not reject the batch.
+ * @param {Array} urls - URLs to analyze
+ * @param {Object} params - Analysis parameters shared by every URL
+ * @returns {Object} - Validation result
+ */
+const validateBatchParams = (urls, params) => {
+  const result = validateAnalysisParams(params);
+  const maxUrls = parseInt(process.env.BATCH_MAX_URLS) || 25;
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    result.errors.push('urls must be a non-empty array');
+    result.isValid = false;
+  } else if (urls.length > maxUrls) {
+    result.errors.push(`urls cannot contain more than ${maxUrls} entries`);
+    result.isValid = false;
+  }
+
+  if (params.concurrency !== undefined) {
+    const concurrency = parseInt(params.concurrency);
+    if (isNaN(concurrency) || concurrency < 1 || concurrency > 10) {
+      result.errors.push('concurrency must be between 1 and 10');
+      result.isValid = false;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Validates report listing query parameters
+ * @param {Object} query - Query parameters to validate
+ * @returns {Object} - Validation result
+ */
+const validateReportQuery = (query) => {
+  const result = {
+    isValid: true,
+    errors: []
+  };
+
+  if (query.page !== undefined) {
+    const page = parseInt(query.page);
+    if (isNaN(page) || page < 1) {
+      result.errors.push('page must be a positive integer');
+      result.isValid = false;
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit);
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      result.errors.push('limit must be between 1 and 100');
+      result.isValid = false;
+    }
+  }
+
+  ['from', 'to'].forEach(field => {
+    if (query[field] !== undefined && isNaN(Date.parse(query[field]))) {
+      result.errors.push(`${field} must be a valid date`);
+      result.isValid = false;
+    }
+  });
+
+  if (query.url !== undefined && !validateURL(query.url).isValid) {
+    result.errors.push('url must be a valid URL');
+    result.isValid = false;
+  }
+
+  return result;
+};
+
+/**
+ * Validates a pair of analysis results submitted for comparison
+ * @param {Object} body - Request body with `a` and `b` result payloads
+ * @returns {Object} - Validation result
+ */
+const validateComparePayload = (body) => {
+  const result = {
+    isValid: true,
+    errors: []
+  };
+
+  ['a', 'b'].forEach(field => {
+    const payload = body[field];
+    if (!payload || typeof payload !== 'object') {
+      result.errors.push(`${field} must be an analysis result object`);
+      result.isValid = false;
+      return;
+    }
+    const missing = ['metadata', 'links', 'structuredData']
+      .filter(section => !payload[section] || typeof payload[section] !== 'object');
+    missing.forEach(section => {
+      result.errors.push(`${field}.${section} is missing`);
+      result.isValid = false;
+    });
+    if (missing.length > 0) return;
+
+    // Fields the comparison reads may be absent, but not of another type
+    const checks = [
+      ['metadata.title', payload.metadata.title, value => typeof value === 'object' && !Array.isArray(value), 'an object'],
+      ['metadata.description', payload.metadata.description, value => typeof value === 'object' && !Array.isArray(value), 'an object'],
+      ['links.internal', payload.links.internal, Array.isArray, 'an array'],
+      ['links.external', payload.links.external, Array.isArray, 'an array'],
+      ['structuredData.types', payload.structuredData.types, Array.isArray, 'an array']
+    ];
+    checks
+      .filter(([, value, isValid]) => value !== undefined && (value === null || !isValid(value)))
+      .forEach(([path, , , expected]) => {
+        result.errors.push(`${field}.${path} must be ${expected}`);
+        result.isValid = false;
+      });
+  });
+
+  return result;
+};
+
+/**
+ * Validates a job creation request body
+ * @param {Object} body - Request body with type, url or urls, and options
+ * @returns {Object} - Validation result with the sanitized URL for single-URL jobs
+ */
+const validateJobPayload = (body) => {
+  const type = body.type || 'analysis';
+  const options = body.options || {};
+  let result;
+
+  if (type === 'batch') {
+    result = validateBatchParams(body.urls, options);
+  } else if (type === 'analysis' || type === 'crawl') {
+    result = type === 'crawl' ? validateCrawlParams(options) : validateAnalysisParams(options);
+    const urlValidation = validateURL(body.url);
+    if (urlValidation.isValid) {
+      result.sanitizedUrl = urlValidation.sanitizedUrl;
+    } else {
+      result.errors.push(...urlValidation.errors);
+      result.isValid = false;
+    }
+  } else {
+    return {
+      isValid: false,
+      errors: ['type must be one of analysis, batch or crawl']
+    };
+  }
+
   return result;
 };
 
@@ -223,5 +467,10 @@ module.exports = {
   checkValidationResult,
   sanitizeHtml,
   validateAnalysisParams,
+  validateCrawlParams,
+  validateBatchParams,
+  validateReportQuery,
+  validateComparePayload,
+  validateJobPayload,
   checkRateLimit
 };
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import {
   ThemeProvider,
   createTheme,
@@ -7,14 +7,16 @@ import {
   Box,
   Typography,
   Paper,
+  Alert,
 } from '@mui/material';
 import URLInput from './components/URLInput';
 import SEOResults from './components/SEOResults';
 import LoadingSpinner from './components/LoadingSpinner';
 import ErrorMessage from './components/ErrorMessage';
+import ReportComparison from './components/ReportComparison';
 import Header from './components/Header';
 import Footer from './components/Footer';
-import { analyzeURL } from './services/api';
+import { analyzeURLInBackground, cancelJob, listReports, compareReports } from './services/api';
 import './App.css';
 
 function App() {
@@ -22,6 +24,12 @@ function App() {
   const [error, setError] = useState(null);
   const [results, setResults] = useState(null);
   const [currentUrl, setCurrentUrl] = useState('');
+  const [currentOptions, setCurrentOptions] = useState({});
+  const [reportId, setReportId] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [compareError, setCompareError] = useState(null);
+  const [progressEvents, setProgressEvents] = useState([]);
+  const jobIdRef = useRef(null);
 
   // Create theme (fixed light mode)
   const theme = createTheme({
@@ -98,29 +106,77 @@ function App() {
     },
   });
 
-  const handleAnalyze = async (url) => {
+  const handleAnalyze = async (url, options = {}) => {
     setLoading(true);
     setError(null);
     setResults(null);
     setCurrentUrl(url);
+    setCurrentOptions(options);
+    setReportId(null);
+    setComparison(null);
+    setCompareError(null);
+    setProgressEvents([]);
 
     try {
-      const response = await analyzeURL(url);
+      const response = await analyzeURLInBackground(url, options, {
+        onJob: (job) => {
+          jobIdRef.current = job.id;
+        },
+        onEvent: (event) => setProgressEvents((previous) => [...previous, event]),
+      });
       setResults(response.results);
+      setReportId(response.reportId);
     } catch (err) {
-      setError({
-        message: err.message || 'Failed to analyze URL',
-        details: err.details || 'Please check the URL and try again.'
-      });
+      if (!err.cancelled) {
+        setError({
+          message: err.message || 'Failed to analyze URL',
+          details: err.details || 'Please check the URL and try again.'
+        });
+      }
     } finally {
+      jobIdRef.current = null;
       setLoading(false);
     }
   };
 
+  const handleCancel = async () => {
+    if (!jobIdRef.current) return;
+
+    try {
+      await cancelJob(jobIdRef.current);
+    } catch (err) {
+      setError({
+        message: err.message || 'Failed to cancel analysis',
+        details: 'The analysis may already have finished.'
+      });
+    }
+  };
+
+  const handleCompare = async () => {
+    setCompareError(null);
+
+    try {
+      const history = await listReports({ url: currentUrl, limit: 2 });
+      const previous = history.items.find((item) => item.id !== reportId);
+      if (!previous) {
+        setCompareError('No earlier analysis of this page to compare with.');
+        return;
+      }
+
+      const response = await compareReports(previous.id, reportId);
+      setComparison(response.comparison);
+    } catch (err) {
+      setCompareError(err.message || 'Failed to compare analyses');
+    }
+  };
+
   const handleReset = () => {
     setResults(null);
     setError(null);
     setCurrentUrl('');
+    setReportId(null);
+    setComparison(null);
+    setCompareError(null);
   };
 
   return (
@@ -154,21 +210,35 @@ function App() {
               </Box>
             )}
 
-            {loading && <LoadingSpinner />}
+            {loading && <LoadingSpinner events={progressEvents} onCancel={handleCancel} />}
 
             {error && (
               <ErrorMessage
                 error={error}
-                onRetry={() => handleAnalyze(currentUrl)}
+                onRetry={() => handleAnalyze(currentUrl, currentOptions)}
                 onReset={handleReset}
               />
             )}
 
-            {results && (
+            {compareError && (
+              <Alert severity="info" onClose={() => setCompareError(null)} sx={{ mb: 3 }}>
+                {compareError}
+              </Alert>
+            )}
+
+            {results && comparison && (
+              <ReportComparison
+                comparison={comparison}
+                onClose={() => setComparison(null)}
+              />
+            )}
+
+            {results && !comparison && (
               <SEOResults
                 results={results}
                 url={currentUrl}
                 onNewAnalysis={handleReset}
+                onCompare={reportId ? handleCompare : undefined}
               />
             )}
           </Paper>
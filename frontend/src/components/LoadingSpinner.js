@@ -1,16 +1,72 @@
 import React from 'react';
-import { Box, CircularProgress, Typography } from '@mui/material';
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Typography,
+} from '@mui/material';
+import { CheckCircle, RadioButtonUnchecked } from '@mui/icons-material';
 
-const LoadingSpinner = () => {
-  const [dots, setDots] = React.useState('');
+// Steps in the order the analyzer reports them
+const analysisSteps = [
+  { key: 'fetch', label: 'Fetching page' },
+  { key: 'metadata', label: 'Metadata' },
+  { key: 'social', label: 'Social sharing tags' },
+  { key: 'canonical', label: 'Canonical URL' },
+  { key: 'headings', label: 'Heading structure' },
+  { key: 'links', label: 'Links' },
+  { key: 'images', label: 'Images' },
+  { key: 'performance', label: 'Performance' },
+  { key: 'security', label: 'Security headers' },
+  { key: 'technical', label: 'Technical SEO' },
+  { key: 'international', label: 'International (hreflang)' },
+  { key: 'accessibility', label: 'Accessibility' },
+  { key: 'structuredData', label: 'Structured data' },
+  { key: 'richResults', label: 'Rich result eligibility' },
+  { key: 'mobile', label: 'Mobile friendliness' },
+  { key: 'contentQuality', label: 'Content quality' },
+  { key: 'redirects', label: 'Redirects' },
+  { key: 'canonicalTarget', label: 'Canonical target' },
+  { key: 'imageInspection', label: 'Image weight and formats' },
+  { key: 'linkVerification', label: 'Broken link check' },
+  { key: 'hreflangVerification', label: 'hreflang return links' },
+  { key: 'robots', label: 'robots.txt' },
+  { key: 'sitemap', label: 'XML sitemaps' },
+  { key: 'indexability', label: 'Indexability verdict' },
+  { key: 'rendering', label: 'JavaScript rendering' },
+];
 
-  React.useEffect(() => {
-    const interval = setInterval(() => {
-      setDots((prev) => (prev.length >= 3 ? '' : prev + '.'));
-    }, 500);
+// Optional steps are only listed once the analyzer reports them
+const optionalSteps = ['canonicalTarget', 'imageInspection', 'linkVerification', 'hreflangVerification', 'sitemap', 'rendering'];
 
-    return () => clearInterval(interval);
-  }, []);
+const LoadingSpinner = ({ events = [], onCancel }) => {
+  const completed = {};
+  let started = false;
+  let cached = false;
+
+  events.forEach((event) => {
+    if (event.type === 'fetch') {
+      started = true;
+      if (event.status === 'finished') completed.fetch = {};
+    } else if (event.type === 'section') {
+      completed[event.section] = { issues: event.issues };
+    } else if (event.type === 'rendering' && event.status === 'finished') {
+      completed.rendering = { issues: event.issues };
+    } else if (event.type === 'analysis' && event.cached) {
+      cached = true;
+    }
+  });
+
+  const reported = new Set(events.map((event) => (event.type === 'section' ? event.section : event.type)));
+  const steps = analysisSteps.filter((step) => !optionalSteps.includes(step.key) || reported.has(step.key));
+  const activeStep = started && !cached ? steps.find((step) => !completed[step.key]) : null;
+  const doneCount = cached ? steps.length : steps.filter((step) => completed[step.key]).length;
 
   return (
     <Box
@@ -23,36 +79,67 @@ const LoadingSpinner = () => {
         gap: 3,
       }}
     >
-      <CircularProgress size={60} thickness={4} />
       <Box sx={{ textAlign: 'center' }}>
         <Typography variant="h6" gutterBottom>
-          Analyzing Your Website{dots}
+          {started ? 'Analyzing Your Website' : 'Waiting for the analyzer'}
         </Typography>
         <Typography variant="body2" color="text.secondary">
-          We're performing a comprehensive SEO analysis of your website.
-          This may take a few moments.
+          {cached
+            ? 'Using a recent analysis of this page.'
+            : `${doneCount} of ${steps.length} checks complete`}
         </Typography>
       </Box>
-      <Box
-        sx={{
-          mt: 2,
-          width: '100%',
-          maxWidth: 400,
-          px: 2,
-        }}
-      >
-        <Typography
-          variant="caption"
-          color="text.secondary"
-          sx={{
-            display: 'block',
-            textAlign: 'center',
-            fontStyle: 'italic',
-          }}
-        >
-          Checking metadata, content structure, performance metrics, and more...
-        </Typography>
+
+      <Box sx={{ width: '100%', maxWidth: 480, px: 2 }}>
+        <LinearProgress
+          variant={started ? 'determinate' : 'indeterminate'}
+          value={(doneCount / steps.length) * 100}
+          sx={{ height: 8, borderRadius: 4, mb: 2 }}
+        />
+
+        <List dense disablePadding>
+          {steps.map((step) => {
+            const done = cached || completed[step.key];
+            const active = activeStep && activeStep.key === step.key;
+            const issues = completed[step.key] && completed[step.key].issues;
+
+            return (
+              <ListItem key={step.key} disableGutters>
+                <ListItemIcon sx={{ minWidth: 36 }}>
+                  {done ? (
+                    <CheckCircle color="success" fontSize="small" />
+                  ) : active ? (
+                    <CircularProgress size={18} thickness={5} />
+                  ) : (
+                    <RadioButtonUnchecked color="disabled" fontSize="small" />
+                  )}
+                </ListItemIcon>
+                <ListItemText
+                  primary={step.label}
+                  primaryTypographyProps={{
+                    variant: 'body2',
+                    color: done || active ? 'text.primary' : 'text.secondary',
+                  }}
+                />
+                {issues > 0 && (
+                  <Chip
+                    size="small"
+                    label={`${issues} issue${issues === 1 ? '' : 's'}`}
+                    color="warning"
+                    variant="outlined"
+                  />
+                )}
+              </ListItem>
+            );
+          })}
+        </List>
       </Box>
+
+      {onCancel && (
+        <Button variant="outlined" size="small" onClick={onCancel}>
+          Cancel
+        </Button>
+      )}
     </Box>
   );
 };
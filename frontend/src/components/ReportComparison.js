@@ -0,0 +1,185 @@
+import React from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Chip,
+  Button,
+  Grid,
+} from '@mui/material';
+import {
+  ArrowBack,
+  CheckCircle,
+  Error,
+  TrendingUp,
+  TrendingDown,
+  TrendingFlat,
+} from '@mui/icons-material';
+
+const fieldLabels = {
+  title: 'Title',
+  description: 'Meta Description',
+  canonical: 'Canonical URL',
+  robots: 'Meta Robots',
+};
+
+const ReportComparison = ({ comparison, onClose }) => {
+  const { score, issues, values, links, structuredData } = comparison;
+
+  const deltaColor = score.delta > 0 ? 'success' : score.delta < 0 ? 'error' : 'default';
+  const deltaIcon =
+    score.delta > 0 ? <TrendingUp /> : score.delta < 0 ? <TrendingDown /> : <TrendingFlat />;
+
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleString();
+
+  const renderIssueList = (title, list, color, icon) => (
+    <Paper variant="outlined" sx={{ p: 2, height: '100%' }}>
+      <Typography variant="h6" gutterBottom>
+        {title} ({list.length})
+      </Typography>
+      <Box sx={{ maxHeight: 240, overflow: 'auto' }}>
+        {list.map((issue, index) => (
+          <Typography
+            key={index}
+            variant="body2"
+            color={color}
+            sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}
+          >
+            {icon}
+            {issue.message}
+          </Typography>
+        ))}
+      </Box>
+    </Paper>
+  );
+
+  const renderAddedRemoved = (title, diff) => (
+    <Paper variant="outlined" sx={{ p: 2, height: '100%' }}>
+      <Typography variant="h6" gutterBottom>
+        {title}
+      </Typography>
+      <Box sx={{ maxHeight: 200, overflow: 'auto' }}>
+        {diff.added.map((item) => (
+          <Typography key={`added-${item}`} variant="body2" color="success.main">
+            + {item}
+          </Typography>
+        ))}
+        {diff.removed.map((item) => (
+          <Typography key={`removed-${item}`} variant="body2" color="error.main">
+            − {item}
+          </Typography>
+        ))}
+        {diff.added.length === 0 && diff.removed.length === 0 && (
+          <Typography variant="body2" color="text.secondary">
+            No changes
+          </Typography>
+        )}
+      </Box>
+    </Paper>
+  );
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box
+        sx={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          mb: 3,
+          flexWrap: 'wrap',
+          gap: 2,
+        }}
+      >
+        <Button startIcon={<ArrowBack />} onClick={onClose} variant="outlined" size="small">
+          Back to Results
+        </Button>
+        <Chip
+          icon={deltaIcon}
+          label={`Score ${score.before} → ${score.after} (${score.delta > 0 ? '+' : ''}${score.delta})`}
+          color={deltaColor}
+          sx={{ fontWeight: 500 }}
+        />
+      </Box>
+
+      <Grid container spacing={2} mb={3}>
+        <Grid item xs={12} md={6}>
+          <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+            <Typography variant="overline">Before</Typography>
+            <Typography variant="h4">{score.before}</Typography>
+            <Typography variant="body2" color="text.secondary">
+              {formatDate(comparison.before.timestamp)}
+            </Typography>
+          </Paper>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+            <Typography variant="overline">After</Typography>
+            <Typography variant="h4">{score.after}</Typography>
+            <Typography variant="body2" color="text.secondary">
+              {formatDate(comparison.after.timestamp)}
+            </Typography>
+          </Paper>
+        </Grid>
+      </Grid>
+
+      {/* Metadata values */}
+      <Box mb={3}>
+        <Typography variant="h6" gutterBottom>
+          Metadata Changes
+        </Typography>
+        {Object.entries(values).map(([field, value]) => (
+          <Paper key={field} variant="outlined" sx={{ p: 2, mb: 1 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <Typography variant="subtitle1">{fieldLabels[field] || field}</Typography>
+              <Chip
+                size="small"
+                label={value.changed ? 'Changed' : 'Unchanged'}
+                color={value.changed ? 'warning' : 'default'}
+              />
+            </Box>
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={6}>
+                <Typography variant="caption" color="text.secondary">
+                  Before
+                </Typography>
+                <Typography variant="body2">{value.before || '—'}</Typography>
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <Typography variant="caption" color="text.secondary">
+                  After
+                </Typography>
+                <Typography variant="body2">{value.after || '—'}</Typography>
+              </Grid>
+            </Grid>
+          </Paper>
+        ))}
+      </Box>
+
+      {/* Issues */}
+      <Grid container spacing={2} mb={3}>
+        <Grid item xs={12} md={4}>
+          {renderIssueList('Resolved', issues.resolved, 'success.main', <CheckCircle fontSize="small" />)}
+        </Grid>
+        <Grid item xs={12} md={4}>
+          {renderIssueList('Introduced', issues.introduced, 'error.main', <Error fontSize="small" />)}
+        </Grid>
+        <Grid item xs={12} md={4}>
+          {renderIssueList('Unchanged', issues.unchanged, 'text.secondary', null)}
+        </Grid>
+      </Grid>
+
+      {/* Links and structured data */}
+      <Grid container spacing={2}>
+        <Grid item xs={12} md={6}>
+          {renderAddedRemoved('Links', links)}
+        </Grid>
+        <Grid item xs={12} md={6}>
+          {renderAddedRemoved('Structured Data Types', structuredData)}
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default ReportComparison;
@@ -13,6 +13,8 @@ import {
   IconButton,
   Tooltip,
   Divider,
+  Alert,
+  AlertTitle,
 } from '@mui/material';
 import {
   ExpandMore,
@@ -29,11 +31,20 @@ import {
   Code,
   PhoneAndroid,
   TextFields,
+  SwapHoriz,
+  CompareArrows,
+  Share,
+  Language,
+  Flag,
+  DataObject,
+  AutoAwesome,
 } from '@mui/icons-material';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { atomDark } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import SocialPreview from './SocialPreview';
+import StructuredDataTree from './StructuredDataTree';
 
-const SEOResults = ({ results, url, onNewAnalysis }) => {
+const SEOResults = ({ results, url, onNewAnalysis, onCompare }) => {
   const [expandedSection, setExpandedSection] = useState('metadata');
 
   const handleChange = (panel) => (event, isExpanded) => {
@@ -50,6 +61,32 @@ const SEOResults = ({ results, url, onNewAnalysis }) => {
     return 'error';
   };
 
+  const statusColors = {
+    pass: 'success',
+    warn: 'warning',
+    fail: 'error',
+  };
+
+  const securityHeaderLabels = {
+    'strict-transport-security': 'Strict-Transport-Security',
+    'content-security-policy': 'Content-Security-Policy',
+    'x-content-type-options': 'X-Content-Type-Options',
+    'x-frame-options': 'X-Frame-Options',
+    'referrer-policy': 'Referrer-Policy',
+    'permissions-policy': 'Permissions-Policy',
+  };
+
+  const scoreCategoryLabels = {
+    metadata: 'Metadata',
+    content: 'Content',
+    technical: 'Technical',
+    performance: 'Performance',
+    mobile: 'Mobile',
+    security: 'Security',
+    accessibility: 'Accessibility',
+    structuredData: 'Structured Data',
+  };
+
   const renderScoreChip = (score, label) => (
     <Chip
       label={`${label}: ${score}/100`}
@@ -72,6 +109,84 @@ const SEOResults = ({ results, url, onNewAnalysis }) => {
     );
   };
 
+  const renderLinkStatus = (link) => {
+    if (!link.status) return null;
+    const label = link.status.statusCode || link.status.error;
+    const tooltip = [
+      `${link.status.latency} ms`,
+      link.status.redirectTarget && `Redirects to ${link.status.redirectTarget}`,
+    ]
+      .filter(Boolean)
+      .join(' · ');
+    return (
+      <Tooltip title={tooltip}>
+        <Chip
+          size="small"
+          label={label}
+          color={
+            link.status.broken
+              ? 'error'
+              : link.status.redirectTarget
+              ? 'warning'
+              : 'success'
+          }
+        />
+      </Tooltip>
+    );
+  };
+
+  const indexabilityLabels = {
+    indexable: 'Indexable',
+    noindex: 'Not indexable: noindex',
+    blocked: 'Not indexable: blocked by robots.txt',
+    'non-200': 'Not indexable: non-200 status',
+    canonicalized: 'Canonicalized to another URL',
+  };
+
+  const indexabilitySeverities = {
+    indexable: 'success',
+    noindex: 'error',
+    blocked: 'error',
+    'non-200': 'error',
+    canonicalized: 'warning',
+  };
+
+  const richResultStatuses = {
+    eligible: { label: 'Eligible', color: 'success' },
+    warnings: { label: 'Eligible with warnings', color: 'warning' },
+    ineligible: { label: 'Not eligible', color: 'error' },
+  };
+
+  const renderRobotsDirectives = (indexability) => {
+    const chips = Object.entries(indexability.bots).flatMap(([bot, directives]) =>
+      [
+        directives.noindex && 'noindex',
+        directives.nofollow && 'nofollow',
+        directives.nosnippet && 'nosnippet',
+        directives.noarchive && 'noarchive',
+        directives.noimageindex && 'noimageindex',
+        directives.maxSnippet !== null && `max-snippet:${directives.maxSnippet}`,
+        directives.maxImagePreview && `max-image-preview:${directives.maxImagePreview}`,
+        directives.maxVideoPreview !== null && `max-video-preview:${directives.maxVideoPreview}`,
+        directives.unavailableAfter && `unavailable_after:${directives.unavailableAfter}`,
+      ]
+        .filter(Boolean)
+        .map((directive) => `${bot}: ${directive}`)
+    );
+    if (indexability.nosnippet.count > 0) {
+      chips.push(`data-nosnippet: ${indexability.nosnippet.count}`);
+    }
+    if (chips.length === 0) return null;
+
+    return (
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+        {chips.map((chip) => (
+          <Chip key={chip} size="small" variant="outlined" label={chip} />
+        ))}
+      </Box>
+    );
+  };
+
   const sections = [
     {
       id: 'metadata',
@@ -162,6 +277,125 @@ const SEOResults = ({ results, url, onNewAnalysis }) => {
         </>
       ),
     },
+    // Reports stored before social tags were analyzed have no social section
+    results.social && {
+      id: 'social',
+      title: 'Social Sharing',
+      icon: <Share />,
+      content: (
+        <>
+          <Box mb={3}>
+            <SocialPreview preview={results.social.preview} />
+          </Box>
+
+          <Box mb={3}>
+            <Typography variant="h6" gutterBottom>
+              Social Tags ({results.social.tags.length})
+            </Typography>
+            {results.social.tags.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No Open Graph, Twitter Card or article tags found.
+              </Typography>
+            ) : (
+              <Paper variant="outlined" sx={{ p: 2, maxHeight: 240, overflow: 'auto' }}>
+                {results.social.tags.map((tag, index) => (
+                  <Box key={index} sx={{ display: 'flex', gap: 2, mb: 0.5 }}>
+                    <Typography variant="body2" sx={{ fontFamily: 'monospace', minWidth: 180 }}>
+                      {tag.property}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" sx={{ wordBreak: 'break-all' }}>
+                      {tag.content}
+                    </Typography>
+                  </Box>
+                ))}
+              </Paper>
+            )}
+          </Box>
+
+          {results.social.issues.map((issue, index) => (
+            <Typography
+              key={index}
+              color="error"
+              variant="body2"
+              sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}
+            >
+              <Warning fontSize="small" />
+              {issue}
+            </Typography>
+          ))}
+        </>
+      ),
+    },
+    // Reports stored before canonicals were validated have no canonical section
+    results.canonical && {
+      id: 'canonical',
+      title: 'Canonical URL',
+      icon: <Flag />,
+      content: (
+        <>
+          {results.canonical.href === null ? (
+            <Typography variant="body2" color="text.secondary">
+              No canonical URL declared in markup or the Link header.
+            </Typography>
+          ) : (
+            <>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+                <Chip
+                  size="small"
+                  label={results.canonical.selfCanonical ? 'Self-canonical' : 'Canonicalized elsewhere'}
+                  color={results.canonical.selfCanonical ? 'success' : 'info'}
+                />
+                {results.canonical.header && (
+                  <Chip size="small" variant="outlined" label="Link header" />
+                )}
+                {results.canonical.check && (
+                  <Chip
+                    size="small"
+                    label={`Target: ${results.canonical.check.statusCode || 'unreachable'}${
+                      results.canonical.check.redirects > 0 ? ' (redirects)' : ''
+                    }${results.canonical.check.noindex ? ' noindex' : ''}`}
+                    color={
+                      results.canonical.check.statusCode === 200 &&
+                      results.canonical.check.redirects === 0 &&
+                      !results.canonical.check.noindex
+                        ? 'success'
+                        : 'error'
+                    }
+                  />
+                )}
+              </Box>
+              <Grid container spacing={2}>
+                {[
+                  { label: 'Canonical URL', value: results.canonical.target || results.canonical.href },
+                  { label: 'Link header', value: results.canonical.header },
+                ].map((item) => (
+                  <Grid item xs={12} key={item.label}>
+                    <Typography variant="subtitle2" color="text.secondary">
+                      {item.label}
+                    </Typography>
+                    <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>
+                      {item.value || 'Not set'}
+                    </Typography>
+                  </Grid>
+                ))}
+              </Grid>
+            </>
+          )}
+
+          {results.canonical.issues.map((issue, index) => (
+            <Typography
+              key={index}
+              color="error"
+              variant="body2"
+              sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}
+            >
+              <Warning fontSize="small" />
+              {issue}
+            </Typography>
+          ))}
+        </>
+      ),
+    },
     {
       id: 'headings',
       title: 'Content Structure',
@@ -227,9 +461,15 @@ const SEOResults = ({ results, url, onNewAnalysis }) => {
                 </Typography>
                 <Box sx={{ maxHeight: 200, overflow: 'auto' }}>
                   {results.links.internal.map((link, index) => (
-                    <Typography key={index} variant="body2" gutterBottom>
-                      {link.text || link.url}
-                    </Typography>
+                    <Box
+                      key={index}
+                      sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}
+                    >
+                      <Typography variant="body2" sx={{ flex: 1 }}>
+                        {link.text || link.url}
+                      </Typography>
+                      {renderLinkStatus(link)}
+                    </Box>
                   ))}
                 </Box>
               </Paper>
@@ -244,9 +484,15 @@ const SEOResults = ({ results, url, onNewAnalysis }) => {
                 </Typography>
                 <Box sx={{ maxHeight: 200, overflow: 'auto' }}>
                   {results.links.external.map((link, index) => (
-                    <Typography key={index} variant="body2" gutterBottom>
-                      {link.text || link.url}
-                    </Typography>
+                    <Box
+                      key={index}
+                      sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}
+                    >
+                      <Typography variant="body2" sx={{ flex: 1 }}>
+                        {link.text || link.url}
+                      </Typography>
+                      {renderLinkStatus(link)}
+                    </Box>
                   ))}
                 </Box>
               </Paper>
@@ -265,6 +511,7 @@ const SEOResults = ({ results, url, onNewAnalysis }) => {
                   gutterBottom
                 >
                   {link.text || link.href} - {link.reason}
+                  {link.location && ` (in ${link.location})`}
                 </Typography>
               ))}
             </Paper>
@@ -447,6 +694,25 @@ const SEOResults = ({ results, url, onNewAnalysis }) => {
                       />
                     </Box>
                   ))}
+                  {Object.entries(results.security.headers).map(([header, finding]) => (
+                    <Tooltip key={header} title={finding.message} placement="left">
+                      <Box
+                        sx={{
+                          display: 'flex',
+                          justifyContent: 'space-between',
+                          alignItems: 'center',
+                          mb: 1,
+                        }}
+                      >
+                        <Typography variant="body2">{securityHeaderLabels[header] || header}</Typography>
+                        <Chip
+                          size="small"
+                          label={finding.status}
+                          color={statusColors[finding.status]}
+                        />
+                      </Box>
+                    </Tooltip>
+                  ))}
                 </Box>
               </Paper>
             </Grid>
@@ -472,6 +738,231 @@ const SEOResults = ({ results, url, onNewAnalysis }) => {
         </>
       ),
     },
+    // Reports stored before hreflang was analyzed have no international section
+    results.international && {
+      id: 'international',
+      title: 'International (hreflang)',
+      icon: <Language />,
+      content: (
+        <>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+            <Chip size="small" label={`html lang: ${results.international.language || 'not set'}`} />
+            {results.international.annotations.length > 0 && (
+              <>
+                <Chip
+                  size="small"
+                  label={`Self-reference: ${results.international.selfReference || 'missing'}`}
+                  color={results.international.selfReference ? 'success' : 'warning'}
+                />
+                <Chip
+                  size="small"
+                  label={`x-default: ${results.international.xDefault ? 'present' : 'missing'}`}
+                  color={results.international.xDefault ? 'success' : 'warning'}
+                />
+              </>
+            )}
+            {results.international.returnLinks && (
+              <Chip
+                size="small"
+                label={`Return links: ${results.international.returnLinks.reciprocal}/${results.international.returnLinks.checked}`}
+                color={
+                  results.international.returnLinks.reciprocal === results.international.returnLinks.checked
+                    ? 'success'
+                    : 'error'
+                }
+              />
+            )}
+          </Box>
+          {results.international.annotations.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No hreflang annotations found. This is expected for single-language sites.
+            </Typography>
+          ) : (
+            results.international.annotations.map((annotation, index) => (
+              <Paper
+                key={index}
+                variant="outlined"
+                sx={{ p: 1, mb: 1, display: 'flex', alignItems: 'center', gap: 1 }}
+              >
+                <Chip
+                  size="small"
+                  label={annotation.hreflang || '(empty)'}
+                  color={annotation.valid ? 'default' : 'error'}
+                />
+                <Typography variant="body2" sx={{ wordBreak: 'break-all', flex: 1 }}>
+                  {annotation.href}
+                </Typography>
+                {annotation.returnLink && (
+                  <Chip
+                    size="small"
+                    label={annotation.returnLink.returnLink ? 'Links back' : 'No return link'}
+                    color={annotation.returnLink.returnLink ? 'success' : 'error'}
+                  />
+                )}
+                <Chip size="small" variant="outlined" label={annotation.source} />
+              </Paper>
+            ))
+          )}
+          {results.international.issues.map((issue, index) => (
+            <Typography
+              key={index}
+              color="error"
+              variant="body2"
+              sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}
+            >
+              <Warning fontSize="small" />
+              {issue}
+            </Typography>
+          ))}
+        </>
+      ),
+    },
+    // Reports stored before the entity tree was extracted only have top-level types
+    results.structuredData.entities && {
+      id: 'structuredData',
+      title: 'Structured Data',
+      icon: <DataObject />,
+      content: (
+        <>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+            <Chip size="small" label={`JSON-LD: ${results.structuredData.sources.jsonLd}`} />
+            <Chip size="small" label={`Microdata: ${results.structuredData.sources.microdata}`} />
+            <Chip size="small" label={`RDFa: ${results.structuredData.sources.rdfa}`} />
+          </Box>
+          {results.structuredData.entities.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No structured data found.
+            </Typography>
+          ) : (
+            <StructuredDataTree entities={results.structuredData.entities} />
+          )}
+          {results.structuredData.findings
+            .filter((finding) => finding.id === 'structured_data.invalid_json')
+            .map((finding, index) => (
+              <Typography
+                key={index}
+                color="error"
+                variant="body2"
+                sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}
+              >
+                <Warning fontSize="small" />
+                {finding.message}
+              </Typography>
+            ))}
+        </>
+      ),
+    },
+    // Reports stored before rich results were checked have no richResults section
+    results.richResults && {
+      id: 'richResults',
+      title: 'Rich Results',
+      icon: <AutoAwesome />,
+      content: (
+        <>
+          {results.richResults.features.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No structured data for a supported rich result type found.
+            </Typography>
+          ) : (
+            results.richResults.features.map((feature) => (
+              <Paper key={feature.feature} variant="outlined" sx={{ p: 2, mb: 2 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                  <Typography variant="subtitle1">{feature.feature}</Typography>
+                  <Chip
+                    size="small"
+                    label={richResultStatuses[feature.status].label}
+                    color={richResultStatuses[feature.status].color}
+                  />
+                </Box>
+                {feature.items.map((item, index) => (
+                  <Box key={index} sx={{ pl: 1, mb: 1 }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                        {item.path}
+                      </Typography>
+                      {feature.items.length > 1 && (
+                        <Chip
+                          size="small"
+                          variant="outlined"
+                          label={richResultStatuses[item.status].label}
+                          color={richResultStatuses[item.status].color}
+                        />
+                      )}
+                    </Box>
+                    {item.missing.length > 0 && (
+                      <Typography variant="body2" color="error">
+                        Missing required: {item.missing.join(', ')}
+                      </Typography>
+                    )}
+                    {item.recommended.length > 0 && (
+                      <Typography variant="body2" color="warning.main">
+                        Missing recommended: {item.recommended.join(', ')}
+                      </Typography>
+                    )}
+                    {item.mismatches.map((mismatch, mismatchIndex) => (
+                      <Typography key={mismatchIndex} variant="body2" color="warning.main">
+                        Not visible on page: {mismatch.property} "{mismatch.value}"
+                      </Typography>
+                    ))}
+                  </Box>
+                ))}
+              </Paper>
+            ))
+          )}
+        </>
+      ),
+    },
+    {
+      id: 'redirects',
+      title: 'Redirects',
+      icon: <SwapHoriz />,
+      content: (
+        <>
+          <Box mb={3}>
+            <Typography variant="h6" gutterBottom>
+              Redirect Chain
+            </Typography>
+            {results.redirects.chain.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No redirects. The URL responded directly.
+              </Typography>
+            ) : (
+              results.redirects.chain.map((hop, index) => (
+                <Paper
+                  key={index}
+                  variant="outlined"
+                  sx={{ p: 1, mb: 1, display: 'flex', alignItems: 'center', gap: 1 }}
+                >
+                  <Chip
+                    size="small"
+                    label={hop.statusCode}
+                    color={hop.statusCode === 301 || hop.statusCode === 308 ? 'success' : 'warning'}
+                  />
+                  <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>
+                    {hop.url} → {hop.location}
+                  </Typography>
+                  <Chip size="small" label={`${hop.time} ms`} sx={{ ml: 'auto' }} />
+                </Paper>
+              ))
+            )}
+            <Typography variant="body2" sx={{ mt: 2 }}>
+              Final URL: {results.redirects.finalUrl}
+            </Typography>
+          </Box>
+          {results.redirects.issues.map((issue, index) => (
+            <Typography
+              key={index}
+              color="error"
+              variant="body2"
+              sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}
+            >
+              <Warning fontSize="small" />
+              {issue}
+            </Typography>
+          ))}
+        </>
+      ),
+    },
   ];
 
   return (
@@ -496,6 +987,16 @@ const SEOResults = ({ results, url, onNewAnalysis }) => {
           >
             New Analysis
           </Button>
+          {onCompare && (
+            <Button
+              startIcon={<CompareArrows />}
+              onClick={onCompare}
+              variant="outlined"
+              size="small"
+            >
+              Compare with Previous
+            </Button>
+          )}
           <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
             <Typography variant="body2" color="text.secondary">
               {url}
@@ -510,8 +1011,37 @@ const SEOResults = ({ results, url, onNewAnalysis }) => {
         {renderScoreChip(results.score, 'Overall Score')}
       </Box>
 
+      {/* Indexability verdict (reports stored before it was computed have none) */}
+      {results.indexability && (
+        <Alert severity={indexabilitySeverities[results.indexability.verdict] || 'info'} sx={{ mb: 3 }}>
+          <AlertTitle>{indexabilityLabels[results.indexability.verdict] || results.indexability.verdict}</AlertTitle>
+          {results.indexability.reasons.map((reason, index) => (
+            <Typography key={index} variant="body2">
+              {reason}
+            </Typography>
+          ))}
+          {renderRobotsDirectives(results.indexability)}
+        </Alert>
+      )}
+
+      {/* Category subscores (reports stored before subscores existed have none) */}
+      {results.subscores && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 3 }}>
+          {Object.entries(results.subscores).map(([category, subscore]) => (
+            <Tooltip
+              key={category}
+              title={`Weight ${subscore.weight}% · ${subscore.rules.length} failed check${
+                subscore.rules.length === 1 ? '' : 's'
+              }`}
+            >
+              {renderScoreChip(subscore.score, scoreCategoryLabels[category] || category)}
+            </Tooltip>
+          ))}
+        </Box>
+      )}
+
       {/* Results Sections */}
-      {sections.map((section) => (
+      {sections.filter(Boolean).map((section) => (
         <Accordion
           key={section.id}
           expanded={expandedSection === section.id}
@@ -566,6 +1096,25 @@ const SEOResults = ({ results, url, onNewAnalysis }) => {
                     <Typography variant="body2" color="text.secondary">
                       {rec.solution}
                     </Typography>
+                    {rec.elements && rec.elements.length > 0 && (
+                      <Box component="ul" sx={{ mt: 1, mb: 0, pl: 2 }}>
+                        {rec.elements.slice(0, 5).map((element) => (
+                          <Typography
+                            component="li"
+                            variant="caption"
+                            key={element}
+                            sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}
+                          >
+                            {element}
+                          </Typography>
+                        ))}
+                        {rec.elements.length > 5 && (
+                          <Typography component="li" variant="caption" color="text.secondary">
+                            and {rec.elements.length - 5} more
+                          </Typography>
+                        )}
+                      </Box>
+                    )}
                     <Chip
                       size="small"
                       label={rec.category}
@@ -0,0 +1,146 @@
+import React from 'react';
+import { Box, Paper, Typography, Grid } from '@mui/material';
+import { Image } from '@mui/icons-material';
+
+const getDomain = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return url;
+  }
+};
+
+const clampLines = (lines) => ({
+  display: '-webkit-box',
+  WebkitLineClamp: lines,
+  WebkitBoxOrient: 'vertical',
+  overflow: 'hidden',
+});
+
+const PreviewImage = ({ src, ratio = '52.5%', sx = {} }) => (
+  <Box
+    sx={{
+      position: 'relative',
+      pt: ratio,
+      bgcolor: 'grey.200',
+      backgroundImage: src ? `url("${src}")` : 'none',
+      backgroundSize: 'cover',
+      backgroundPosition: 'center',
+      ...sx,
+    }}
+  >
+    {!src && (
+      <Image
+        color="disabled"
+        sx={{ position: 'absolute', top: '50%', left: '50%', transform: 'translate(-50%, -50%)' }}
+      />
+    )}
+  </Box>
+);
+
+const PreviewFrame = ({ label, children }) => (
+  <Box>
+    <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+      {label}
+    </Typography>
+    {children}
+  </Box>
+);
+
+// Approximations of the link previews each platform builds from the page's social tags
+const SocialPreview = ({ preview }) => {
+  const { openGraph, twitter } = preview;
+  const domain = getDomain(openGraph.url);
+  const largeTwitterCard = twitter.card === 'summary_large_image';
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12} md={4}>
+        <PreviewFrame label="Facebook">
+          <Paper variant="outlined" sx={{ borderRadius: 0, overflow: 'hidden' }}>
+            <PreviewImage src={openGraph.image} />
+            <Box sx={{ p: 1.5, bgcolor: '#f0f2f5' }}>
+              <Typography variant="caption" color="text.secondary" sx={{ textTransform: 'uppercase' }}>
+                {domain}
+              </Typography>
+              <Typography variant="subtitle2" sx={{ fontWeight: 600, ...clampLines(2) }}>
+                {openGraph.title || 'No title'}
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={clampLines(1)}>
+                {openGraph.description}
+              </Typography>
+            </Box>
+          </Paper>
+        </PreviewFrame>
+      </Grid>
+
+      <Grid item xs={12} md={4}>
+        <PreviewFrame label="LinkedIn">
+          <Paper variant="outlined" sx={{ borderRadius: 1, overflow: 'hidden' }}>
+            <PreviewImage src={openGraph.image} />
+            <Box sx={{ p: 1.5 }}>
+              <Typography variant="subtitle2" sx={{ fontWeight: 600, ...clampLines(2) }}>
+                {openGraph.title || 'No title'}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                {domain}
+              </Typography>
+            </Box>
+          </Paper>
+        </PreviewFrame>
+      </Grid>
+
+      <Grid item xs={12} md={4}>
+        <PreviewFrame label={`X (${largeTwitterCard ? 'summary_large_image' : 'summary'})`}>
+          {largeTwitterCard ? (
+            <Box>
+              <Box sx={{ position: 'relative', borderRadius: 4, overflow: 'hidden', border: 1, borderColor: 'divider' }}>
+                <PreviewImage src={twitter.image} />
+                <Typography
+                  variant="caption"
+                  sx={{
+                    position: 'absolute',
+                    left: 12,
+                    bottom: 12,
+                    px: 0.75,
+                    borderRadius: 1,
+                    color: 'common.white',
+                    bgcolor: 'rgba(0, 0, 0, 0.77)',
+                    ...clampLines(1),
+                  }}
+                >
+                  {twitter.title || 'No title'}
+                </Typography>
+              </Box>
+              <Typography variant="caption" color="text.secondary">
+                From {domain}
+              </Typography>
+            </Box>
+          ) : (
+            <Paper
+              variant="outlined"
+              sx={{ display: 'flex', borderRadius: 4, overflow: 'hidden' }}
+            >
+              <Box sx={{ width: 120, flexShrink: 0 }}>
+                <PreviewImage src={twitter.image} ratio="100%" />
+              </Box>
+              <Box sx={{ p: 1.5, minWidth: 0 }}>
+                <Typography variant="caption" color="text.secondary">
+                  {domain}
+                </Typography>
+                <Typography variant="body2" sx={clampLines(1)}>
+                  {twitter.title || 'No title'}
+                </Typography>
+                <Typography variant="body2" color="text.secondary" sx={clampLines(2)}>
+                  {twitter.description}
+                </Typography>
+              </Box>
+            </Paper>
+          )}
+        </PreviewFrame>
+      </Grid>
+    </Grid>
+  );
+};
+
+export default SocialPreview;
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { Box, Typography, Chip, IconButton, Collapse } from '@mui/material';
+import { ExpandMore, ChevronRight, Error, Warning } from '@mui/icons-material';
+
+const sourceLabels = {
+  'json-ld': 'JSON-LD',
+  microdata: 'Microdata',
+  rdfa: 'RDFa',
+};
+
+const isEntity = (value) => value && typeof value === 'object' && Array.isArray(value.properties);
+
+const PropertyError = ({ error }) => (
+  <Typography
+    variant="caption"
+    color={error.problem === 'missing_recommended' ? 'warning.main' : 'error'}
+    sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}
+  >
+    {error.problem === 'missing_recommended' ? <Warning fontSize="inherit" /> : <Error fontSize="inherit" />}
+    {error.message}
+  </Typography>
+);
+
+const PropertyValue = ({ value, depth }) => {
+  if (isEntity(value)) return <EntityNode entity={value} depth={depth + 1} />;
+  if (value && value.reference) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        → {value.reference}
+      </Typography>
+    );
+  }
+  return (
+    <Typography variant="body2" sx={{ wordBreak: 'break-all' }}>
+      {String(value)}
+    </Typography>
+  );
+};
+
+// One entity with its properties; nested entities collapse independently
+const EntityNode = ({ entity, depth = 0 }) => {
+  const [open, setOpen] = useState(depth === 0);
+  const errors = entity.errors || [];
+  const errorCount = errors.filter((error) => error.problem !== 'missing_recommended').length;
+  const warningCount = errors.length - errorCount;
+  // Missing properties have no row of their own, so their errors are listed after the others
+  const missing = errors.filter((error) => error.problem !== 'invalid_value');
+
+  return (
+    <Box sx={{ borderLeft: 2, borderColor: 'divider', pl: 1, my: 0.5 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <IconButton size="small" onClick={() => setOpen(!open)}>
+          {open ? <ExpandMore fontSize="small" /> : <ChevronRight fontSize="small" />}
+        </IconButton>
+        <Typography variant="subtitle2">{entity.type || '(no type)'}</Typography>
+        {depth === 0 && <Chip size="small" variant="outlined" label={sourceLabels[entity.source] || entity.source} />}
+        {!entity.validated && entity.type && <Chip size="small" label="Not validated" />}
+        {errorCount > 0 && <Chip size="small" color="error" label={`${errorCount} error${errorCount === 1 ? '' : 's'}`} />}
+        {warningCount > 0 && (
+          <Chip size="small" color="warning" label={`${warningCount} warning${warningCount === 1 ? '' : 's'}`} />
+        )}
+      </Box>
+      <Collapse in={open} unmountOnExit>
+        <Box sx={{ pl: 4 }}>
+          {entity.properties.map((property) => (
+            <Box key={property.name} sx={{ display: 'flex', gap: 2, py: 0.5 }}>
+              <Typography variant="body2" sx={{ fontFamily: 'monospace', minWidth: 160, flexShrink: 0 }}>
+                {property.name}
+              </Typography>
+              <Box sx={{ flex: 1, minWidth: 0 }}>
+                {property.values.map((value, index) => (
+                  <PropertyValue key={index} value={value} depth={depth} />
+                ))}
+                {errors
+                  .filter((error) => error.problem === 'invalid_value' && error.property === property.name)
+                  .map((error, index) => (
+                    <PropertyError key={index} error={error} />
+                  ))}
+              </Box>
+            </Box>
+          ))}
+          {missing.map((error, index) => (
+            <PropertyError key={index} error={error} />
+          ))}
+        </Box>
+      </Collapse>
+    </Box>
+  );
+};
+
+const StructuredDataTree = ({ entities }) => (
+  <Box>
+    {entities.map((entity, index) => (
+      <EntityNode key={index} entity={entity} />
+    ))}
+  </Box>
+);
+
+export default StructuredDataTree;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   Box,
   TextField,
@@ -8,14 +8,53 @@ import {
   IconButton,
   Tooltip,
   CircularProgress,
+  MenuItem,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
 } from '@mui/material';
 import { Search, Help, Clear } from '@mui/icons-material';
 import { validateURL } from '../utils/validators';
+import { getProfiles } from '../services/api';
+
+// Opt-in checks that request more URLs or render the page, so they are off by default
+const OPTIONAL_CHECKS = [
+  {
+    name: 'checkLinks',
+    label: 'Check links',
+    description: 'Request every link on the page and report broken or redirected ones',
+  },
+  {
+    name: 'includeImages',
+    label: 'Inspect images',
+    description: 'Fetch each image to check its file size, format and dimensions',
+  },
+  {
+    name: 'compareRendering',
+    label: 'Compare rendering',
+    description: 'Render the page in a browser and compare it with the server HTML',
+  },
+  {
+    name: 'checkHreflang',
+    label: 'Verify hreflang',
+    description: 'Fetch the alternate language pages and check they link back',
+  },
+];
 
 const URLInput = ({ onAnalyze, disabled }) => {
   const [url, setUrl] = useState('');
   const [error, setError] = useState('');
   const [isValidating, setIsValidating] = useState(false);
+  const [profiles, setProfiles] = useState([]);
+  const [profile, setProfile] = useState('default');
+  const [checks, setChecks] = useState({});
+
+  useEffect(() => {
+    // The profile picker is optional; analysis falls back to the default profile
+    getProfiles()
+      .then(setProfiles)
+      .catch(() => setProfiles([]));
+  }, []);
 
   const handleInputChange = (event) => {
     const value = event.target.value;
@@ -43,7 +82,11 @@ const URLInput = ({ onAnalyze, disabled }) => {
         return;
       }
 
-      onAnalyze(validation.sanitizedUrl);
+      const options = profile === 'default' ? {} : { profile };
+      OPTIONAL_CHECKS.filter((check) => checks[check.name]).forEach((check) => {
+        options[check.name] = true;
+      });
+      onAnalyze(validation.sanitizedUrl, options);
     } catch (err) {
       setError('Failed to validate URL. Please try again.');
     } finally {
@@ -123,6 +166,29 @@ const URLInput = ({ onAnalyze, disabled }) => {
             }}
           />
 
+          {profiles.length > 1 && (
+            <TextField
+              select
+              label="Audit profile"
+              value={profile}
+              onChange={(event) => setProfile(event.target.value)}
+              disabled={disabled || isValidating}
+              sx={{
+                minWidth: { sm: 180 },
+                width: { xs: '100%', sm: 'auto' },
+                '& .MuiOutlinedInput-root': {
+                  borderRadius: 2,
+                },
+              }}
+            >
+              {profiles.map((option) => (
+                <MenuItem key={option.name} value={option.name} title={option.description}>
+                  {option.name}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
+
           <Button
             variant="contained"
             color="primary"
@@ -142,6 +208,24 @@ const URLInput = ({ onAnalyze, disabled }) => {
           </Button>
         </Box>
 
+        <FormGroup row sx={{ mt: 1 }}>
+          {OPTIONAL_CHECKS.map((check) => (
+            <Tooltip key={check.name} title={check.description} arrow>
+              <FormControlLabel
+                label={check.label}
+                control={
+                  <Checkbox
+                    size="small"
+                    checked={Boolean(checks[check.name])}
+                    onChange={(event) => setChecks({ ...checks, [check.name]: event.target.checked })}
+                    disabled={disabled || isValidating}
+                  />
+                }
+              />
+            </Tooltip>
+          ))}
+        </FormGroup>
+
         <Typography
           variant="body2"
           color="text.secondary"
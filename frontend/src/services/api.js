@@ -70,7 +70,6 @@ export const analyzeURL = async (url, options = {}) => {
     const response = await api.post('/seo/analyze', {
       url,
       options: {
-        includeImages: true,
         includeLinks: true,
         includePerformance: true,
         timeout: 20000,
@@ -85,6 +84,250 @@ export const analyzeURL = async (url, options = {}) => {
   }
 };
 
+/**
+ * Queue a background job
+ * @param {string} type - Job type: analysis, batch or crawl
+ * @param {Object} payload - url (or urls for batch) and options
+ * @returns {Promise<Object>} Queued job
+ */
+export const createJob = async (type, payload) => {
+  try {
+    const response = await api.post('/seo/jobs', { type, ...payload });
+    return response.data;
+  } catch (error) {
+    console.error('Job creation failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the state, progress and result of a job
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} Job
+ */
+export const getJob = async (id) => {
+  try {
+    const response = await api.get(`/seo/jobs/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Job lookup failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a queued or running job
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} Job
+ */
+export const cancelJob = async (id) => {
+  try {
+    const response = await api.delete(`/seo/jobs/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Job cancellation failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Poll a job until it finishes
+ * @param {string} id - Job ID
+ * @param {Function} onUpdate - Called with the job after every poll
+ * @param {number} interval - Polling interval in milliseconds
+ * @returns {Promise<Object>} Job result; rejects when the job fails or is cancelled
+ */
+export const waitForJob = async (id, onUpdate, interval = 1500) => {
+  for (;;) {
+    const job = await getJob(id);
+    if (onUpdate) onUpdate(job);
+
+    if (job.state === 'succeeded') return job.result;
+    if (job.state === 'failed') throw new Error(job.error || 'Analysis failed');
+    if (job.state === 'cancelled') {
+      const error = new Error('Analysis cancelled');
+      error.cancelled = true;
+      throw error;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+};
+
+// Event names sent by the job progress stream
+const JOB_EVENT_TYPES = ['state', 'progress', 'fetch', 'section', 'rendering', 'analysis'];
+
+/**
+ * Follow a job through its Server-Sent Events stream, falling back to polling
+ * @param {string} id - Job ID
+ * @param {Function} onEvent - Called with every progress event
+ * @returns {Promise<Object>} Job result; rejects when the job fails or is cancelled
+ */
+export const watchJob = (id, onEvent) => {
+  if (typeof EventSource === 'undefined') {
+    return waitForJob(id);
+  }
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`${api.defaults.baseURL}/seo/jobs/${id}/events`);
+    let lastSeq = 0;
+
+    const handleEvent = (message) => {
+      const event = JSON.parse(message.data);
+      // A reconnecting stream replays the events already received
+      if (event.seq <= lastSeq) return;
+      lastSeq = event.seq;
+      if (onEvent) onEvent(event);
+
+      if (event.type === 'state' && ['succeeded', 'failed', 'cancelled'].includes(event.state)) {
+        source.close();
+        waitForJob(id).then(resolve, reject);
+      }
+    };
+
+    JOB_EVENT_TYPES.forEach((type) => source.addEventListener(type, handleEvent));
+    source.onerror = () => {
+      if (source.readyState !== EventSource.CLOSED) return;
+      console.error('Job event stream closed, falling back to polling');
+      waitForJob(id).then(resolve, reject);
+    };
+  });
+};
+
+/**
+ * Analyze a URL through the job queue so slow sites are not cut off by the request timeout
+ * @param {string} url - The URL to analyze
+ * @param {Object} options - Analysis options: profile and the opt-in checks
+ *   (checkLinks, includeImages, compareRendering, checkHreflang), which stay off unless set
+ * @param {Object} callbacks - onJob(job) once queued, onEvent(event) for every progress event
+ * @returns {Promise<Object>} Analysis results, report ID and metadata
+ */
+export const analyzeURLInBackground = async (url, options = {}, callbacks = {}) => {
+  const job = await createJob('analysis', {
+    url,
+    options: {
+      includeLinks: true,
+      includePerformance: true,
+      checkLinks: false,
+      includeImages: false,
+      compareRendering: false,
+      checkHreflang: false,
+      timeout: 20000,
+      ...options,
+    },
+  });
+  if (callbacks.onJob) callbacks.onJob(job);
+
+  return watchJob(job.id, callbacks.onEvent);
+};
+
+/**
+ * Discover and validate the XML sitemaps of a site
+ * @param {string} url - Any URL on the site
+ * @returns {Promise<Object>} Sitemap analysis
+ */
+export const analyzeSitemap = async (url) => {
+  try {
+    const response = await api.post('/seo/sitemap', { url });
+    return response.data;
+  } catch (error) {
+    console.error('Sitemap analysis failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Crawl a site from a start URL and analyze every page found
+ * @param {string} url - The URL to start crawling from
+ * @param {Object} options - Crawl options (maxDepth, maxPages, include, exclude, respectRobots)
+ * @returns {Promise<Object>} Per-page results and site summary
+ */
+export const crawlSite = async (url, options = {}) => {
+  try {
+    const response = await api.post('/seo/crawl', { url, options }, { timeout: 300000 });
+    return response.data;
+  } catch (error) {
+    console.error('Site crawl failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Analyze a list of URLs in one request
+ * @param {string[]} urls - The URLs to analyze
+ * @param {Object} options - Analysis options shared by every URL, plus concurrency
+ * @returns {Promise<Object>} Per-URL results and batch summary
+ */
+export const analyzeBatch = async (urls, options = {}) => {
+  try {
+    const response = await api.post('/seo/batch', { urls, options }, { timeout: 300000 });
+    return response.data;
+  } catch (error) {
+    console.error('Batch analysis failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * List stored analysis reports
+ * @param {Object} filters - url, domain, from, to, page, limit
+ * @returns {Promise<Object>} Paginated report summaries
+ */
+export const listReports = async (filters = {}) => {
+  try {
+    const response = await api.get('/seo/reports', { params: filters });
+    return response.data;
+  } catch (error) {
+    console.error('Failed to list reports:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a stored analysis report
+ * @param {string} id - Report ID
+ * @returns {Promise<Object>} Stored report
+ */
+export const getReport = async (id) => {
+  try {
+    const response = await api.get(`/seo/reports/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Failed to get report:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a stored analysis report
+ * @param {string} id - Report ID
+ * @returns {Promise<void>}
+ */
+export const deleteReport = async (id) => {
+  try {
+    await api.delete(`/seo/reports/${id}`);
+  } catch (error) {
+    console.error('Failed to delete report:', error);
+    throw error;
+  }
+};
+
+/**
+ * Compare two stored analysis reports
+ * @param {string} beforeId - ID of the older report
+ * @param {string} afterId - ID of the newer report
+ * @returns {Promise<Object>} Comparison result
+ */
+export const compareReports = async (beforeId, afterId) => {
+  try {
+    const response = await api.get('/seo/compare', { params: { a: beforeId, b: afterId } });
+    return response.data;
+  } catch (error) {
+    console.error('Report comparison failed:', error);
+    throw error;
+  }
+};
+
 /**
  * Validate a URL without performing analysis
  * @param {string} url - The URL to validate
@@ -100,6 +343,20 @@ export const validateURL = async (url) => {
   }
 };
 
+/**
+ * List the audit profiles that can be selected for an analysis
+ * @returns {Promise<Object[]>} Profiles with name, description and thresholds
+ */
+export const getProfiles = async () => {
+  try {
+    const response = await api.get('/seo/profiles');
+    return response.data.profiles;
+  } catch (error) {
+    console.error('Failed to get audit profiles:', error);
+    throw error;
+  }
+};
+
 /**
  * Get scraping service status
  * @returns {Promise<Object>} Service status